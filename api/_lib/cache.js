@@ -0,0 +1,21 @@
+// api/_lib/cache.js
+// Small in-process LRU with expiry (a Map keeps insertion order; re-inserting on read marks it recent)
+export function createCache({ max = 500, ttlMs = 10 * 60_000 } = {}) {
+  const entries = new Map(); // key -> { at, value }
+  return {
+    get(key, now = Date.now()) {
+      const e = entries.get(key);
+      if (!e) return undefined;
+      entries.delete(key);
+      if (now - e.at > ttlMs) return undefined;
+      entries.set(key, e);
+      return e.value;
+    },
+    set(key, value, now = Date.now()) {
+      entries.delete(key);
+      entries.set(key, { at: now, value });
+      while (entries.size > max) entries.delete(entries.keys().next().value);
+    },
+    get size() { return entries.size; },
+  };
+}
@@ -0,0 +1,34 @@
+/**
+ * @jest-environment node
+ */
+import { createCache } from "./cache.js";
+
+describe("createCache", () => {
+  test("evicts the least recently used entry", () => {
+    const cache = createCache({ max: 2 });
+    cache.set("a", 1, 0);
+    cache.set("b", 2, 0);
+    expect(cache.get("a", 0)).toBe(1); // a is now the most recent
+    cache.set("c", 3, 0);
+    expect(cache.get("b", 0)).toBeUndefined();
+    expect(cache.get("a", 0)).toBe(1);
+    expect(cache.get("c", 0)).toBe(3);
+    expect(cache.size).toBe(2);
+  });
+
+  test("expires entries after ttlMs", () => {
+    const cache = createCache({ ttlMs: 1000 });
+    cache.set("a", 1, 0);
+    expect(cache.get("a", 1000)).toBe(1);
+    expect(cache.get("a", 1001)).toBeUndefined();
+    expect(cache.size).toBe(0);
+  });
+
+  test("replacing a key restarts its clock", () => {
+    const cache = createCache({ ttlMs: 1000 });
+    cache.set("a", 1, 0);
+    cache.set("a", 2, 900);
+    expect(cache.get("a", 1500)).toBe(2);
+    expect(cache.size).toBe(1);
+  });
+});
@@ -0,0 +1,11 @@
+// api/_lib/errors.js
+// Errors thrown by the directions pipeline. `status` is the HTTP status to answer with and `body` is
+// what the client sees, so nothing from the provider's raw payload ends up in a response by accident.
+export class DirectionsError extends Error {
+  constructor(status, error, extra = {}) {
+    super(error);
+    this.name = "DirectionsError";
+    this.status = status;
+    this.body = { error, ...extra };
+  }
+}
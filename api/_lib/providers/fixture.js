@@ -0,0 +1,77 @@
+// api/_lib/providers/fixture.js
+// Offline provider: canned responses by "lat,lng|lat,lng" key, otherwise a synthetic walk → metro → walk
+// route along the straight line. Deterministic, so it also serves as a test double for the handler.
+import { DirectionsError } from "../errors.js";
+
+function haversine([lat1, lon1], [lat2, lon2]) {
+  const R = 6371000, toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1), dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(a));
+}
+
+// Google encoded polyline (precision 5)
+export function encodePolyline(points) {
+  let out = "", prevLat = 0, prevLng = 0;
+  const enc = (v) => {
+    v = v < 0 ? ~(v << 1) : v << 1;
+    let s = "";
+    while (v >= 0x20) { s += String.fromCharCode((0x20 | (v & 0x1f)) + 63); v >>= 5; }
+    return s + String.fromCharCode(v + 63);
+  };
+  for (const [lat, lng] of points) {
+    const la = Math.round(lat * 1e5), ln = Math.round(lng * 1e5);
+    out += enc(la - prevLat) + enc(ln - prevLng);
+    prevLat = la; prevLng = ln;
+  }
+  return out;
+}
+
+export function createFixtureProvider({ fixtures = {} } = {}) {
+  return {
+    name: "fixture",
+    async route({ origin, destination, departure, arrival, details, alternatives }) {
+      const canned = fixtures[`${origin.join(",")}|${destination.join(",")}`];
+      if (canned) return { ...canned, steps: details ? canned.steps : undefined, alternatives: alternatives ? canned.alternatives || [] : undefined };
+
+      const meters = Math.round(haversine(origin, destination) * 1.3);
+      if (meters < 1) throw new DirectionsError(404, "No transit route", { providerStatus: "ZERO_RESULTS" });
+      const at = (f) => [origin[0] + (destination[0] - origin[0]) * f, origin[1] + (destination[1] - origin[1]) * f];
+      // Metro (primary) and a slower bus with a kink in the line (alternative)
+      const synth = (vehicle, line, speed, via) => {
+        const walk = meters * 0.2, ride = meters * 0.6;
+        const seconds = Math.round((2 * walk) / 1.25 + 240 + ride / speed);
+        const start = arrival != null ? arrival - seconds : departure ?? Math.floor(Date.now() / 1000);
+        return {
+          overview_polyline: encodePolyline([origin, at(0.2), via, at(0.8), destination]),
+          meters,
+          seconds,
+          summary: `${vehicle === "SUBWAY" ? "Metro" : "Bus"} ${line}`,
+          steps: details
+            ? [
+                { mode: "walk", text: "Walk to Fixture Station A", meters: Math.round(walk), seconds: Math.round(walk / 1.25),
+                  substeps: [{ text: "Head along Fixture Street", meters: Math.round(walk) }] },
+                {
+                  mode: "transit",
+                  text: `${vehicle === "SUBWAY" ? "Metro" : "Bus"} towards Fixture Terminus`,
+                  meters: Math.round(ride),
+                  seconds: Math.round(ride / speed),
+                  transit: {
+                    line: { shortName: line, name: "Fixture Line", color: vehicle === "SUBWAY" ? "#e2001a" : "#00a650", textColor: "#ffffff", vehicle },
+                    headsign: "Fixture Terminus",
+                    departure: { stop: "Fixture Station A", time: start + Math.round(walk / 1.25) + 120, timeZone: "Europe/Madrid" },
+                    arrival: { stop: "Fixture Station B", time: start + Math.round(walk / 1.25) + 120 + Math.round(ride / speed), timeZone: "Europe/Madrid" },
+                    stops: Math.max(1, Math.round(ride / 800)),
+                  },
+                },
+                { mode: "walk", text: "Walk to destination", meters: Math.round(walk), seconds: Math.round(walk / 1.25) },
+              ]
+            : undefined,
+        };
+      };
+      const mid = at(0.5), kink = [mid[0] + (destination[1] - origin[1]) * 0.1, mid[1] - (destination[0] - origin[0]) * 0.1];
+      const primary = synth("SUBWAY", "L0", 8, mid);
+      return alternatives ? { ...primary, alternatives: [synth("BUS", "V0", 5, kink)] } : primary;
+    },
+  };
+}
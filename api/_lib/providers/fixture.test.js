@@ -0,0 +1,72 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { encodePolyline, createFixtureProvider } from "./fixture.js";
+import { getProvider } from "./index.js";
+
+const A = [41.40363, 2.17436], B = [41.38522, 2.18082];
+
+describe("encodePolyline", () => {
+  test("matches Google's reference encoding", () => {
+    expect(encodePolyline([[38.5, -120.2], [40.7, -120.95], [43.252, -126.453]])).toBe("_p~iF~ps|U_ulLnnqC_mqNvxq`@");
+  });
+});
+
+describe("fixture provider", () => {
+  const provider = createFixtureProvider();
+
+  test("is deterministic for a given time", async () => {
+    const one = await provider.route({ origin: A, destination: B, departure: 1800000000 });
+    expect(await provider.route({ origin: A, destination: B, departure: 1800000000 })).toEqual(one);
+    expect(one).toMatchObject({ summary: "Metro L0", steps: undefined });
+    expect(one.meters).toBeGreaterThan(2000);
+    expect(one.alternatives).toBeUndefined();
+  });
+
+  test("returns plain-data steps and alternatives when asked", async () => {
+    const route = await provider.route({ origin: A, destination: B, departure: 1800000000, details: true, alternatives: true });
+    expect(route.steps.map((s) => s.mode)).toEqual(["walk", "transit", "walk"]);
+    expect(route.steps[1].transit).toMatchObject({ line: { shortName: "L0", vehicle: "SUBWAY" }, departure: { stop: "Fixture Station A" } });
+    expect(route.alternatives).toHaveLength(1);
+    expect(route.alternatives[0]).toMatchObject({ summary: "Bus V0" });
+    expect(route.alternatives[0].seconds).toBeGreaterThan(route.seconds);
+  });
+
+  test("works back from an arrival time", async () => {
+    const route = await provider.route({ origin: A, destination: B, arrival: 1800000000, details: true });
+    const ride = route.steps[1].transit;
+    expect(ride.arrival.time).toBeLessThan(1800000000);
+    expect(ride.departure.time).toBeGreaterThan(1800000000 - route.seconds);
+  });
+
+  test("answers canned legs from its fixtures", async () => {
+    const canned = createFixtureProvider({
+      fixtures: { [`${A.join(",")}|${B.join(",")}`]: { overview_polyline: "x", meters: 1, seconds: 2, steps: [{ mode: "walk", text: "Go" }] } },
+    });
+    expect(await canned.route({ origin: A, destination: B })).toEqual({ overview_polyline: "x", meters: 1, seconds: 2, steps: undefined, alternatives: undefined });
+    expect((await canned.route({ origin: A, destination: B, details: true, alternatives: true }))).toMatchObject({ steps: [{ text: "Go" }], alternatives: [] });
+  });
+
+  test("has no route between identical points", async () => {
+    await expect(provider.route({ origin: A, destination: A })).rejects.toMatchObject({ status: 404, body: { providerStatus: "ZERO_RESULTS" } });
+  });
+});
+
+describe("getProvider", () => {
+  test("reads the fixtures file once", async () => {
+    const file = join(mkdtempSync(join(tmpdir(), "fixtures-")), "legs.json");
+    writeFileSync(file, JSON.stringify({ [`${A.join(",")}|${B.join(",")}`]: { overview_polyline: null, meters: 7, seconds: 8 } }));
+    const env = { DIRECTIONS_PROVIDER: "fixture", DIRECTIONS_FIXTURES: file };
+    expect((await getProvider(env).route({ origin: A, destination: B })).meters).toBe(7);
+    writeFileSync(file, "not json");
+    expect((await getProvider(env).route({ origin: A, destination: B })).meters).toBe(7);
+  });
+
+  test("needs an API key for Google and a known provider name", () => {
+    expect(() => getProvider({})).toThrow("Routing is not configured");
+    expect(() => getProvider({ DIRECTIONS_PROVIDER: "other" })).toThrow("Routing is not configured");
+  });
+});
@@ -0,0 +1,95 @@
+// api/_lib/providers/google.js
+import { DirectionsError } from "../errors.js";
+import { cssColor, finiteOrUndefined, plainText } from "../steps.js";
+
+const ENDPOINT = "https://maps.googleapis.com/maps/api/directions/json";
+const NO_ROUTE = new Set(["ZERO_RESULTS", "NOT_FOUND"]);
+const MODES = { WALKING: "walk", TRANSIT: "transit", DRIVING: "drive", BICYCLING: "bike" };
+
+const stopAt = (stop, time) => ({
+  stop: plainText(stop?.name, 120) || "?",
+  time: finiteOrUndefined(time?.value),
+  timeZone: typeof time?.time_zone === "string" ? time.time_zone : undefined,
+});
+
+// Google step → the shared step shape (see ../steps.js)
+export function toStep(s) {
+  const step = {
+    mode: MODES[s.travel_mode] || "walk",
+    text: plainText(s.html_instructions),
+    meters: finiteOrUndefined(s.distance?.value),
+    seconds: finiteOrUndefined(s.duration?.value),
+  };
+  const t = s.transit_details;
+  if (step.mode === "transit" && t) {
+    const line = t.line || {};
+    step.transit = {
+      line: {
+        shortName: plainText(line.short_name, 20) || undefined,
+        name: plainText(line.name, 80) || undefined,
+        color: cssColor(line.color),
+        textColor: cssColor(line.text_color),
+        vehicle: /^[A-Z_]+$/.test(line.vehicle?.type || "") ? line.vehicle.type : "OTHER",
+        vehicleName: plainText(line.vehicle?.name, 40) || undefined,
+        agency: plainText(line.agencies?.[0]?.name, 80) || undefined,
+      },
+      headsign: plainText(t.headsign, 80) || undefined,
+      departure: stopAt(t.departure_stop, t.departure_time),
+      arrival: stopAt(t.arrival_stop, t.arrival_time),
+      stops: finiteOrUndefined(t.num_stops),
+    };
+  } else if (Array.isArray(s.steps) && s.steps.length) {
+    step.substeps = s.steps
+      .map((sub) => ({ text: plainText(sub.html_instructions), meters: finiteOrUndefined(sub.distance?.value) }))
+      .filter((sub) => sub.text);
+  }
+  return step;
+}
+
+export function createGoogleProvider({ key, fetchImpl = fetch, timeoutMs = 8000 }) {
+  return {
+    name: "google",
+    async route({ origin, destination, departure, arrival, details, alternatives }) {
+      const params = new URLSearchParams({
+        origin: origin.join(","),
+        destination: destination.join(","),
+        mode: "transit",
+        alternatives: alternatives ? "true" : "false",
+        transit_routing_preference: "fewer_transfers",
+        key,
+      });
+      // Arrive-by if asked, otherwise leave at `departure` (or now)
+      if (arrival != null) params.set("arrival_time", String(arrival));
+      else params.set("departure_time", String(departure ?? Math.floor(Date.now() / 1000)));
+
+      let data;
+      try {
+        const r = await fetchImpl(`${ENDPOINT}?${params.toString()}`, { signal: AbortSignal.timeout(timeoutMs) });
+        data = await r.json();
+      } catch {
+        throw new DirectionsError(502, "Routing provider unavailable");
+      }
+
+      const leg = data?.routes?.[0]?.legs?.[0];
+      if (data?.status !== "OK" || !leg) {
+        // Only the status code goes back to the client (error_message can echo request details)
+        if (NO_ROUTE.has(data?.status) || data?.status === "OK") throw new DirectionsError(404, "No transit route", { providerStatus: data?.status });
+        throw new DirectionsError(502, "Routing provider unavailable", { providerStatus: String(data?.status || "UNKNOWN") });
+      }
+
+      const toRoute = (route) => {
+        const l = route.legs?.[0] || {};
+        return {
+          overview_polyline: route.overview_polyline?.points || null,
+          meters: l.distance?.value ?? null,
+          seconds: l.duration?.value ?? null,
+          summary: route.summary || undefined,
+          // Step details (bus/metro/walk) only when asked for, as plain data
+          steps: details ? (l.steps || []).map(toStep) : undefined,
+        };
+      };
+      const [primary, ...others] = data.routes.filter((r) => r.legs?.[0]).map(toRoute);
+      return alternatives ? { ...primary, alternatives: others } : primary;
+    },
+  };
+}
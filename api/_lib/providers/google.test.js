@@ -0,0 +1,113 @@
+/**
+ * @jest-environment node
+ */
+import { createGoogleProvider, toStep } from "./google.js";
+
+const transitStep = (line, extra = {}) => ({
+  travel_mode: "TRANSIT",
+  html_instructions: "Metro towards <b>Trinitat Nova</b>",
+  distance: { value: 2400 },
+  duration: { value: 540 },
+  transit_details: {
+    line,
+    headsign: "Trinitat Nova",
+    departure_stop: { name: "Diagonal" },
+    arrival_stop: { name: "Sagrada Família <img src=x onerror=alert(1)>" },
+    departure_time: { value: 1800000000, time_zone: "Europe/Madrid" },
+    arrival_time: { value: 1800000540, time_zone: "Europe/Madrid" },
+    num_stops: 3,
+    ...extra,
+  },
+});
+
+describe("toStep", () => {
+  test("maps a walking step with its substeps to plain text", () => {
+    expect(toStep({
+      travel_mode: "WALKING",
+      html_instructions: "Walk to <b>Diagonal</b>",
+      distance: { value: 300 }, duration: { value: "240" },
+      steps: [{ html_instructions: "Turn <b>left</b><div>Pass by the bakery</div>", distance: { value: 50 } }, { html_instructions: "" }],
+    })).toEqual({
+      mode: "walk", text: "Walk to Diagonal", meters: 300, seconds: undefined,
+      substeps: [{ text: "Turn left · Pass by the bakery", meters: 50 }],
+    });
+  });
+
+  test("maps a transit step and cleans every field", () => {
+    const step = toStep(transitStep({
+      short_name: "L5", name: "Cornellà Centre - Vall d'Hebron", color: "#0072ba", text_color: "url(javascript:alert(1))",
+      vehicle: { type: "SUBWAY", name: "Metro" }, agencies: [{ name: "<a href='x'>TMB</a>" }],
+    }));
+    expect(step).toEqual({
+      mode: "transit", text: "Metro towards Trinitat Nova", meters: 2400, seconds: 540,
+      transit: {
+        line: { shortName: "L5", name: "Cornellà Centre - Vall d'Hebron", color: "#0072ba", textColor: undefined, vehicle: "SUBWAY", vehicleName: "Metro", agency: "TMB" },
+        headsign: "Trinitat Nova",
+        departure: { stop: "Diagonal", time: 1800000000, timeZone: "Europe/Madrid" },
+        arrival: { stop: "Sagrada Família", time: 1800000540, timeZone: "Europe/Madrid" },
+        stops: 3,
+      },
+    });
+  });
+
+  test("treats unknown vehicle types and colours as unknown", () => {
+    const step = toStep(transitStep({ color: "blue", vehicle: { type: "<b>SPACESHIP</b>" } }));
+    expect(step.transit.line).toEqual({
+      shortName: undefined, name: undefined, color: undefined, textColor: undefined, vehicle: "OTHER", vehicleName: undefined, agency: undefined,
+    });
+    expect(toStep(transitStep({ vehicle: { type: "HOVERCRAFT" } })).transit.line.vehicle).toBe("HOVERCRAFT");
+    expect(toStep({ travel_mode: "TELEPORT", html_instructions: "Go" }).mode).toBe("walk");
+  });
+
+  test("leaves out transit details that aren't there", () => {
+    expect(toStep({ travel_mode: "TRANSIT", html_instructions: "Bus" })).toEqual({ mode: "transit", text: "Bus", meters: undefined, seconds: undefined });
+    expect(toStep(transitStep(undefined, { departure_stop: undefined, departure_time: "soon" })).transit).toMatchObject({
+      line: { vehicle: "OTHER" }, departure: { stop: "?", time: undefined, timeZone: undefined },
+    });
+  });
+});
+
+describe("google provider", () => {
+  const leg = { origin: [41.4, 2.17], destination: [41.38, 2.18], departure: 1800000000 };
+  const answering = (data) => {
+    const calls = [];
+    const provider = createGoogleProvider({ key: "secret", fetchImpl: async (url) => { calls.push(url); return { json: async () => data }; } });
+    return { provider, calls };
+  };
+
+  test("asks for transit at the requested time and returns routes without raw steps", async () => {
+    const { provider, calls } = answering({
+      status: "OK",
+      routes: [
+        { summary: "L5", overview_polyline: { points: "abc" }, legs: [{ distance: { value: 2500 }, duration: { value: 900 }, steps: [transitStep({ short_name: "L5" })] }] },
+        { summary: "V17", overview_polyline: { points: "def" }, legs: [{ distance: { value: 2600 }, duration: { value: 1200 } }] },
+      ],
+    });
+    const route = await provider.route({ ...leg, details: true, alternatives: true });
+    const url = new URL(calls[0]);
+    expect(Object.fromEntries(url.searchParams)).toMatchObject({ origin: "41.4,2.17", destination: "41.38,2.18", mode: "transit", departure_time: "1800000000", alternatives: "true" });
+    expect(route).toMatchObject({ overview_polyline: "abc", meters: 2500, seconds: 900, summary: "L5" });
+    expect(route.steps[0].transit.line.shortName).toBe("L5");
+    expect(route.steps[0].transit_details).toBeUndefined();
+    expect(route.alternatives).toEqual([{ overview_polyline: "def", meters: 2600, seconds: 1200, summary: "V17", steps: [] }]);
+  });
+
+  test("routes arrive-by legs by arrival time", async () => {
+    const { provider, calls } = answering({ status: "ZERO_RESULTS", routes: [] });
+    await expect(provider.route({ ...leg, departure: null, arrival: 1800000000 })).rejects.toMatchObject({ status: 404 });
+    expect(new URL(calls[0]).searchParams.get("arrival_time")).toBe("1800000000");
+    expect(new URL(calls[0]).searchParams.has("departure_time")).toBe(false);
+  });
+
+  test("reports a failing provider by status only", async () => {
+    const { provider } = answering({ status: "REQUEST_DENIED", error_message: "The provided API key secret is invalid for 41.4,2.17" });
+    const error = await provider.route(leg).catch((e) => e);
+    expect(error).toMatchObject({ status: 502, body: { error: "Routing provider unavailable", providerStatus: "REQUEST_DENIED" } });
+    expect(JSON.stringify(error.body)).not.toMatch(/secret|41\.4/);
+  });
+
+  test("answers 502 when the provider can't be reached", async () => {
+    const provider = createGoogleProvider({ key: "k", fetchImpl: async () => { throw new Error("ECONNRESET"); } });
+    await expect(provider.route(leg)).rejects.toMatchObject({ status: 502, body: { error: "Routing provider unavailable" } });
+  });
+});
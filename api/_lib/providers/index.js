@@ -0,0 +1,31 @@
+// api/_lib/providers/index.js
+// A provider turns a validated request into the function's response shape:
+//   route({ origin:[lat,lng], destination:[lat,lng], departure:unixSeconds|null, arrival:unixSeconds|null,
+//           details:boolean, alternatives:boolean })
+//     → Promise<Route & { alternatives?: Route[] }>, where
+//       Route = { overview_polyline:string|null, meters:number|null, seconds:number|null, summary?:string, steps?:object[] }
+// (`arrival` means arrive-by and wins over `departure`; steps only with `details`, see ../steps.js; alternatives only
+// when asked for, possibly empty) and throws DirectionsError for anything the client should see.
+// DIRECTIONS_PROVIDER picks one ("google" by default, "fixture" for local work without network or API key).
+import { readFileSync } from "node:fs";
+import { DirectionsError } from "../errors.js";
+import { createGoogleProvider } from "./google.js";
+import { createFixtureProvider } from "./fixture.js";
+
+// Optional JSON file of canned responses keyed by "lat,lng|lat,lng", read once per instance
+const fixtureFiles = new Map(); // path -> parsed fixtures
+function loadFixtures(path) {
+  if (!path) return {};
+  if (!fixtureFiles.has(path)) fixtureFiles.set(path, JSON.parse(readFileSync(path, "utf8")));
+  return fixtureFiles.get(path);
+}
+
+export function getProvider(env = process.env) {
+  const name = (env.DIRECTIONS_PROVIDER || "google").toLowerCase();
+  if (name === "fixture") return createFixtureProvider({ fixtures: loadFixtures(env.DIRECTIONS_FIXTURES) });
+  if (name === "google") {
+    if (!env.GOOGLE_MAPS_API_KEY) throw new DirectionsError(500, "Routing is not configured");
+    return createGoogleProvider({ key: env.GOOGLE_MAPS_API_KEY });
+  }
+  throw new DirectionsError(500, "Routing is not configured");
+}
@@ -0,0 +1,28 @@
+// api/_lib/rateLimit.js
+// Fixed-window counter per client IP, kept in the function instance's memory. Instances are recycled and
+// scaled out, so this is a brake against a single abusive client, not an exact quota.
+// The caller's address as the platform saw it. On Vercel the edge sets x-real-ip itself (overwriting whatever the
+// client sent); anywhere else it's the socket's peer. X-Forwarded-For is never read: its first hop is whatever the
+// client chose to put there, so trusting it would let anyone dodge the limit by rotating the header.
+export function clientIp(req, env = process.env) {
+  const platform = env.VERCEL ? req.headers?.["x-real-ip"] : null;
+  return (platform && String(platform).trim()) || req.socket?.remoteAddress || "unknown";
+}
+
+export function createRateLimiter({ limit = 60, windowMs = 60_000, maxClients = 5000 } = {}) {
+  const windows = new Map(); // ip -> { start, count }
+  // `cost` lets one request count as several (e.g. a whole day of legs)
+  return function hit(ip, cost = 1, now = Date.now()) {
+    let w = windows.get(ip);
+    if (!w || now - w.start >= windowMs) {
+      if (windows.size >= maxClients) {
+        for (const [k, v] of windows) if (now - v.start >= windowMs) windows.delete(k);
+        if (windows.size >= maxClients) windows.delete(windows.keys().next().value);
+      }
+      w = { start: now, count: 0 };
+      windows.set(ip, w);
+    }
+    w.count += cost;
+    return { allowed: w.count <= limit, remaining: Math.max(0, limit - w.count), retryAfter: Math.ceil((w.start + windowMs - now) / 1000) };
+  };
+}
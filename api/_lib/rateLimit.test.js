@@ -0,0 +1,45 @@
+/**
+ * @jest-environment node
+ */
+import { clientIp, createRateLimiter } from "./rateLimit.js";
+
+describe("createRateLimiter", () => {
+  test("counts requests per client in fixed windows", () => {
+    const hit = createRateLimiter({ limit: 3, windowMs: 60_000 });
+    expect(hit("a", 1, 0)).toEqual({ allowed: true, remaining: 2, retryAfter: 60 });
+    expect(hit("a", 2, 10_000)).toEqual({ allowed: true, remaining: 0, retryAfter: 50 });
+    expect(hit("a", 1, 20_000)).toEqual({ allowed: false, remaining: 0, retryAfter: 40 });
+    expect(hit("b", 1, 20_000).allowed).toBe(true);
+    expect(hit("a", 1, 60_000)).toEqual({ allowed: true, remaining: 2, retryAfter: 60 });
+  });
+
+  test("charges a whole day of legs at once", () => {
+    const hit = createRateLimiter({ limit: 5 });
+    expect(hit("a", 6, 0).allowed).toBe(false);
+  });
+
+  test("keeps at most maxClients windows, dropping expired ones first", () => {
+    const hit = createRateLimiter({ limit: 1, windowMs: 1000, maxClients: 2 });
+    hit("a", 1, 0);
+    hit("b", 1, 500);
+    hit("c", 1, 1200); // a expired and is dropped; b is kept
+    expect(hit("b", 1, 1300).allowed).toBe(false);
+    hit("d", 1, 1400); // nothing expired: the oldest (b) goes
+    expect(hit("b", 1, 1450).allowed).toBe(true);
+  });
+});
+
+describe("clientIp", () => {
+  const req = (headers, remoteAddress = "10.0.0.1") => ({ headers, socket: { remoteAddress } });
+
+  test("never trusts X-Forwarded-For", () => {
+    expect(clientIp(req({ "x-forwarded-for": "1.2.3.4, 10.0.0.1" }), {})).toBe("10.0.0.1");
+    expect(clientIp(req({ "x-forwarded-for": "1.2.3.4" }), { VERCEL: "1" })).toBe("10.0.0.1");
+  });
+
+  test("uses the address Vercel sets, and only on Vercel", () => {
+    expect(clientIp(req({ "x-real-ip": "5.6.7.8" }), { VERCEL: "1" })).toBe("5.6.7.8");
+    expect(clientIp(req({ "x-real-ip": "5.6.7.8" }), {})).toBe("10.0.0.1");
+    expect(clientIp({ headers: {} }, {})).toBe("unknown");
+  });
+});
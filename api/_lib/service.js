@@ -0,0 +1,36 @@
+// api/_lib/service.js
+// State shared by the directions endpoints of one warm instance (module scope survives between
+// invocations): the per-IP rate limiter and the response cache, plus the common error response.
+import { DirectionsError } from "./errors.js";
+import { clientIp, createRateLimiter } from "./rateLimit.js";
+import { createCache } from "./cache.js";
+
+const limiter = createRateLimiter({ limit: Number(process.env.DIRECTIONS_RATE_LIMIT) || 60, windowMs: 60_000 });
+const cache = createCache({ max: 500, ttlMs: 10 * 60_000 });
+
+// Counts `cost` provider lookups against the caller's IP; throws 429 once the window is used up
+export function checkRate(req, res, cost = 1) {
+  const rate = limiter(clientIp(req), cost);
+  res.setHeader("X-RateLimit-Remaining", String(rate.remaining));
+  if (!rate.allowed) {
+    res.setHeader("Retry-After", String(rate.retryAfter));
+    throw new DirectionsError(429, "Too many requests");
+  }
+}
+
+// One leg through the cache. "Now" departures share a 5-minute bucket so repeated lookups hit the cache.
+export async function routeLeg(provider, { origin, destination, departure, arrival, details, alternatives }) {
+  const when = arrival != null ? `arr:${arrival}` : departure ?? `now:${Math.floor(Date.now() / 300_000)}`;
+  const key = [provider.name, origin, destination, when, details ? 1 : 0, alternatives ? 1 : 0].join("|");
+  const hit = cache.get(key);
+  if (hit) return { body: hit, cached: true };
+  const body = await provider.route({ origin, destination, departure, arrival, details, alternatives });
+  cache.set(key, body);
+  return { body, cached: false };
+}
+
+export function sendError(res, e) {
+  if (e instanceof DirectionsError) return res.status(e.status).json(e.body);
+  console.error("directions:", e);
+  return res.status(500).json({ error: "Server error" });
+}
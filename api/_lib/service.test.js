@@ -0,0 +1,70 @@
+/**
+ * @jest-environment node
+ */
+import { DirectionsError } from "./errors.js";
+import { checkRate, routeLeg, sendError } from "./service.js";
+
+const response = () => {
+  const res = { headers: {}, statusCode: 200, body: undefined };
+  res.setHeader = (k, v) => { res.headers[k] = v; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+describe("routeLeg", () => {
+  const counting = () => {
+    const provider = { name: "count", calls: 0, async route(q) { provider.calls++; return { meters: provider.calls, q }; } };
+    return provider;
+  };
+
+  test("answers repeated legs from the cache", async () => {
+    const provider = counting();
+    const leg = { origin: [41.4, 2.17], destination: [41.38, 2.18], departure: 1800000000, details: true };
+    expect(await routeLeg(provider, leg)).toMatchObject({ cached: false, body: { meters: 1 } });
+    expect(await routeLeg(provider, leg)).toMatchObject({ cached: true, body: { meters: 1 } });
+    expect(provider.calls).toBe(1);
+  });
+
+  test("keeps legs that differ in time, details or alternatives apart", async () => {
+    const provider = counting();
+    const leg = { origin: [41.41, 2.17], destination: [41.38, 2.18], departure: 1800000000 };
+    await routeLeg(provider, leg);
+    await routeLeg(provider, { ...leg, departure: null, arrival: 1800000000 });
+    await routeLeg(provider, { ...leg, details: true });
+    await routeLeg(provider, { ...leg, alternatives: true });
+    expect(provider.calls).toBe(4);
+  });
+
+  test("doesn't cache failures", async () => {
+    let calls = 0;
+    const provider = { name: "fail", async route() { calls++; throw new DirectionsError(404, "No transit route"); } };
+    const leg = { origin: [41.42, 2.17], destination: [41.38, 2.18] };
+    await expect(routeLeg(provider, leg)).rejects.toThrow("No transit route");
+    await expect(routeLeg(provider, leg)).rejects.toThrow("No transit route");
+    expect(calls).toBe(2);
+  });
+});
+
+describe("checkRate", () => {
+  test("reports what's left and answers 429 when the window is used up", () => {
+    const req = { headers: {}, socket: { remoteAddress: "192.0.2.1" } };
+    const res = response();
+    checkRate(req, res, 59);
+    expect(res.headers["X-RateLimit-Remaining"]).toBe("1");
+    checkRate(req, res);
+    expect(() => checkRate(req, res)).toThrow(expect.objectContaining({ status: 429 }));
+    expect(Number(res.headers["Retry-After"])).toBeGreaterThan(0);
+  });
+});
+
+describe("sendError", () => {
+  test("sends DirectionsError bodies as they are and hides anything else", () => {
+    const res = sendError(response(), new DirectionsError(404, "No transit route", { providerStatus: "ZERO_RESULTS" }));
+    expect([res.statusCode, res.body]).toEqual([404, { error: "No transit route", providerStatus: "ZERO_RESULTS" }]);
+    const spy = jest.spyOn(console, "error").mockImplementation(() => {});
+    const hidden = sendError(response(), new Error("key=secret"));
+    expect([hidden.statusCode, hidden.body]).toEqual([500, { error: "Server error" }]);
+    spy.mockRestore();
+  });
+});
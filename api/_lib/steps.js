@@ -0,0 +1,35 @@
+// api/_lib/steps.js
+// Route steps as plain data. Providers map their own step format onto this shape, so no provider HTML
+// (Google's html_instructions) or unchecked styling ever reaches the client:
+//   { mode: "walk"|"transit"|"drive"|"bike", text, meters?, seconds?, substeps?: [{ text, meters? }],
+//     transit?: { line: { shortName?, name?, color?, textColor?, vehicle, vehicleName?, agency? }, headsign?,
+//                 departure: { stop, time?, timeZone? }, arrival: { stop, time?, timeZone? }, stops? } }
+// Times are Unix seconds; timeZone is the IANA zone of the stop.
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", "#39": "'" };
+
+// Tags out, entities decoded, whitespace collapsed. Block elements become a separator so
+// "Turn left<div>Destination on the right</div>" doesn't run together.
+export function plainText(html, max = 300) {
+  const text = String(html ?? "")
+    .replace(/<(div|br|p)\b[^>]*>/gi, " · ")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&(#\d+|#x[0-9a-f]+|\w+);/gi, (m, e) => {
+      if (ENTITIES[e.toLowerCase()]) return ENTITIES[e.toLowerCase()];
+      const code = e[0] === "#" ? (e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : Number(e.slice(1))) : NaN;
+      return Number.isInteger(code) && code > 31 && code < 0x110000 ? String.fromCodePoint(code) : " ";
+    })
+    .replace(/[<>]/g, "")
+    .replace(/\s+/g, " ")
+    .replace(/^[\s·]+|[\s·]+$/g, "");
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+// Only "#rgb"/"#rrggbb" colours get through
+export function cssColor(value) {
+  return typeof value === "string" && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value) ? value.toLowerCase() : undefined;
+}
+
+export function finiteOrUndefined(value) {
+  return Number.isFinite(value) ? value : undefined;
+}
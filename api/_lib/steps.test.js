@@ -0,0 +1,47 @@
+/**
+ * @jest-environment node
+ */
+import { cssColor, finiteOrUndefined, plainText } from "./steps.js";
+
+describe("plainText", () => {
+  test("strips tags and separates block elements", () => {
+    expect(plainText('Head <b>north</b> on <span class="x">Carrer de Mallorca</span><div style="font-size:0.9em">Destination will be on the right</div>'))
+      .toBe("Head north on Carrer de Mallorca · Destination will be on the right");
+    expect(plainText("<div>Walk</div><br/>")).toBe("Walk");
+  });
+
+  test("decodes escaped markup as text without turning it back into tags", () => {
+    expect(plainText("Take &lt;script&gt;alert(1)&lt;/script&gt; &amp; go")).toBe("Take scriptalert(1)/script & go");
+    expect(plainText("<scr<script>ipt>alert(1)</script>")).toBe("iptalert(1)");
+  });
+
+  test("decodes numeric and hex entities", () => {
+    expect(plainText("Pla&#231;a d&#39;Espanya &#x2192; Sants&nbsp;Estaci&#xF3;")).toBe("Plaça d'Espanya → Sants Estació");
+    expect(plainText("a&#0;b&#x110000;c&unknown;d")).toBe("a b c d");
+  });
+
+  test("handles missing text and caps the length", () => {
+    expect(plainText(undefined)).toBe("");
+    expect(plainText("x".repeat(10), 5)).toBe("xxxx…");
+  });
+});
+
+describe("cssColor", () => {
+  test("passes #rgb and #rrggbb", () => {
+    expect(cssColor("#FFCC00")).toBe("#ffcc00");
+    expect(cssColor("#0a0")).toBe("#0a0");
+  });
+
+  test("drops anything else", () => {
+    for (const v of ["red", "#ffcc0", "#ffcc00; background:url(x)", "url(https://evil.example/x.png)", "ffcc00", "#gggggg", null, 0xffcc00]) {
+      expect(cssColor(v)).toBeUndefined();
+    }
+  });
+});
+
+describe("finiteOrUndefined", () => {
+  test("keeps finite numbers only", () => {
+    expect(finiteOrUndefined(0)).toBe(0);
+    expect([NaN, Infinity, "5", null].map(finiteOrUndefined)).toEqual([undefined, undefined, undefined, undefined]);
+  });
+});
@@ -0,0 +1,110 @@
+// api/_lib/validate.js
+import { DirectionsError } from "./errors.js";
+
+export const MAX_DAY_STOPS = 26;
+
+// Requests name the area they route in: the trip destination's search box ("south,west,north,east", as the app
+// stores it), widened by AREA_MARGIN for day trips out of town. A box may span at most MAX_AREA_SPAN degrees, so
+// one deployment can't be used to route across a continent, and with DIRECTIONS_BBOX set (one or more boxes,
+// separated by ";") it must also lie inside one of those and is cut down to it.
+export const MAX_AREA_SPAN = 3;
+const AREA_MARGIN = 0.75;
+
+function parseBox(value) {
+  const parts = (Array.isArray(value) ? value : String(value ?? "").split(",")).map((v) => (v === "" || v == null ? NaN : Number(v)));
+  const valid = parts.length === 4 && parts.every(Number.isFinite) && parts[0] < parts[2] && parts[1] < parts[3]
+    && Math.abs(parts[0]) <= 90 && Math.abs(parts[2]) <= 90 && Math.abs(parts[1]) <= 180 && Math.abs(parts[3]) <= 180;
+  return valid ? parts : null;
+}
+
+// The server-side allow-list, or null to serve any area
+export function allowedAreas(env = process.env) {
+  const boxes = String(env.DIRECTIONS_BBOX || "").split(";").filter((b) => b.trim()).map(parseBox).filter(Boolean);
+  return boxes.length ? boxes : null;
+}
+
+// The box a request's coordinates must fall in
+export function parseArea(value, areas = null) {
+  if (value == null || value === "") {
+    if (areas?.length === 1) return areas[0];
+    throw new DirectionsError(400, "bbox is required");
+  }
+  const box = parseBox(value);
+  if (!box) throw new DirectionsError(400, "bbox must be \"south,west,north,east\"");
+  if (box[2] - box[0] > MAX_AREA_SPAN || box[3] - box[1] > MAX_AREA_SPAN) throw new DirectionsError(422, "bbox is too large");
+  const wide = [box[0] - AREA_MARGIN, box[1] - AREA_MARGIN, box[2] + AREA_MARGIN, box[3] + AREA_MARGIN];
+  if (!areas) return wide;
+  const within = areas.find((a) => box[0] >= a[0] && box[1] >= a[1] && box[2] <= a[2] && box[3] <= a[3]);
+  if (!within) throw new DirectionsError(422, "bbox is outside the supported area");
+  return [Math.max(wide[0], within[0]), Math.max(wide[1], within[1]), Math.min(wide[2], within[2]), Math.min(wide[3], within[3])];
+}
+
+// "lat,lng" → [lat, lng] inside the request's area (5 decimals is ~1 m; more only fragments the cache)
+export function parseLatLng(value, name, bbox) {
+  const m = /^\s*(-?\d{1,3}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)\s*$/.exec(String(value ?? ""));
+  if (!m) throw new DirectionsError(400, `${name} must be "lat,lng"`);
+  const lat = Number(m[1]), lng = Number(m[2]);
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) throw new DirectionsError(400, `${name} is not a valid coordinate`);
+  const [south, west, north, east] = bbox;
+  if (lat < south || lat > north || lng < west || lng > east) throw new DirectionsError(422, `${name} is outside the supported area`);
+  return [Math.round(lat * 1e5) / 1e5, Math.round(lng * 1e5) / 1e5];
+}
+
+// Unix seconds, no more than a day in the past or a year ahead; missing = now
+export function parseDeparture(value, now = Date.now(), name = "departure") {
+  if (value == null || value === "" || value === "now") return null;
+  const t = Number(value);
+  const nowS = Math.floor(now / 1000);
+  if (!Number.isInteger(t) || t < nowS - 86400 || t > nowS + 366 * 86400) throw new DirectionsError(400, `${name} must be unix seconds within the next year`);
+  return t;
+}
+
+// { departure } or { arrival } (arrive-by); both at once is ambiguous
+function parseWhen(src, where = "", now = Date.now()) {
+  const departure = parseDeparture(src.departure, now, `${where}departure`);
+  const arrival = parseDeparture(src.arrival, now, `${where}arrival`);
+  if (departure != null && arrival != null) throw new DirectionsError(400, `${where}departure and ${where}arrival are mutually exclusive`);
+  return { departure, arrival };
+}
+
+const flag = (v) => v === true || v === 1 || v === "1" || v === "true";
+
+export function parseDirectionsQuery(query, env = process.env) {
+  const bbox = parseArea(query.bbox, allowedAreas(env));
+  return {
+    origin: parseLatLng(query.origin, "origin", bbox),
+    destination: parseLatLng(query.destination, "destination", bbox),
+    ...parseWhen(query),
+    details: flag(query.details),
+    alternatives: flag(query.alternatives),
+  };
+}
+
+// { bbox, stops: ["lat,lng", …], legs?: [leg index, …] (default: every leg), departure? | arrival?, details?, alternatives?,
+//   times?: { [leg index]: { departure } | { arrival } } }
+// Leg i runs from stops[i] to stops[i+1]; a leg's own entry in `times` overrides the day-wide time.
+export function parseDayRequest(body, env = process.env) {
+  if (!body || typeof body !== "object" || !Array.isArray(body.stops)) throw new DirectionsError(400, "stops must be a list of \"lat,lng\"");
+  const bbox = parseArea(body.bbox, allowedAreas(env));
+  if (body.stops.length < 2 || body.stops.length > MAX_DAY_STOPS) throw new DirectionsError(400, `stops must have 2 to ${MAX_DAY_STOPS} entries`);
+  const stops = body.stops.map((s, i) => parseLatLng(s, `stops[${i}]`, bbox));
+  let legs = stops.slice(1).map((_, i) => i);
+  if (body.legs != null) {
+    if (!Array.isArray(body.legs) || !body.legs.every((i) => Number.isInteger(i) && i >= 0 && i < stops.length - 1)) {
+      throw new DirectionsError(400, "legs must be leg indices into stops");
+    }
+    legs = [...new Set(body.legs)];
+  }
+  const times = {};
+  if (body.times != null) {
+    if (typeof body.times !== "object" || Array.isArray(body.times)) throw new DirectionsError(400, "times must map leg indices to { departure } or { arrival }");
+    for (const [k, v] of Object.entries(body.times)) {
+      const i = Number(k);
+      if (!Number.isInteger(i) || i < 0 || i >= stops.length - 1 || !v || typeof v !== "object") {
+        throw new DirectionsError(400, "times must map leg indices to { departure } or { arrival }");
+      }
+      times[i] = parseWhen(v, `times[${i}].`);
+    }
+  }
+  return { stops, legs, ...parseWhen(body), times, details: flag(body.details), alternatives: flag(body.alternatives) };
+}
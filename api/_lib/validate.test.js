@@ -0,0 +1,140 @@
+/**
+ * @jest-environment node
+ */
+import { DirectionsError } from "./errors.js";
+import { allowedAreas, MAX_DAY_STOPS, parseArea, parseDayRequest, parseDeparture, parseDirectionsQuery, parseLatLng } from "./validate.js";
+
+const BCN = [40.9, 1.4, 42.1, 3.2];
+const NOW = Date.UTC(2026, 5, 1, 12); // ms
+const NOW_S = NOW / 1000;
+
+const rejects = (fn, status, message) => {
+  try {
+    fn();
+  } catch (e) {
+    expect(e).toBeInstanceOf(DirectionsError);
+    expect(e.status).toBe(status);
+    if (message) expect(e.body.error).toMatch(message);
+    return;
+  }
+  throw new Error("expected a DirectionsError");
+};
+
+describe("allowedAreas", () => {
+  test("reads one or more boxes from DIRECTIONS_BBOX", () => {
+    expect(allowedAreas({ DIRECTIONS_BBOX: "38.6,-9.3,38.8,-9.0" })).toEqual([[38.6, -9.3, 38.8, -9.0]]);
+    expect(allowedAreas({ DIRECTIONS_BBOX: "38.6,-9.3,38.8,-9.0; 40.9,1.4,42.1,3.2" })).toEqual([[38.6, -9.3, 38.8, -9.0], BCN]);
+  });
+
+  test("serves anywhere when unset, skipping malformed boxes", () => {
+    expect(allowedAreas({})).toBeNull();
+    expect(allowedAreas({ DIRECTIONS_BBOX: "1,2,3" })).toBeNull();
+    expect(allowedAreas({ DIRECTIONS_BBOX: "42,1,41,3;a,b,c,d;40.9,1.4,42.1,3.2" })).toEqual([BCN]);
+  });
+});
+
+describe("parseArea", () => {
+  const city = [41.32, 2.05, 41.47, 2.23];
+
+  test("widens the destination's box for day trips", () => {
+    parseArea(city.join(",")).forEach((v, i) => expect(v).toBeCloseTo([40.57, 1.3, 42.22, 2.98][i]));
+    expect(parseArea(city)).toEqual(parseArea(city.join(",")));
+  });
+
+  test("cuts the box down to the allowed area it lies in", () => {
+    expect(parseArea(city.join(","), [[38.6, -9.3, 38.8, -9.0], BCN])).toEqual([40.9, 1.4, 42.1, 2.98]);
+  });
+
+  test("rejects boxes that are malformed, too large or not served", () => {
+    rejects(() => parseArea("41.47,2.05,41.32,2.23"), 400, "bbox must be");
+    rejects(() => parseArea([41.3, 2, 41.4]), 400);
+    rejects(() => parseArea("36,-9,43.8,3.3"), 422, "bbox is too large");
+    rejects(() => parseArea("38.6,-9.3,38.8,-9.0", [BCN]), 422, "bbox is outside the supported area");
+  });
+
+  test("needs a box unless only one area is served", () => {
+    rejects(() => parseArea(undefined), 400, "bbox is required");
+    rejects(() => parseArea("", [BCN, [38.6, -9.3, 38.8, -9.0]]), 400, "bbox is required");
+    expect(parseArea(undefined, [BCN])).toEqual(BCN);
+  });
+});
+
+describe("parseLatLng", () => {
+  test("rounds to 5 decimals", () => {
+    expect(parseLatLng(" 41.4036299, 2.1743558 ", "origin", BCN)).toEqual([41.40363, 2.17436]);
+  });
+
+  test("rejects malformed and impossible coordinates", () => {
+    rejects(() => parseLatLng("41.4;2.17", "origin", BCN), 400, 'origin must be "lat,lng"');
+    rejects(() => parseLatLng(undefined, "origin", BCN), 400);
+    rejects(() => parseLatLng("95,2", "origin", BCN), 400, "not a valid coordinate");
+    rejects(() => parseLatLng("41,181", "origin", BCN), 400, "not a valid coordinate");
+  });
+
+  test("rejects coordinates outside the box with 422", () => {
+    rejects(() => parseLatLng("40.4168,-3.7038", "destination", BCN), 422, "destination is outside the supported area");
+    expect(parseLatLng("40.9,1.4", "origin", BCN)).toEqual([40.9, 1.4]); // edges are inside
+  });
+});
+
+describe("parseDeparture", () => {
+  test("treats missing and 'now' as now", () => {
+    for (const v of [undefined, null, "", "now"]) expect(parseDeparture(v, NOW)).toBeNull();
+  });
+
+  test("accepts a day back to a year ahead", () => {
+    expect(parseDeparture(String(NOW_S - 86400), NOW)).toBe(NOW_S - 86400);
+    expect(parseDeparture(NOW_S + 366 * 86400, NOW)).toBe(NOW_S + 366 * 86400);
+  });
+
+  test("rejects anything else", () => {
+    rejects(() => parseDeparture(NOW_S - 86401, NOW), 400, "departure must be unix seconds");
+    rejects(() => parseDeparture(NOW_S + 366 * 86400 + 1, NOW), 400);
+    rejects(() => parseDeparture("12.5", NOW), 400);
+    rejects(() => parseDeparture("tomorrow", NOW, "arrival"), 400, "arrival must be unix seconds");
+  });
+});
+
+describe("parseDirectionsQuery", () => {
+  test("parses a leg with flags", () => {
+    expect(parseDirectionsQuery({ bbox: "41.32,2.05,41.47,2.23", origin: "41.4,2.17", destination: "41.38,2.18", details: "1", alternatives: "true" }, {})).toEqual({
+      origin: [41.4, 2.17], destination: [41.38, 2.18], departure: null, arrival: null, details: true, alternatives: true,
+    });
+  });
+
+  test("checks coordinates against the request's area", () => {
+    const query = { bbox: "38.69,-9.23,38.8,-9.09", origin: "38.71,-9.14", destination: "41.38,2.18" };
+    expect(parseDirectionsQuery({ ...query, destination: "38.75,-9.2" }, {}).origin).toEqual([38.71, -9.14]);
+    rejects(() => parseDirectionsQuery(query, {}), 422, "destination is outside the supported area");
+  });
+
+  test("refuses departure and arrival together", () => {
+    const t = String(Math.floor(Date.now() / 1000) + 3600);
+    rejects(() => parseDirectionsQuery({ bbox: "41.32,2.05,41.47,2.23", origin: "41.4,2.17", destination: "41.38,2.18", departure: t, arrival: t }, {}), 400, "mutually exclusive");
+  });
+});
+
+describe("parseDayRequest", () => {
+  const bbox = "41.32,2.05,41.47,2.23", stops = ["41.4,2.17", "41.38,2.18", "41.39,2.16"];
+
+  test("routes every leg by default", () => {
+    expect(parseDayRequest({ bbox, stops }, {})).toMatchObject({ legs: [0, 1], times: {}, details: false, alternatives: false });
+  });
+
+  test("takes chosen legs and per-leg times", () => {
+    const t = Math.floor(Date.now() / 1000) + 3600;
+    const day = parseDayRequest({ bbox, stops, legs: [1, 1], times: { 1: { arrival: t } } }, {});
+    expect(day.legs).toEqual([1]);
+    expect(day.times).toEqual({ 1: { departure: null, arrival: t } });
+  });
+
+  test("rejects bad shapes", () => {
+    rejects(() => parseDayRequest(null, {}), 400);
+    rejects(() => parseDayRequest({ bbox, stops: ["41.4,2.17"] }, {}), 400, "2 to");
+    rejects(() => parseDayRequest({ bbox, stops: Array(MAX_DAY_STOPS + 1).fill("41.4,2.17") }, {}), 400);
+    rejects(() => parseDayRequest({ bbox, stops, legs: [2] }, {}), 400, "legs must be leg indices");
+    rejects(() => parseDayRequest({ bbox, stops, times: [] }, {}), 400, "times must map");
+    rejects(() => parseDayRequest({ bbox, stops, times: { 5: { departure: "now" } } }, {}), 400, "times must map");
+    rejects(() => parseDayRequest({ bbox, stops: ["41.4,2.17", "48.85,2.35"] }, {}), 422, "stops[1] is outside");
+  });
+});
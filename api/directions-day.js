@@ -0,0 +1,48 @@
+// api/directions-day.js  (Vercel Serverless Function)
+// Routes several legs of one day in a single round trip:
+//   POST { bbox: "south,west,north,east", stops: ["lat,lng", …], legs?: [index, …], departure? | arrival?, times?, details?, alternatives? }
+//   → { legs: [{ index, overview_polyline, meters, seconds, steps?, alternatives? } | { index, error }] }
+// (steps are plain data, see _lib/steps.js)
+// A leg that fails doesn't fail the day; it comes back with its own `error`.
+import { DirectionsError } from "./_lib/errors.js";
+import { parseDayRequest } from "./_lib/validate.js";
+import { checkRate, routeLeg, sendError } from "./_lib/service.js";
+import { getProvider } from "./_lib/providers/index.js";
+
+const CONCURRENCY = 3;
+
+export default async function handler(req, res) {
+  try {
+    if (req.method && req.method !== "POST") {
+      res.setHeader("Allow", "POST");
+      throw new DirectionsError(405, "Method not allowed");
+    }
+    let body = req.body;
+    if (typeof body === "string") {
+      try { body = JSON.parse(body); } catch { throw new DirectionsError(400, "Body must be JSON"); }
+    }
+    const day = parseDayRequest(body);
+    checkRate(req, res, day.legs.length);
+    const provider = getProvider();
+
+    const legs = new Array(day.legs.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < day.legs.length) {
+        const k = next++, index = day.legs[k];
+        try {
+          const when = day.times[index] || { departure: day.departure, arrival: day.arrival };
+          const { body } = await routeLeg(provider, { ...day, ...when, origin: day.stops[index], destination: day.stops[index + 1] });
+          legs[k] = { index, ...body };
+        } catch (e) {
+          if (!(e instanceof DirectionsError)) console.error("directions-day:", e);
+          legs[k] = { index, ...(e instanceof DirectionsError ? e.body : { error: "Server error" }) };
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, legs.length) }, worker));
+    return res.status(200).json({ legs });
+  } catch (e) {
+    return sendError(res, e);
+  }
+}
@@ -1,54 +1,22 @@
 // api/directions.js  (Vercel Serverless Function)
+import { DirectionsError } from "./_lib/errors.js";
+import { parseDirectionsQuery } from "./_lib/validate.js";
+import { checkRate, routeLeg, sendError } from "./_lib/service.js";
+import { getProvider } from "./_lib/providers/index.js";
+
 export default async function handler(req, res) {
   try {
-    const { origin, destination, departure, details } = req.query;
-    const key = process.env.GOOGLE_MAPS_API_KEY;
-    if (!key) {
-      return res.status(500).json({ error: "Missing GOOGLE_MAPS_API_KEY" });
-    }
-    if (!origin || !destination) {
-      return res.status(400).json({ error: "origin and destination are required" });
-    }
-
-    const params = new URLSearchParams({
-      origin,                       // "lat,lng"
-      destination,                  // "lat,lng"
-      mode: "transit",
-      alternatives: "false",
-      transit_routing_preference: "fewer_transfers",
-      departure_time: departure || Math.floor(Date.now() / 1000), // now, seconds
-      key,
-    });
-
-    const url = `https://maps.googleapis.com/maps/api/directions/json?${params.toString()}`;
-    const r = await fetch(url);
-    const data = await r.json();
-
-    if (data.status !== "OK" || !data.routes?.[0]?.legs?.[0]) {
-      return res.status(502).json({ error: "No transit route", providerStatus: data.status, data });
+    if (req.method && req.method !== "GET") {
+      res.setHeader("Allow", "GET");
+      throw new DirectionsError(405, "Method not allowed");
     }
-
-    const route = data.routes[0];
-    const leg = route.legs[0];
-
-    // Optional: return step details (bus/metro/walk) when ?details=1 is passed
-    let steps = undefined;
-    if (details) {
-      steps = leg.steps?.map((s) => ({
-        travel_mode: s.travel_mode,
-        html_instructions: s.html_instructions,
-        transit_details: s.transit_details || null,
-      }));
-    }
-
+    checkRate(req, res);
+    const query = parseDirectionsQuery(req.query || {});
+    const { body, cached } = await routeLeg(getProvider(), query);
+    res.setHeader("X-Cache", cached ? "HIT" : "MISS");
     res.setHeader("Cache-Control", "s-maxage=300, stale-while-revalidate=86400");
-    return res.status(200).json({
-      overview_polyline: route.overview_polyline?.points || null,
-      meters: leg.distance?.value ?? null,
-      seconds: leg.duration?.value ?? null,
-      steps,
-    });
+    return res.status(200).json(body);
   } catch (e) {
-    return res.status(500).json({ error: "Server error", message: String(e) });
+    return sendError(res, e);
   }
 }
@@ -1,13 +1,18 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import { MapContainer, TileLayer, Marker, Polyline, useMap } from "react-leaflet";
+import { flushSync } from "react-dom";
+import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap, useMapEvents } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
 import L from "leaflet";
 import { QRCodeCanvas } from "qrcode.react";
 import jsPDF from "jspdf";
-import html2canvas from "html2canvas";
+import { LANGUAGES, LOCALES, translator, browserLanguage } from "./i18n";
 
 // ---- Persistence key ----
 const STORAGE_KEY = "barcelona-trip-planner:v3";
+const ROUTE_CACHE_KEY = "barcelona-trip-planner:routes:v1";
+const LIBRARY_KEY = "barcelona-trip-planner:library:v1";
+const PREFS_KEY = "barcelona-trip-planner:prefs:v1";
+const HISTORY_KEY = "barcelona-trip-planner:history:v1"; // sessionStorage
 
 // ---------- Icons ----------
 const shadowUrl = "https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png";
@@ -19,6 +24,14 @@ const stopIcon = L.icon({
   shadowUrl,
   shadowSize: [41, 41],
 });
+const wishIcon = L.icon({
+  iconUrl: "https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-violet.png",
+  iconSize: [25, 41],
+  iconAnchor: [12, 41],
+  popupAnchor: [1, -34],
+  shadowUrl,
+  shadowSize: [41, 41],
+});
 const hotelIcon = L.icon({
   iconUrl: "https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-gold.png",
   iconSize: [25, 41],
@@ -29,11 +42,47 @@ const hotelIcon = L.icon({
 });
 // default marker fix for CRA
 L.Marker.prototype.options.icon = stopIcon;
+// Whole-trip map: one colour per day (cycled on long trips) and numbered markers for visit order
+const DAY_COLORS = ["#e11d48", "#2563eb", "#16a34a", "#d97706", "#7c3aed", "#0891b2", "#db2777", "#65a30d", "#ea580c", "#4f46e5"];
+const numberIcons = new Map();
+function numberIcon(n, color){
+  const key = `${n}|${color}`;
+  if (!numberIcons.has(key)) numberIcons.set(key, L.divIcon({
+    className: "",
+    html: `<div style="background:${color};color:#fff;width:24px;height:24px;border-radius:50%;border:2px solid #fff;box-shadow:0 1px 3px rgba(0,0,0,.4);font:600 12px/20px sans-serif;text-align:center">${n}</div>`,
+    iconSize: [24, 24],
+    iconAnchor: [12, 12],
+  }));
+  return numberIcons.get(key);
+}
 
 // --- Types ---
-/** @typedef {{ id:string, name:string, lat:number, lon:number, address?:string }} Place */
-/** @typedef {{ place: Place, start: string, end: string, notes?: string }} Stop */
+/** @typedef {{ id:string, name:string, lat:number, lon:number, address?:string, openingHours?:string, website?:string, phone?:string }} Place */
+// legMode: how to reach this stop from the previous one; returnMode (last stop only): leg back to the night's base.
+// Both are "foot"|"bike"|"driving"|"transit"|"auto", unset = trip-wide routeMode.
+// Expense amounts are in `currency` (ISO 4217); paidBy is one of the trip's travellers.
+/** @typedef {{ category: string, label?: string, estimated?: number, actual?: number, currency: string, paidBy?: string }} Expense */
+/** @typedef {{ place: Place, start: string, end: string, notes?: string, pinned?: boolean, legMode?: string, returnMode?: string, expenses?: Expense[] }} Stop */
 /** @typedef {{ [isoDate: string]: Stop[] }} Plan */
+// An accommodation for the nights checkIn … checkOut-1 (checkOut is the morning you leave)
+/** @typedef {{ place: Place, checkIn: string, checkOut: string }} Stay */
+// A place we'd like to visit but haven't put on a day yet; duration is the planned visit in minutes.
+// It counts as scheduled while any day has a stop at the same place.
+/** @typedef {{ place: Place, priority: "must"|"want"|"maybe", tags: string[], duration: number, notes?: string }} WishItem */
+/** @typedef {{ id:string, archived:boolean, updatedAt:number, data:object }} TripEntry */
+/** @typedef {{ activeId:string, trips:{ [id:string]: TripEntry } }} Library */
+
+// Where the trip goes: map centre, search area (bbox = [south, west, north, east]), the IANA time zone
+// that stop times are in (used by calendar export/import) and, when known, the ISO 3166 country or
+// region code ("ES-CT") whose public holidays apply
+/** @typedef {{ name:string, lat:number, lon:number, bbox:number[], timeZone:string, timeZoneGuessed?:boolean, region?:string }} Destination */
+const DEFAULT_DESTINATION = { name: "Barcelona", lat: 41.387, lon: 2.17, bbox: [41.32, 2.05, 41.47, 2.23], timeZone: "Europe/Madrid", region: "ES-CT" };
+
+const DEFAULT_TRIP = {
+  tripName: "Barcelona, September 2025", startDate: "2025-09-01", endDate: "2025-09-07", selectedDay: "2025-09-01",
+  plan: {}, routeMode: "foot", autoWalkMeters: 1500, stays: [], useHotelStart: true, useHotelEnd: true, hotelDeparture: "08:00",
+  travellers: [], rates: {}, destination: DEFAULT_DESTINATION, wishlist: [],
+};
 
 // --- Helpers ---
 function formatDate(d){ return d.toISOString().slice(0,10); }
@@ -49,48 +98,1067 @@ function haversine(lat1, lon1, lat2, lon2){
   const a = Math.sin(dphi/2)**2 + Math.cos(toRad(lat1))*Math.cos(toRad(lat2))*Math.sin(dl/2)**2;
   return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
 }
-function estimateHM(seconds){
+function estimateHM(seconds, t = DEFAULT_L10N.t){
   if (seconds == null) return "-";
-  const h = Math.floor(seconds/3600);
-  const m = Math.round((seconds%3600)/60);
-  return (h?`${h}h `:"") + `${m}m`;
+  const total = Math.round(seconds/60);
+  const h = Math.floor(total/60), m = total%60;
+  return h ? t("common.hoursMinutes", { h, m }) : t("common.minutesShort", { m });
 }
-function formatDistance(m){
+function formatDistance(m, units = "metric", locale = LOCALES.en){
   if (m == null) return "-";
-  if (m < 1000) return `${Math.round(m)} m`;
-  return `${(m/1000).toFixed(m < 10000 ? 1 : 2)} km`;
+  const num = (v, digits) => numberFormat(locale, digits).format(v);
+  if (units === "imperial"){
+    const ft = m / 0.3048, mi = m / 1609.344;
+    return ft < 1000 ? `${num(ft, 0)} ft` : `${num(mi, mi < 10 ? 1 : 2)} mi`;
+  }
+  if (m < 1000) return `${num(m, 0)} m`;
+  return `${num(m/1000, m < 10000 ? 1 : 2)} km`;
 }
-function download(filename, text){
+function toMinutes(hm){
+  const [h, m] = String(hm || "").split(":").map(Number);
+  return Number.isFinite(h) && Number.isFinite(m) ? h*60 + m : null;
+}
+function fromMinutes(min){
+  const t = Math.max(0, Math.min(Math.round(min), 23*60 + 59));
+  return `${String(Math.floor(t/60)).padStart(2,"0")}:${String(t%60).padStart(2,"0")}`;
+}
+// --- Localization ---
+// Language and display formats come from device preferences; strings live in ./i18n. Helpers that produce
+// text take an `l10n` (see localization) and default to English, metric and 24-hour times.
+const dateFormats = new Map();
+function dateFormat(locale, options){
+  const key = `${locale}|${JSON.stringify(options)}`;
+  if (!dateFormats.has(key)) dateFormats.set(key, new Intl.DateTimeFormat(locale, { timeZone: "UTC", ...options }));
+  return dateFormats.get(key);
+}
+const numberFormats = new Map();
+function numberFormat(locale, digits){
+  const key = `${locale}|${digits}`;
+  if (!numberFormats.has(key)) numberFormats.set(key, new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }));
+  return numberFormats.get(key);
+}
+// "HH:MM" (up to 24:00) as a wall-clock time in the locale, 12- or 24-hour
+function formatClock(hm, { locale = LOCALES.en, hour12 = false } = {}){
+  const min = toMinutes(hm);
+  if (min == null) return hm || "";
+  if (min === 1440 && !hour12) return "24:00";
+  return dateFormat(locale, { hour: hour12 ? "numeric" : "2-digit", minute: "2-digit", hour12 }).format(Date.UTC(1970, 0, 1, 0, min % 1440));
+}
+// ISO date as "Mon 1 Sep" (short) or "Monday 1 September" (long) in the locale
+function formatDay(iso, locale = LOCALES.en, style = "short"){
+  const [y, m, d] = String(iso).split("-").map(Number);
+  if (!y || !m || !d) return iso;
+  return dateFormat(locale, { weekday: style, day: "numeric", month: style }).format(Date.UTC(y, m-1, d));
+}
+export function localization({ lang = "en", hour12 = false, units = "metric" } = {}){
+  const locale = LOCALES[lang] || LOCALES.en, t = translator(lang);
+  return {
+    lang, locale, hour12, units, t,
+    clock: hm => formatClock(hm, { locale, hour12 }),
+    day: (iso, style) => formatDay(iso, locale, style),
+    distance: m => formatDistance(m, units, locale),
+    duration: seconds => estimateHM(seconds, t),
+    money: (amount, currency) => formatMoney(amount, currency, locale),
+  };
+}
+const DEFAULT_L10N = localization();
+function download(filename, text, type = "text/plain"){
   const a = document.createElement("a");
-  a.href = URL.createObjectURL(new Blob([text], {type:"text/plain"}));
+  a.href = URL.createObjectURL(new Blob([text], {type}));
   a.download = filename; a.click(); URL.revokeObjectURL(a.href);
 }
-function toICS(plan, tripName){
-  const nl = "\r\n";
-  const esc = s => String(s||"").replace(/[,;\\]/g, m => ({",":"\\,", ";":"\\;", "\\":"\\\\"}[m]));
+// --- Calendar (.ics) export / import ---
+// Offset of a time zone from UTC (minutes) at instant `t`
+function tzOffset(timeZone, t){
+  t = Math.floor(t / 60000) * 60000;
+  const p = zonedParts(new Date(t), timeZone);
+  const [y, m, d] = p.date.split("-").map(Number), [h, mi] = p.time.split(":").map(Number);
+  return Math.round((Date.UTC(y, m-1, d, h, mi) - t) / 60000);
+}
+// Offset changes of `timeZone` between two instants: [{ at, from, to }] (UTC ms, offsets in minutes)
+function tzTransitions(timeZone, start, end){
+  const out = [];
+  let prev = tzOffset(timeZone, start);
+  for (let t = start; t < end; t += 86400000){
+    const next = tzOffset(timeZone, t + 86400000);
+    if (next === prev) continue;
+    let lo = t, hi = t + 86400000; // bisect to the minute the offset changes
+    while (hi - lo > 60000){ const mid = lo + Math.floor((hi - lo) / 120000) * 60000; if (tzOffset(timeZone, mid) === prev) lo = mid; else hi = mid; }
+    out.push({ at: hi, from: prev, to: next });
+    prev = next;
+  }
+  return out;
+}
+// VTIMEZONE for `timeZone` with one observance per offset change in the given years, plus the one already in
+// force on 1 January of `fromYear` (dated at the change before it), so every event in the trip falls after an
+// observance. Changes are found with Intl, so any IANA zone works without a bundled tz database.
+export function icsVTimezone(timeZone, fromYear, toYear){
+  const fmtOffset = min => `${min < 0 ? "-" : "+"}${String(Math.floor(Math.abs(min)/60)).padStart(2, "0")}${String(Math.abs(min)%60).padStart(2, "0")}`;
+  const fmtLocal = t => new Date(t).toISOString().replace(/[-:]/g, "").slice(0, 15);
+  const observance = (kind, from, to, start) => [`BEGIN:${kind}`, `TZOFFSETFROM:${fmtOffset(from)}`, `TZOFFSETTO:${fmtOffset(to)}`, `DTSTART:${fmtLocal(start)}`, `END:${kind}`];
+  const change = c => observance(c.to > c.from ? "DAYLIGHT" : "STANDARD", c.from, c.to, c.at + c.from * 60000);
+  const out = ["BEGIN:VTIMEZONE", `TZID:${timeZone}`, `X-LIC-LOCATION:${timeZone}`];
+  const start = Date.UTC(fromYear, 0, 1);
+  const before = tzTransitions(timeZone, start - 366 * 86400000, start).pop();
+  if (before) out.push(...change(before));
+  else { const first = tzOffset(timeZone, start); out.push(...observance("STANDARD", first, first, Date.UTC(1970, 0, 1))); }
+  tzTransitions(timeZone, start, Date.UTC(toYear + 1, 0, 1)).forEach(c => out.push(...change(c)));
+  out.push("END:VTIMEZONE");
+  return out;
+}
+// FNV-1a, used for deterministic UIDs
+function hashString(str){
+  let h = 0x811c9dc5;
+  for (const ch of String(str)) { h ^= ch.codePointAt(0); h = Math.imul(h, 0x01000193) >>> 0; }
+  return h.toString(36);
+}
+function icsEscape(s){
+  return String(s || "").replace(/\r/g, "").replace(/[,;\\\n]/g, m => ({ ",":"\\,", ";":"\\;", "\\":"\\\\", "\n":"\\n" }[m]));
+}
+function icsUnescape(s){
+  return String(s || "").replace(/\\([,;\\nN])/g, (_, c) => (c === "n" || c === "N") ? "\n" : c);
+}
+// RFC 5545 §3.1: lines longer than 75 octets are folded; continuation lines start with a space
+function icsFold(line){
+  const enc = new TextEncoder();
+  if (enc.encode(line).length <= 75) return line;
+  const out = [];
+  let cur = "", bytes = 0;
+  for (const ch of line){
+    const b = enc.encode(ch).length;
+    if (bytes + b > 75){ out.push(cur); cur = " "; bytes = 1; }
+    cur += ch; bytes += b;
+  }
+  out.push(cur);
+  return out.join("\r\n");
+}
+
+/**
+ * Builds a calendar for the trip. UIDs derive from `uidSeed`, the date, the place and its occurrence
+ * that day, so re-importing an updated export updates events instead of duplicating them.
+ * `travel` maps dates to legs: { to, mode, seconds, arriveBy?, departAt? } (HH:MM).
+ */
+export function toICS(trip, { uidSeed = trip.tripName, alarmMinutes = 0, travel = {}, l10n = DEFAULT_L10N } = {}){
+  const { t } = l10n;
+  const tz = trip.destination?.timeZone || DEFAULT_DESTINATION.timeZone;
   const now = new Date().toISOString().replace(/[-:]/g, "").replace(/\..+/, "Z");
-  let ics = `BEGIN:VCALENDAR${nl}VERSION:2.0${nl}PRODID:-//TripPlanner//EN${nl}`;
-  Object.entries(plan).forEach(([date, stops])=>{
-    stops.forEach((s, idx)=>{
-      const dt = date.replace(/-/g, "");
-      const start = `${dt}T${s.start.replace(":","")}00`;
-      const end = `${dt}T${s.end.replace(":","")}00`;
-      const uid = `${date}-${idx}-${Math.random().toString(36).slice(2)}@tripplanner`;
-      const summary = `${esc(tripName)}: ${esc(s.place.name)}`;
-      const loc = `${s.place.lat},${s.place.lon} ${esc(s.place.address || "")}`;
-      const desc = esc(s.notes || "");
-      ics += `BEGIN:VEVENT${nl}DTSTAMP:${now}${nl}UID:${uid}${nl}DTSTART:${start}${nl}DTEND:${end}${nl}SUMMARY:${summary}${nl}LOCATION:${loc}${nl}DESCRIPTION:${desc}${nl}END:VEVENT${nl}`;
+  const seq = Math.floor(Date.now() / 1000);
+  const seed = hashString(uidSeed);
+  const local = (date, hm) => `${date.replace(/-/g, "")}T${hm.replace(":", "")}00`;
+  const alarm = text => alarmMinutes > 0
+    ? ["BEGIN:VALARM", "ACTION:DISPLAY", `DESCRIPTION:${text}`, `TRIGGER:-PT${alarmMinutes}M`, "END:VALARM"]
+    : [];
+  const lines = [
+    "BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//TripPlanner//EN", "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${icsEscape(trip.tripName)}`, `X-WR-TIMEZONE:${tz}`,
+    ...icsVTimezone(tz, Number(trip.startDate.slice(0, 4)), Number(trip.endDate.slice(0, 4))),
+  ];
+  Object.entries(trip.plan).sort(([a], [b]) => a.localeCompare(b)).forEach(([date, stops]) => {
+    const seen = {};
+    stops.forEach(s => {
+      const n = seen[s.place.id] = (seen[s.place.id] || 0) + 1;
+      const summary = `${icsEscape(trip.tripName)}: ${icsEscape(s.place.name)}`;
+      lines.push(
+        "BEGIN:VEVENT", `DTSTAMP:${now}`, `UID:${seed}-${date.replace(/-/g, "")}-${hashString(s.place.id)}-${n}@tripplanner`, `SEQUENCE:${seq}`,
+        `DTSTART;TZID=${tz}:${local(date, s.start)}`, `DTEND;TZID=${tz}:${local(date, s.end)}`,
+        `SUMMARY:${summary}`, `LOCATION:${icsEscape(s.place.address || s.place.name)}`,
+        `GEO:${s.place.lat.toFixed(6)};${s.place.lon.toFixed(6)}`, `DESCRIPTION:${icsEscape(s.notes || "")}`,
+        ...alarm(summary), "END:VEVENT"
+      );
+    });
+    const legSeen = {};
+    (travel[date] || []).forEach(leg => {
+      if (leg.seconds == null) return;
+      const mins = Math.max(1, Math.ceil(leg.seconds / 60));
+      const start = leg.arriveBy != null ? toMinutes(leg.arriveBy) - mins : toMinutes(leg.departAt);
+      if (start == null) return;
+      const key = `${leg.from.place.id}>${leg.to.place.id}`;
+      const n = legSeen[key] = (legSeen[key] || 0) + 1;
+      const summary = icsEscape(t("ics.travelTo", { mode: t(`mode.${leg.mode || "travel"}`), place: leg.to.place.name, time: l10n.duration(leg.seconds) }));
+      lines.push(
+        "BEGIN:VEVENT", `DTSTAMP:${now}`, `UID:${seed}-${date.replace(/-/g, "")}-leg-${hashString(key)}-${n}@tripplanner`, `SEQUENCE:${seq}`,
+        `DTSTART;TZID=${tz}:${local(date, fromMinutes(start))}`, `DTEND;TZID=${tz}:${local(date, fromMinutes(start + mins))}`,
+        `SUMMARY:${summary}`, "CATEGORIES:TRAVEL", "TRANSP:TRANSPARENT", "X-TRIPPLANNER-KIND:TRAVEL",
+        `DESCRIPTION:${icsEscape(`${leg.from.place.name} → ${leg.to.place.name}, ${l10n.distance(leg.meters)}`)}`,
+        ...alarm(summary), "END:VEVENT"
+      );
     });
   });
-  ics += `END:VCALENDAR${nl}`;
-  return ics;
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+// Wall-clock date/time of an instant in a time zone
+function zonedParts(date, timeZone){
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-CA", {
+    timeZone, year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", hourCycle: "h23",
+  }).formatToParts(date).map(p => [p.type, p.value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+// Instant for a wall-clock time in a time zone (two passes settle DST offsets)
+function zonedToDate(y, mo, d, h, mi, timeZone){
+  const wall = Date.UTC(y, mo-1, d, h, mi);
+  let t = wall;
+  for (let i=0; i<2; i++){
+    const p = zonedParts(new Date(t), timeZone);
+    const [py, pm, pd] = p.date.split("-").map(Number), [ph, pmi] = p.time.split(":").map(Number);
+    t += wall - Date.UTC(py, pm-1, pd, ph, pmi);
+  }
+  return new Date(t);
+}
+
+/**
+ * Parses VEVENTs from an .ics file. Times are converted to wall-clock times in `timeZone` (the trip's).
+ * @returns {{ calendarName:string, events: { uid, date, start, end, summary, description, location, lat, lon, travel, allDay }[] }}
+ */
+export function parseICS(text, timeZone = DEFAULT_DESTINATION.timeZone){
+  const lines = String(text).replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const events = [];
+  let calendarName = "", ev = null, nested = 0; // nested: depth inside VALARM etc. within an event
+  const readTime = (params, value) => {
+    const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{0,2}(Z)?)?$/);
+    if (!m) return null;
+    if (!m[4]) return { date: `${m[1]}-${m[2]}-${m[3]}`, time: null };
+    const tzid = params.TZID?.replace(/^"|"$/g, "");
+    if (!m[6] && (!tzid || tzid === timeZone)) return { date: `${m[1]}-${m[2]}-${m[3]}`, time: `${m[4]}:${m[5]}` };
+    let instant;
+    if (m[6]) instant = new Date(Date.UTC(+m[1], m[2]-1, +m[3], +m[4], +m[5]));
+    else {
+      try { instant = zonedToDate(+m[1], +m[2], +m[3], +m[4], +m[5], tzid); }
+      catch { return { date: `${m[1]}-${m[2]}-${m[3]}`, time: `${m[4]}:${m[5]}` }; } // unknown zone: keep wall time
+    }
+    return zonedParts(instant, timeZone);
+  };
+  for (const line of lines){
+    const idx = line.indexOf(":");
+    if (idx < 0) continue;
+    const [name, ...rawParams] = line.slice(0, idx).split(";");
+    const value = line.slice(idx + 1);
+    const params = Object.fromEntries(rawParams.map(p => p.split("=")));
+    const key = name.toUpperCase();
+    if (key === "BEGIN" && value === "VEVENT") { ev = { travel: false }; nested = 0; continue; }
+    if (key === "END" && value === "VEVENT") { if (ev) events.push(ev); ev = null; continue; }
+    if (ev && key === "BEGIN") { nested++; continue; }
+    if (ev && key === "END") { nested = Math.max(0, nested - 1); continue; }
+    if (ev && nested) continue;
+    if (!ev){ if (key === "X-WR-CALNAME") calendarName = icsUnescape(value); continue; }
+    if (key === "UID") ev.uid = value;
+    else if (key === "SUMMARY") ev.summary = icsUnescape(value);
+    else if (key === "DESCRIPTION") ev.description = icsUnescape(value);
+    else if (key === "LOCATION") ev.location = icsUnescape(value);
+    else if (key === "GEO"){ const [la, lo] = value.split(/[;,]/).map(Number); ev.lat = la; ev.lon = lo; }
+    else if (key === "DTSTART" || key === "DTEND"){
+      const t = readTime(params, value);
+      if (!t) continue;
+      if (key === "DTSTART"){ ev.date = t.date; ev.start = t.time; ev.allDay = !t.time; }
+      else ev.end = t.time;
+    }
+    else if (key === "X-TRIPPLANNER-KIND" && value === "TRAVEL") ev.travel = true;
+    else if (key === "CATEGORIES" && /\bTRAVEL\b/i.test(value)) ev.travel = true;
+  }
+  // Exports before GEO was added carried "lat,lon address" in LOCATION
+  for (const e of events){
+    if (Number.isFinite(e.lat) && Number.isFinite(e.lon)) continue;
+    const m = e.location?.match(/^\s*(-?\d+(?:\.\d+)?),\s*(-?\d+(?:\.\d+)?)\s*(.*)$/);
+    if (m){ e.lat = Number(m[1]); e.lon = Number(m[2]); e.location = m[3]; }
+  }
+  return { calendarName, events };
+}
+
+// --- GPX / KML / GeoJSON ---
+// Export input: days = [{ date, stops: Stop[], legs: [{ from, to, mode, line:[lat,lng][], meters, seconds, routed }] }]
+function xmlEscape(s){
+  return String(s ?? "").replace(/[<>&"']/g, c => ({ "<":"&lt;", ">":"&gt;", "&":"&amp;", '"':"&quot;", "'":"&apos;" }[c]));
+}
+function stopSummary(date, s, l10n){
+  return [`${date} ${l10n.clock(s.start)}–${l10n.clock(s.end)}`, s.notes].filter(Boolean).join(" · ");
+}
+function staySummary(st){
+  return [st.place.address, `${st.checkIn} → ${st.checkOut}`].filter(Boolean).join(" · ");
+}
+export function toGPX(name, stays, days, l10n = DEFAULT_L10N){
+  const wpt = (p, desc, type) => `  <wpt lat="${p.lat}" lon="${p.lon}"><name>${xmlEscape(p.name)}</name>${desc ? `<desc>${xmlEscape(desc)}</desc>` : ""}<type>${type}</type></wpt>`;
+  const out = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<gpx version="1.1" creator="TripPlanner" xmlns="http://www.topografix.com/GPX/1/1">`,
+    `  <metadata><name>${xmlEscape(name)}</name></metadata>`,
+  ];
+  stays.forEach(st => out.push(wpt(st.place, staySummary(st), "hotel")));
+  days.forEach(d => d.stops.forEach(s => out.push(wpt(s.place, stopSummary(d.date, s, l10n), "stop"))));
+  days.forEach(d => d.legs.forEach((leg, i) => {
+    out.push(`  <trk><name>${xmlEscape(l10n.t("legs.dayLeg", { day: d.date, n: i+1, from: leg.from.place.name, to: leg.to.place.name }))}</name><type>${leg.mode}</type><trkseg>`);
+    leg.line.forEach(([lat, lon]) => out.push(`    <trkpt lat="${lat}" lon="${lon}"/>`));
+    out.push(`  </trkseg></trk>`);
+  }));
+  out.push(`</gpx>`);
+  return out.join("\n");
+}
+// KML colours are aabbggrr
+function kmlColor(hex){ return `ff${hex.slice(5,7)}${hex.slice(3,5)}${hex.slice(1,3)}`; }
+export function toKML(name, stays, days, l10n = DEFAULT_L10N){
+  const point = (p, desc, style) => `      <Placemark><name>${xmlEscape(p.name)}</name>${desc ? `<description>${xmlEscape(desc)}</description>` : ""}<styleUrl>#${style}</styleUrl><Point><coordinates>${p.lon},${p.lat}</coordinates></Point></Placemark>`;
+  const out = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<kml xmlns="http://www.opengis.net/kml/2.2">`,
+    `  <Document>`,
+    `    <name>${xmlEscape(name)}</name>`,
+    ...Object.entries(ROUTE_STYLE).map(([mode, st]) => `    <Style id="leg-${mode}"><LineStyle><color>${kmlColor(st.color)}</color><width>${st.weight}</width></LineStyle></Style>`),
+    `    <Style id="stop"><IconStyle><color>ffeb6325</color></IconStyle></Style>`,
+    `    <Style id="hotel"><IconStyle><color>ff0bb6f5</color></IconStyle></Style>`,
+  ];
+  stays.forEach(st => out.push(point(st.place, staySummary(st), "hotel").replace(/^ {6}/, "    ")));
+  days.forEach(d => {
+    out.push(`    <Folder><name>${xmlEscape(d.date)}</name>`);
+    d.stops.forEach(s => out.push(point(s.place, stopSummary(d.date, s, l10n), "stop")));
+    d.legs.forEach((leg, i) => out.push(
+      `      <Placemark><name>${xmlEscape(l10n.t("legs.leg", { n: i+1, from: leg.from.place.name, to: leg.to.place.name }))}</name><styleUrl>#leg-${leg.routed ? leg.mode : "fallback"}</styleUrl>` +
+      `<LineString><tessellate>1</tessellate><coordinates>${leg.line.map(([lat, lon]) => `${lon},${lat}`).join(" ")}</coordinates></LineString></Placemark>`
+    ));
+    out.push(`    </Folder>`);
+  });
+  out.push(`  </Document>`, `</kml>`);
+  return out.join("\n");
+}
+function toGeoJSON(name, stays, days){
+  const features = stays.map(st => ({
+    type: "Feature", geometry: { type: "Point", coordinates: [st.place.lon, st.place.lat] },
+    properties: { kind: "hotel", name: st.place.name, address: st.place.address ?? null, checkIn: st.checkIn, checkOut: st.checkOut },
+  }));
+  days.forEach(d => {
+    d.stops.forEach((s, i) => features.push({
+      type: "Feature", geometry: { type: "Point", coordinates: [s.place.lon, s.place.lat] },
+      properties: { kind: "stop", date: d.date, order: i+1, name: s.place.name, address: s.place.address ?? null, start: s.start, end: s.end, notes: s.notes || "" },
+    }));
+    d.legs.forEach((leg, i) => features.push({
+      type: "Feature", geometry: { type: "LineString", coordinates: leg.line.map(([lat, lon]) => [lon, lat]) },
+      properties: { kind: "leg", date: d.date, leg: i+1, from: leg.from.place.name, to: leg.to.place.name, mode: leg.mode, routed: leg.routed, meters: leg.meters ?? null, seconds: leg.seconds ?? null },
+    }));
+  });
+  return JSON.stringify({ type: "FeatureCollection", name, features }, null, 2);
+}
+
+// Points from a GPX (wpt/rtept), KML (Point placemarks) or GeoJSON (Point features) file; unnamed points
+// and the error for an unreadable file are written with `t`. GeoJSON properties that aren't strings (or
+// numbers) are left out. Coordinates are not checked here: the points still go through cleanPlace.
+// @returns {{ name, lat, lon, address?, notes?, date?, start?, end? }[]}
+export function parseGeoFile(text, fileName, t = DEFAULT_L10N.t){
+  const src = String(text).trim();
+  const unnamed = t("import.point");
+  if (/\.(geo)?json$/i.test(fileName) || src.startsWith("{")){
+    const data = JSON.parse(src);
+    const features = data?.type === "FeatureCollection" ? data.features : [data];
+    const str = v => typeof v === "string" ? v.trim() : Number.isFinite(v) ? String(v) : "";
+    return (Array.isArray(features) ? features : []).filter(f => f?.geometry?.type === "Point").map(f => {
+      const p = f.properties && typeof f.properties === "object" ? f.properties : {};
+      const [lon, lat] = Array.isArray(f.geometry.coordinates) ? f.geometry.coordinates : [];
+      return { name: str(p.name) || str(p.title) || unnamed, lat: Number(lat), lon: Number(lon), address: str(p.address) || undefined,
+        notes: str(p.notes) || str(p.description), date: str(p.date) || undefined, start: str(p.start) || undefined, end: str(p.end) || undefined };
+    });
+  }
+  const doc = new DOMParser().parseFromString(src, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error(t("import.badGeo"));
+  const text1 = (el, tag) => el.getElementsByTagName(tag)[0]?.textContent?.trim() || "";
+  if (doc.documentElement.nodeName.toLowerCase() === "gpx"){
+    return [...doc.getElementsByTagName("wpt"), ...doc.getElementsByTagName("rtept")].map(el => ({
+      name: text1(el, "name") || unnamed, lat: Number(el.getAttribute("lat")), lon: Number(el.getAttribute("lon")), notes: text1(el, "desc"),
+    }));
+  }
+  return [...doc.getElementsByTagName("Placemark")].flatMap(pm => {
+    const point = pm.getElementsByTagName("Point")[0];
+    if (!point) return [];
+    const [lon, lat] = text1(point, "coordinates").split(",").map(Number);
+    return [{ name: text1(pm, "name") || unnamed, lat, lon, notes: text1(pm, "description") }];
+  });
+}
+
+// --- PDF itinerary (vector, jsPDF) ---
+// The standard PDF fonts only cover Latin-1, so map common typographic characters and drop the rest
+function pdfText(s){
+  return String(s ?? "")
+    .replace(/€/g, "EUR ").replace(/[→⟶]/g, "->").replace(/[–—]/g, "-").replace(/[“”„]/g, '"').replace(/[‘’]/g, "'").replace(/…/g, "...")
+    .replace(/[^\x20-\x7e\xa0-\xff\n]/g, "");
+}
+function htmlToText(s){
+  return String(s ?? "").replace(/<[^>]+>/g, " ").replace(/&nbsp;/g, " ").replace(/&amp;/g, "&").replace(/\s+/g, " ").trim();
+}
+// Draws stops and legs into a box using a Web Mercator projection (no tiles, so nothing to fail on CORS)
+function drawStaticMap(pdf, x, y, w, h, stops, legs){
+  const merc = ([lat, lon]) => [lon, Math.log(Math.tan(Math.PI/4 + (lat*Math.PI/180)/2)) * 180/Math.PI];
+  const pts = [...stops.map(s => [s.place.lat, s.place.lon]), ...legs.flatMap(l => l.line)].map(merc);
+  pdf.setFillColor(241, 245, 249); pdf.setDrawColor(203, 213, 225); pdf.setLineWidth(0.5);
+  pdf.rect(x, y, w, h, "FD");
+  if (!pts.length) return;
+  const xs = pts.map(p => p[0]), ys = pts.map(p => p[1]);
+  const minX = Math.min(...xs), maxX = Math.max(...xs), minY = Math.min(...ys), maxY = Math.max(...ys);
+  const pad = 18;
+  const scale = Math.min((w - 2*pad) / Math.max(maxX - minX, 1e-6), (h - 2*pad) / Math.max(maxY - minY, 1e-6));
+  const ox = x + (w - (maxX - minX)*scale)/2, oy = y + (h - (maxY - minY)*scale)/2;
+  const project = latlon => { const [mx, my] = merc(latlon); return [ox + (mx - minX)*scale, oy + (maxY - my)*scale]; };
+  legs.forEach(leg => {
+    const st = leg.routed ? (ROUTE_STYLE[leg.mode] || ROUTE_STYLE.driving) : ROUTE_STYLE.fallback;
+    pdf.setDrawColor(st.color); pdf.setLineWidth(st.weight / 2);
+    pdf.setLineDashPattern(leg.routed ? [] : [4, 3], 0);
+    const line = leg.line.map(project);
+    for (let i=0; i<line.length-1; i++) pdf.line(line[i][0], line[i][1], line[i+1][0], line[i+1][1]);
+  });
+  pdf.setLineDashPattern([], 0);
+  pdf.setFontSize(7); pdf.setFont("helvetica", "bold");
+  let n = 0;
+  stops.forEach(s => {
+    const [px, py] = project([s.place.lat, s.place.lon]);
+    const isHotel = !!s.base;
+    pdf.setFillColor(isHotel ? "#f59e0b" : "#4f46e5"); pdf.setDrawColor("#ffffff"); pdf.setLineWidth(1);
+    pdf.circle(px, py, 7, "FD");
+    pdf.setTextColor("#ffffff");
+    pdf.text(isHotel ? "H" : String(++n), px, py + 2.5, { align: "center" });
+  });
+  pdf.setTextColor("#000000");
+}
+
+/**
+ * Builds the itinerary: cover page (name, dates, accommodation, share QR) and one page per day with a static
+ * route map, the timetable and per-leg details. `days` = [{ date, stops, effective, legs }] (legs from legsByDay).
+ */
+function buildItineraryPDF({ trip, days, qrDataUrl, format = "a4", orientation = "portrait", l10n = DEFAULT_L10N }){
+  const { t, money } = l10n;
+  const pdf = new jsPDF({ orientation, unit: "pt", format });
+  const W = pdf.internal.pageSize.getWidth(), H = pdf.internal.pageSize.getHeight(), M = 40;
+  let y = M;
+  const ensure = (h) => { if (y + h > H - M) { pdf.addPage(); y = M; } };
+  const write = (text, { size = 10, style = "normal", color = "#0f172a", indent = 0, gap = 3 } = {}) => {
+    pdf.setFont("helvetica", style); pdf.setFontSize(size); pdf.setTextColor(color);
+    const lines = pdf.splitTextToSize(pdfText(text), W - 2*M - indent);
+    lines.forEach(line => { ensure(size + gap); pdf.text(line, M + indent, y + size); y += size + gap; });
+  };
+  const weekday = date => l10n.day(date, "long");
+
+  // Cover
+  y = M + 40;
+  write(trip.tripName, { size: 26, style: "bold", gap: 8 });
+  write(`${l10n.day(trip.startDate)} - ${l10n.day(trip.endDate)} · ${t("pdf.plannedDays", { count: days.length })} · ${t("trip.stops", { count: countStops(trip.plan) })}`, { size: 12, color: "#475569", gap: 18 });
+  if (trip.stays?.length){
+    write(t("pdf.stays", { count: trip.stays.length }), { size: 11, style: "bold", color: "#475569" });
+    [...trip.stays].sort((a, b) => a.checkIn < b.checkIn ? -1 : 1).forEach((st, i, all) => {
+      const nights = dayDiff(st.checkIn, st.checkOut);
+      write(st.place.name, { size: 13, style: "bold", gap: 2 });
+      write(`${l10n.day(st.checkIn)} - ${l10n.day(st.checkOut)} · ${t("pdf.nights", { count: nights })}`, { size: 9, color: "#475569", gap: 2 });
+      if (st.place.address) write(st.place.address, { size: 9, color: "#64748b", gap: i === all.length - 1 ? 14 : 6 });
+    });
+  }
+  const budget = budgetTotals(tripExpenses(trip.plan), trip.rates);
+  if (budget.count){
+    write(t("budget.title"), { size: 11, style: "bold", color: "#475569" });
+    write(t("budget.summary", { estimated: money(budget.estimated), spent: money(budget.actual) }), { size: 12, gap: 2 });
+    if (budget.unconverted.length) write(t("pdf.notIncluded", { list: budget.unconverted.join(", ") }), { size: 8, color: "#b45309", gap: 2 });
+    settleUp(tripExpenses(trip.plan), trip.travellers || [], trip.rates)
+      .forEach(s => write(t("pdf.owes", { from: s.from, to: s.to, amount: money(s.amount) }), { size: 9, color: "#334155", gap: 2 }));
+    y += 12;
+  }
+  if (qrDataUrl){
+    ensure(180);
+    pdf.addImage(qrDataUrl, "PNG", M, y + 6, 150, 150);
+    pdf.setFontSize(9); pdf.setTextColor("#64748b");
+    pdf.text(pdfText(t("pdf.scan")), M, y + 170);
+    y += 190;
+  }
+  write(t("pdf.days"), { size: 11, style: "bold", color: "#475569" });
+  days.forEach(d => write(`${weekday(d.date)}: ${d.stops.map(s => s.place.name).join(", ")}`, { size: 10, indent: 8 }));
+
+  // One page (or more) per day
+  days.forEach(d => {
+    pdf.addPage(); y = M;
+    write(weekday(d.date), { size: 18, style: "bold", gap: 2 });
+    const from = d.effective.find(s => s.base === "start")?.place, to = d.effective.find(s => s.base === "end")?.place;
+    const base = from && to && from.id !== to.id ? ` · ${t("pdf.fromTo", { from: from.name, to: to.name })}` : (from || to) ? ` · ${t("pdf.base", { name: (from || to).name })}` : "";
+    write(d.date + base, { size: 9, color: "#64748b", gap: 8 });
+    const mapH = Math.min(H * 0.38, 300);
+    drawStaticMap(pdf, M, y, W - 2*M, mapH, d.effective, d.legs);
+    y += mapH + 14;
+
+    write(t("pdf.timetable"), { size: 12, style: "bold", gap: 6 });
+    d.stops.forEach((s, i) => {
+      ensure(30);
+      write(`${i+1}.  ${l10n.clock(s.start)}-${l10n.clock(s.end)}   ${s.place.name}`, { size: 11, style: "bold", gap: 2 });
+      if (s.place.address) write(s.place.address, { size: 8, color: "#64748b", indent: 14, gap: 2 });
+      if (s.notes) write(s.notes, { size: 9, color: "#334155", indent: 14, gap: 2 });
+      (s.expenses || []).forEach(e => write(expenseSummary(e, l10n), { size: 8, color: "#475569", indent: 14, gap: 2 }));
+      y += 4;
+    });
+    const dayBudget = budgetTotals(d.stops.flatMap(s => s.expenses || []), trip.rates);
+    if (dayBudget.count) write(t("pdf.dayCosts", { estimated: money(dayBudget.estimated), spent: money(dayBudget.actual) }), { size: 9, style: "bold", color: "#475569", gap: 4 });
+
+    if (d.legs.length){
+      y += 6;
+      write(t("pdf.gettingAround"), { size: 12, style: "bold", gap: 6 });
+      d.legs.forEach((leg, i) => {
+        const dur = leg.seconds != null ? ` · ~${l10n.duration(leg.seconds)}` : "";
+        const est = leg.routed ? "" : ` ${t("leg.straight")}`;
+        write(t("legs.leg", { n: i+1, from: leg.from.place.name, to: leg.to.place.name }), { size: 10, style: "bold", gap: 1 });
+        write(`${t(`mode.${leg.mode}`)} · ${l10n.distance(leg.meters)}${dur}${est}`, { size: 9, color: "#475569", indent: 14, gap: 2 });
+        (leg.steps || []).forEach(st => write(`- ${stepText(st, trip.destination?.timeZone || DEFAULT_DESTINATION.timeZone, l10n)}`, { size: 8, color: "#334155", indent: 20, gap: 1 }));
+        y += 4;
+      });
+    }
+  });
+
+  const pages = pdf.getNumberOfPages();
+  for (let i=1; i<=pages; i++){
+    pdf.setPage(i);
+    pdf.setFont("helvetica", "normal"); pdf.setFontSize(8); pdf.setTextColor("#94a3b8");
+    pdf.text(pdfText(`${trip.tripName} · ${i}/${pages}`), W - M, H - 20, { align: "right" });
+  }
+  return pdf;
+}
+
+// --- Trip document schema (validation + migrations) ---
+// v4 = the v3 storage shape plus an explicit `version`; v5 replaces the single `hotel` with `stays` (one per run
+// of nights). Every entry point (storage, JSON import, share links) goes through validateTrip, which migrates
+// older versions, repairs what it can and drops what it can't.
+const TRIP_SCHEMA_VERSION = 5;
+const TRAVEL_MODES = ["foot", "bike", "driving", "transit", "auto"];
+const MAX_TRIP_DAYS = 90;
+const TRIP_MIGRATIONS = {
+  // unversioned documents are v3; v4 only adds the version (new settings get defaults below)
+  3: doc => ({ ...doc, version: 4 }),
+  // the old hotel was the base for the whole trip
+  4: ({ hotel, ...doc }) => {
+    const nights = isIsoDate(doc.startDate) ? Math.max(isIsoDate(doc.endDate) ? dayDiff(doc.startDate, doc.endDate) : 0, 1) : 0;
+    return { ...doc, version: 5, stays: hotel ? [{ place: hotel, checkIn: doc.startDate, checkOut: nights ? addDays(doc.startDate, nights) : undefined }] : [] };
+  },
+};
+
+function isIsoDate(s){ return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(parseDate(s).getTime()); }
+// Report lines go through `t` (English by default) so they read in the UI language
+function cleanTime(value, fallback, where, report, t = DEFAULT_L10N.t){
+  const min = toMinutes(value);
+  if (min == null || min < 0 || min >= 24*60){
+    report.repaired.push(t("check.time", { where, value: value ?? "", time: fallback }));
+    return fallback;
+  }
+  return fromMinutes(min);
+}
+function cleanPlace(raw, where, report, t = DEFAULT_L10N.t){
+  if (!raw || typeof raw !== "object"){ report.rejected.push(t("check.noPlace", { where })); return null; }
+  const lat = Number(raw.lat), lon = Number(raw.lon);
+  const label = typeof raw.name === "string" && raw.name.trim() ? raw.name : t("check.unnamed");
+  if (raw.lat == null || raw.lon == null || !Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180){
+    report.rejected.push(t("check.noCoords", { where, name: label }));
+    return null;
+  }
+  const place = { id: String(raw.id ?? `${lat},${lon}`), name: label, lat, lon };
+  for (const k of ["address", "openingHours", "phone"]) if (typeof raw[k] === "string" && raw[k]) place[k] = raw[k];
+  const website = webLink(raw.website);
+  if (website) place.website = website;
+  else if (raw.website != null) report.repaired.push(t("check.website", { where, value: String(raw.website) }));
+  if (label !== raw.name) report.repaired.push(t("check.renamed", { where, name: label }));
+  return place;
+}
+function cleanStop(raw, where, report, t = DEFAULT_L10N.t){
+  if (!raw || typeof raw !== "object"){ report.rejected.push(t("check.notStop", { where })); return null; }
+  const place = cleanPlace(raw.place, where, report, t);
+  if (!place) return null;
+  const stop = {
+    place,
+    start: cleanTime(raw.start, "10:00", `${where} (${place.name})`, report, t),
+    end: cleanTime(raw.end, "11:00", `${where} (${place.name})`, report, t),
+    notes: typeof raw.notes === "string" ? raw.notes : "",
+  };
+  if (raw.pinned === true) stop.pinned = true;
+  if (Array.isArray(raw.expenses) && raw.expenses.length){
+    stop.expenses = raw.expenses.map((e, i) => cleanExpense(e, t("check.cost", { where: `${where} (${place.name})`, n: i+1 }), report, t)).filter(Boolean);
+  }
+  for (const k of ["legMode", "returnMode"]){
+    if (raw[k] == null || raw[k] === "") continue;
+    if (TRAVEL_MODES.includes(raw[k])) stop[k] = raw[k];
+    else report.repaired.push(t("check.legMode", { where: `${where} (${place.name})`, value: raw[k] }));
+  }
+  return stop;
+}
+
+function cleanExpense(raw, where, report, t = DEFAULT_L10N.t){
+  if (!raw || typeof raw !== "object"){ report.rejected.push(t("check.notCost", { where })); return null; }
+  const e = { category: EXPENSE_CATEGORIES.includes(raw.category) ? raw.category : "other" };
+  if (raw.category != null && e.category !== raw.category) report.repaired.push(t("check.category", { where, value: raw.category, category: t("expense.other") }));
+  if (typeof raw.label === "string" && raw.label) e.label = raw.label;
+  for (const k of ["estimated", "actual"]){
+    if (raw[k] == null || raw[k] === "") continue;
+    if (Number.isFinite(raw[k]) && raw[k] >= 0) e[k] = raw[k];
+    else report.repaired.push(t(`check.${k}`, { where, value: raw[k] }));
+  }
+  e.currency = isCurrency(raw.currency) ? raw.currency : BASE_CURRENCY;
+  if (raw.currency != null && e.currency !== raw.currency) report.repaired.push(t("check.currency", { where, value: raw.currency, currency: BASE_CURRENCY }));
+  if (typeof raw.paidBy === "string" && raw.paidBy) e.paidBy = raw.paidBy;
+  return e;
+}
+function cleanWish(raw, where, report, t = DEFAULT_L10N.t){
+  if (!raw || typeof raw !== "object"){ report.rejected.push(t("check.notWish", { where })); return null; }
+  const place = cleanPlace(raw.place, where, report, t);
+  if (!place) return null;
+  const wish = { place, priority: WISH_PRIORITIES.includes(raw.priority) ? raw.priority : "want", tags: [], duration: 60 };
+  if (raw.priority != null && wish.priority !== raw.priority) report.repaired.push(t("check.priority", { where: `${where} (${place.name})`, value: raw.priority, priority: t("wish.want") }));
+  if (Array.isArray(raw.tags)) wish.tags = [...new Set(raw.tags.filter(s => typeof s === "string").map(s => s.trim()).filter(Boolean))];
+  if (Number.isFinite(raw.duration) && raw.duration > 0 && raw.duration < 24*60) wish.duration = Math.round(raw.duration);
+  else if (raw.duration != null) report.repaired.push(t("check.duration", { where: `${where} (${place.name})`, value: raw.duration, count: 60 }));
+  if (typeof raw.notes === "string" && raw.notes) wish.notes = raw.notes;
+  return wish;
+}
+function cleanDestination(raw, report, t = DEFAULT_L10N.t){
+  if (raw == null) return DEFAULT_DESTINATION;
+  const ok = raw && typeof raw === "object" && typeof raw.name === "string" && raw.name.trim()
+    && Number.isFinite(raw.lat) && Math.abs(raw.lat) <= 90 && Number.isFinite(raw.lon) && Math.abs(raw.lon) <= 180;
+  if (!ok){ report.repaired.push(t("check.destination", { name: DEFAULT_DESTINATION.name })); return DEFAULT_DESTINATION; }
+  const dest = { name: raw.name, lat: raw.lat, lon: raw.lon };
+  const b = raw.bbox;
+  dest.bbox = Array.isArray(b) && b.length === 4 && b.every(Number.isFinite) && b[0] < b[2] && b[1] < b[3]
+    ? b : [raw.lat - 0.1, raw.lon - 0.15, raw.lat + 0.1, raw.lon + 0.15];
+  if (dest.bbox !== b) report.repaired.push(t("check.searchArea", { name: raw.name }));
+  dest.timeZone = isTimeZone(raw.timeZone) ? raw.timeZone : DEFAULT_DESTINATION.timeZone;
+  if (dest.timeZone !== raw.timeZone) report.repaired.push(t("check.timeZone", { name: raw.name, value: raw.timeZone ?? "", timeZone: dest.timeZone }));
+  if (dest.timeZone !== raw.timeZone || raw.timeZoneGuessed === true) dest.timeZoneGuessed = true;
+  // Trips saved before destinations had a region: only the default one is known without asking Nominatim
+  const legacy = raw.region == null && raw.name === DEFAULT_DESTINATION.name && raw.lat === DEFAULT_DESTINATION.lat && raw.lon === DEFAULT_DESTINATION.lon;
+  const region = legacy ? DEFAULT_DESTINATION.region : raw.region;
+  if (typeof region === "string" && /^[A-Z]{2}(-[A-Z0-9]{1,3})?$/.test(region)) dest.region = region;
+  return dest;
+}
+function cleanStay(raw, where, trip, report, t = DEFAULT_L10N.t){
+  if (!raw || typeof raw !== "object"){ report.rejected.push(t("check.notStay", { where })); return null; }
+  const place = cleanPlace(raw.place, where, report, t);
+  if (!place) return null;
+  const checkIn = isIsoDate(raw.checkIn) ? raw.checkIn : trip.startDate;
+  if (checkIn !== raw.checkIn) report.repaired.push(t("check.checkIn", { where: `${where} (${place.name})`, value: raw.checkIn ?? "", date: checkIn }));
+  const checkOut = isIsoDate(raw.checkOut) && raw.checkOut > checkIn ? raw.checkOut : (trip.endDate > checkIn ? trip.endDate : addDays(checkIn, 1));
+  if (checkOut !== raw.checkOut) report.repaired.push(t("check.checkOut", { where: `${where} (${place.name})`, value: raw.checkOut ?? "", date: checkOut }));
+  return { place, checkIn, checkOut };
+}
+
+/**
+ * Validates (and migrates) a trip document. The error and report lines are written with `t`.
+ * @returns {{ trip: object|null, error?: string, report: { repaired:string[], rejected:string[], migratedFrom?:number } }}
+ */
+export function validateTrip(raw, t = DEFAULT_L10N.t){
+  const report = { repaired: [], rejected: [] };
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { trip: null, error: t("check.notTrip"), report };
+  let doc = raw;
+  let version = raw.version == null ? 3 : Number(raw.version);
+  if (!Number.isInteger(version)) return { trip: null, error: t("check.badVersion", { version: String(raw.version) }), report };
+  if (version > TRIP_SCHEMA_VERSION) return { trip: null, error: t("check.newer", { version }), report };
+  if (version < TRIP_SCHEMA_VERSION){
+    if (!TRIP_MIGRATIONS[version]) return { trip: null, error: t("check.tooOld", { version }), report };
+    report.migratedFrom = version;
+    while (version < TRIP_SCHEMA_VERSION){ doc = TRIP_MIGRATIONS[version](doc); version = doc.version; }
+  }
+
+  const d = DEFAULT_TRIP;
+  const trip = { version: TRIP_SCHEMA_VERSION };
+  trip.tripName = typeof doc.tripName === "string" && doc.tripName.trim() ? doc.tripName : d.tripName;
+  if (trip.tripName !== doc.tripName) report.repaired.push(t("check.tripName", { name: trip.tripName }));
+
+  trip.startDate = isIsoDate(doc.startDate) ? doc.startDate : d.startDate;
+  if (trip.startDate !== doc.startDate) report.repaired.push(t("check.startDate", { value: doc.startDate ?? "", date: trip.startDate }));
+  trip.endDate = isIsoDate(doc.endDate) && doc.endDate >= trip.startDate ? doc.endDate : trip.startDate;
+  if (trip.endDate !== doc.endDate) report.repaired.push(t("check.endDate", { value: doc.endDate ?? "", date: trip.endDate }));
+  const span = Math.round((parseDate(trip.endDate) - parseDate(trip.startDate)) / 86400000) + 1;
+  if (span > MAX_TRIP_DAYS){
+    trip.endDate = formatDate(new Date(parseDate(trip.startDate).getTime() + (MAX_TRIP_DAYS-1)*86400000));
+    report.repaired.push(t("check.tooLong", { count: MAX_TRIP_DAYS, date: trip.endDate }));
+  }
+
+  trip.plan = {};
+  const plan = doc.plan && typeof doc.plan === "object" && !Array.isArray(doc.plan) ? doc.plan : {};
+  if (doc.plan != null && plan !== doc.plan) report.rejected.push(t("check.planNotMap"));
+  for (const [date, stops] of Object.entries(plan)){
+    if (!isIsoDate(date)){ report.rejected.push(t("check.badDay", { date })); continue; }
+    if (!Array.isArray(stops)){ report.rejected.push(t("check.stopsNotList", { date })); continue; }
+    trip.plan[date] = stops.map((st, i) => cleanStop(st, t("check.stop", { date, n: i+1 }), report, t)).filter(Boolean);
+  }
+
+  trip.stays = [];
+  if (doc.stays != null && !Array.isArray(doc.stays)) report.rejected.push(t("check.staysNotList"));
+  else trip.stays = (doc.stays || []).map((st, i) => cleanStay(st, t("check.stay", { n: i+1 }), trip, report, t)).filter(Boolean);
+
+  trip.routeMode = TRAVEL_MODES.includes(doc.routeMode) ? doc.routeMode : d.routeMode;
+  if (doc.routeMode != null && trip.routeMode !== doc.routeMode) report.repaired.push(t("check.routeMode", { value: doc.routeMode, mode: t(`mode.${d.routeMode}`) }));
+  trip.autoWalkMeters = Number.isFinite(doc.autoWalkMeters) && doc.autoWalkMeters > 0 ? doc.autoWalkMeters : d.autoWalkMeters;
+  trip.useHotelStart = typeof doc.useHotelStart === "boolean" ? doc.useHotelStart : d.useHotelStart;
+  trip.useHotelEnd = typeof doc.useHotelEnd === "boolean" ? doc.useHotelEnd : d.useHotelEnd;
+  trip.hotelDeparture = doc.hotelDeparture == null ? d.hotelDeparture : cleanTime(doc.hotelDeparture, d.hotelDeparture, t("check.hotelDeparture"), report, t);
+  trip.destination = cleanDestination(doc.destination, report, t);
+  trip.wishlist = [];
+  if (doc.wishlist != null && !Array.isArray(doc.wishlist)) report.rejected.push(t("check.wishlistNotList"));
+  else trip.wishlist = (doc.wishlist || []).map((w, i) => cleanWish(w, t("check.wish", { n: i+1 }), report, t)).filter(Boolean);
+  trip.travellers = Array.isArray(doc.travellers)
+    ? [...new Set(doc.travellers.filter(s => typeof s === "string").map(s => s.trim()).filter(Boolean))]
+    : [];
+  trip.rates = {};
+  for (const [cur, rate] of Object.entries(doc.rates && typeof doc.rates === "object" ? doc.rates : {})){
+    if (isCurrency(cur) && Number.isFinite(rate) && rate > 0) trip.rates[cur] = rate;
+    else report.repaired.push(t("check.rate", { currency: cur, rate: String(rate) }));
+  }
+  trip.selectedDay = isIsoDate(doc.selectedDay) && doc.selectedDay >= trip.startDate && doc.selectedDay <= trip.endDate ? doc.selectedDay : trip.startDate;
+  return { trip, report };
+}
+
+// --- Destination ---
+function isTimeZone(tz){
+  if (typeof tz !== "string" || !tz) return false;
+  try { new Intl.DateTimeFormat("en", { timeZone: tz }); return true; } catch { return false; }
+}
+// Nominatim has no time zones: single-zone countries map directly, a few large ones go by longitude (with the
+// regions that skip daylight saving picked out), anything else falls back to the browser's zone. Only the
+// single-zone answers are certain; the rest are flagged so the destination panel asks the user to check them.
+const COUNTRY_TIME_ZONES = {
+  es: "Europe/Madrid", pt: "Europe/Lisbon", fr: "Europe/Paris", it: "Europe/Rome", de: "Europe/Berlin", gb: "Europe/London",
+  ie: "Europe/Dublin", nl: "Europe/Amsterdam", be: "Europe/Brussels", ch: "Europe/Zurich", at: "Europe/Vienna", cz: "Europe/Prague",
+  pl: "Europe/Warsaw", hu: "Europe/Budapest", gr: "Europe/Athens", tr: "Europe/Istanbul", dk: "Europe/Copenhagen", se: "Europe/Stockholm",
+  no: "Europe/Oslo", fi: "Europe/Helsinki", hr: "Europe/Zagreb", ma: "Africa/Casablanca", eg: "Africa/Cairo", za: "Africa/Johannesburg",
+  jp: "Asia/Tokyo", kr: "Asia/Seoul", cn: "Asia/Shanghai", sg: "Asia/Singapore", th: "Asia/Bangkok", in: "Asia/Kolkata",
+  ae: "Asia/Dubai", il: "Asia/Jerusalem", ar: "America/Argentina/Buenos_Aires", nz: "Pacific/Auckland",
+};
+const LONGITUDE_TIME_ZONES = { // [west edge, zone], checked east to west
+  us: [[-87.5, "America/New_York"], [-101, "America/Chicago"], [-115, "America/Denver"], [-180, "America/Los_Angeles"]],
+  ca: [[-68, "America/Halifax"], [-90, "America/Toronto"], [-102, "America/Winnipeg"], [-120, "America/Edmonton"], [-180, "America/Vancouver"]],
+  au: [[141, "Australia/Sydney"], [129, "Australia/Adelaide"], [-180, "Australia/Perth"]],
+  mx: [[-89.2, "America/Cancun"], [-106, "America/Mexico_City"], [-114.5, "America/Hermosillo"], [-180, "America/Tijuana"]],
+  br: [[-34, "America/Noronha"], [-51, "America/Sao_Paulo"], [-66, "America/Manaus"], [-180, "America/Rio_Branco"]],
+  ru: [[172, "Asia/Kamchatka"], [155, "Asia/Magadan"], [130, "Asia/Vladivostok"], [127, "Asia/Yakutsk"], [108, "Asia/Irkutsk"],
+    [88, "Asia/Krasnoyarsk"], [73, "Asia/Omsk"], [60, "Asia/Yekaterinburg"], [50, "Europe/Samara"], [23, "Europe/Moscow"],
+    [19, "Europe/Kaliningrad"], [-180, "Asia/Kamchatka"]],
+  id: [[125, "Asia/Jayapura"], [114.5, "Asia/Makassar"], [-180, "Asia/Jakarta"]],
+};
+// Areas inside a longitude band that keep a different clock: [country, south, west, north, east, zone]
+const TIME_ZONE_AREAS = [
+  ["us", 18, -161, 23, -154, "Pacific/Honolulu"], ["us", 51, -180, 72, -130, "America/Anchorage"],
+  ["us", 31.3, -114.8, 37, -109.05, "America/Phoenix"],
+  ["au", -29, 138, -9, 154, "Australia/Brisbane"], ["au", -26, 129, -10, 138, "Australia/Darwin"],
+];
+/** @returns {{ timeZone:string, guessed:boolean }} */
+export function guessTimeZone(countryCode, lat, lon){
+  if (countryCode === "es" && lon < -13 && lat < 30) return { timeZone: "Atlantic/Canary", guessed: false };
+  if (COUNTRY_TIME_ZONES[countryCode]) return { timeZone: COUNTRY_TIME_ZONES[countryCode], guessed: false };
+  const area = TIME_ZONE_AREAS.find(([cc, s, w, n, e]) => cc === countryCode && lat >= s && lat <= n && lon >= w && lon <= e);
+  if (area) return { timeZone: area[5], guessed: true };
+  const byLon = LONGITUDE_TIME_ZONES[countryCode]?.find(([west]) => lon >= west);
+  if (byLon) return { timeZone: byLon[1], guessed: true };
+  return { timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_DESTINATION.timeZone, guessed: true };
+}
+// Nominatim result → Destination
+function destinationFrom(d){
+  const [south, north, west, east] = (d.boundingbox || []).map(Number);
+  const lat = parseFloat(d.lat), lon = parseFloat(d.lon);
+  const bbox = [south, west, north, east].every(Number.isFinite) ? [south, west, north, east] : [lat - 0.1, lon - 0.15, lat + 0.1, lon + 0.15];
+  const region = d.address?.["ISO3166-2-lvl4"] || d.address?.country_code?.toUpperCase();
+  const { timeZone, guessed } = guessTimeZone(d.address?.country_code, lat, lon);
+  return { name: d.name || d.display_name.split(",")[0], lat, lon, bbox, timeZone, ...(guessed ? { timeZoneGuessed: true } : {}), ...(region ? { region } : {}) };
+}
+
+// --- Dropped pins ---
+// A place made by clicking the map. Its id comes from the coordinates (not Nominatim's place_id) so two pins
+// in the same building stay two places; reverse geocoding only suggests the name and address.
+function pinPlace(lat, lon, name = DEFAULT_L10N.t("pin.title")){
+  return { id: `pin:${lat.toFixed(5)},${lon.toFixed(5)}`, name, lat, lon };
+}
+async function reverseGeocode(lat, lon, lang = "en", fallbackName = DEFAULT_L10N.t("pin.title")){
+  const url = new URL("https://nominatim.openstreetmap.org/reverse");
+  url.searchParams.set("lat", String(lat));
+  url.searchParams.set("lon", String(lon));
+  url.searchParams.set("format", "jsonv2");
+  url.searchParams.set("zoom", "18");
+  url.searchParams.set("addressdetails", "1");
+  url.searchParams.set("accept-language", lang);
+  const res = await fetch(url.toString(), { headers: { "Accept": "application/json" } });
+  if (!res.ok) throw new Error(`Reverse geocoding failed (${res.status})`);
+  const d = await res.json();
+  if (d.error) return null;
+  const a = d.address || {};
+  const street = [a.road || a.pedestrian || a.footway || a.path, a.house_number].filter(Boolean).join(" ");
+  return { name: d.name || street || d.display_name?.split(",")[0] || fallbackName, address: d.display_name || "" };
+}
+
+// --- Trip library (all trips in one localStorage entry) ---
+function newTripId(){ return `trip-${Date.now().toString(36)}-${Math.random().toString(36).slice(2,7)}`; }
+function tripEntry(data, id = newTripId()){
+  return { id, archived: false, updatedAt: Date.now(), data: { ...DEFAULT_TRIP, ...data } };
+}
+// Loads (and validates) the library. `report` collects problems found in stored trips, or is null.
+/** @returns {{ library: Library, report: object|null }} */
+function loadLibrary(t = DEFAULT_L10N.t){
+  const report = { source: t("report.savedTrips"), repaired: [], rejected: [] };
+  const merge = (name, r) => {
+    report.repaired.push(...r.repaired.map(m => `${name}: ${m}`));
+    report.rejected.push(...r.rejected.map(m => `${name}: ${m}`));
+  };
+  const done = library => ({ library, report: report.repaired.length || report.rejected.length ? report : null });
+  let lib = null;
+  try { lib = JSON.parse(localStorage.getItem(LIBRARY_KEY) || "null"); } catch {}
+  if (lib?.trips && typeof lib.trips === "object"){
+    const trips = {};
+    for (const [id, entry] of Object.entries(lib.trips)){
+      const name = entry?.data?.tripName || id;
+      const { trip, error, report: r } = validateTrip(entry?.data, t);
+      if (!trip){ report.rejected.push(t("report.tripRemoved", { name, error })); continue; }
+      merge(name, r);
+      trips[id] = { id, archived: !!entry.archived, updatedAt: Number(entry.updatedAt) || Date.now(), data: trip };
+    }
+    const ids = Object.keys(trips);
+    if (ids.length) return done({ trips, activeId: trips[lib.activeId] ? lib.activeId : ids[0] });
+  }
+  // First run: migrate the single-trip state saved under STORAGE_KEY (left in place as a backup)
+  let legacy = null;
+  try { legacy = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null"); } catch {}
+  const { trip, report: r } = validateTrip(legacy || {}, t);
+  if (legacy) merge(trip?.tripName || t("report.savedTrip"), r);
+  const entry = tripEntry(trip || {});
+  return done({ activeId: entry.id, trips: { [entry.id]: entry } });
+}
+// Device-level preferences (not part of any trip); the language defaults to the browser's
+const DEFAULT_PREFS = {
+  icsTravel: false, icsAlarmMinutes: 0, pdfFormat: "a4", pdfOrientation: "portrait", routeAlternatives: false, transitTiming: "depart",
+  lang: "en", hour12: false, units: "metric",
+};
+function loadPrefs(){
+  const routing = defaultRouting();
+  const defaults = { ...DEFAULT_PREFS, lang: browserLanguage() };
+  try {
+    const stored = JSON.parse(localStorage.getItem(PREFS_KEY) || "{}");
+    for (const mode of ROUTED_MODES) routing[mode] = { ...routing[mode], ...stored.routing?.[mode] };
+    const prefs = { ...defaults, ...stored, routing };
+    return LANGUAGES[prefs.lang] ? prefs : { ...prefs, lang: defaults.lang };
+  }
+  catch { return { ...defaults, routing }; }
+}
+function countStops(plan){ return Object.values(plan || {}).reduce((a, stops) => a + (stops?.length || 0), 0); }
+
+// --- Plan editing (board / drag and drop) ---
+// Move (or copy) plan[from.date][from.idx] to sit before plan[to.date][to.idx] (idx past the end appends)
+function transferStop(plan, from, to, copy = false){
+  const stop = plan[from.date]?.[from.idx];
+  if (!stop) return plan;
+  const next = { ...plan };
+  let at = to.idx;
+  if (!copy){
+    next[from.date] = next[from.date].filter((_, i) => i !== from.idx);
+    if (from.date === to.date && from.idx < at) at--;
+    if (!next[from.date].length && from.date !== to.date) delete next[from.date];
+  }
+  const target = [...(next[to.date] || [])];
+  target.splice(Math.max(0, Math.min(at, target.length)), 0, copy ? { ...stop } : stop);
+  next[to.date] = target;
+  return next;
+}
+// Dates in the plan that hold stops but fall outside the trip's date range
+function orphanDates(plan, days){
+  const inRange = new Set(days);
+  return Object.keys(plan).filter(d => plan[d]?.length && !inRange.has(d)).sort();
+}
+
+// --- Undo/redo history ---
+// { tripId, index, entries:[{ label, at, mergeKey?, state }] }; state = trip snapshot without selectedDay.
+// Consecutive edits with the same mergeKey (typing in one field) within HISTORY_MERGE_MS collapse into one entry.
+const HISTORY_LIMIT = 100;
+const HISTORY_MERGE_MS = 3000;
+function historyStateOf(trip){
+  const { selectedDay, ...state } = trip;
+  return state;
+}
+function freshHistory(tripId, state, t = DEFAULT_L10N.t){
+  return { tripId, index: 0, entries: [{ label: t("history.opened"), at: Date.now(), state }] };
+}
+// Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo: "undo" | "redo" | null. Keys typed into a text field,
+// select or editable element keep their native meaning (undoing the typing, not the plan).
+const NON_TEXT_INPUTS = ["button", "checkbox", "color", "file", "image", "radio", "range", "reset", "submit"];
+export function historyShortcut(e){
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return null;
+  const el = e.target, tag = el?.tagName;
+  if (tag === "TEXTAREA" || tag === "SELECT" || el?.isContentEditable) return null;
+  if (tag === "INPUT" && !NON_TEXT_INPUTS.includes(el.type)) return null;
+  const k = e.key.toLowerCase();
+  if (k === "z") return e.shiftKey ? "redo" : "undo";
+  return k === "y" ? "redo" : null;
+}
+function loadHistory(tripId, state, t){
+  try{
+    const h = JSON.parse(sessionStorage.getItem(HISTORY_KEY) || "null");
+    if (h?.tripId === tripId && Array.isArray(h.entries) && h.entries[h.index]
+      && JSON.stringify(h.entries[h.index].state) === JSON.stringify(state)) return h;
+  }catch{}
+  return freshHistory(tripId, state, t);
+}
+// Label (and merge key) for the difference between two history states
+function describeChange(prev, next, t = DEFAULT_L10N.t){
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const changed = Object.keys(next).filter(k => !same(prev[k], next[k]));
+  if (changed.length !== 1) return { label: t("history.editTrip") };
+  const key = changed[0];
+  if (key === "tripName") return { label: t("history.rename"), mergeKey: "tripName" };
+  if (key === "startDate" || key === "endDate") return { label: t("history.dates"), mergeKey: key };
+  if (key === "stays") return { label: next.stays.length > prev.stays.length ? t("history.addStay", { name: next.stays[next.stays.length-1].place.name }) : t("history.stays") };
+  if (key === "travellers") return { label: t("history.travellers") };
+  if (key === "destination") return { label: t("history.destination", { name: next.destination.name }) };
+  if (key === "wishlist"){
+    if (next.wishlist.length > prev.wishlist.length) return { label: t("history.wishAdd", { name: next.wishlist[next.wishlist.length-1].place.name }) };
+    if (next.wishlist.length < prev.wishlist.length) return { label: t("history.wishRemove") };
+    return { label: t("history.wishEdit"), mergeKey: "wishlist" };
+  }
+  if (key === "rates") return { label: t("history.rates"), mergeKey: "rates" };
+  if (key !== "plan") return { label: t("history.settings"), mergeKey: `setting:${key}` };
+
+  const dates = [...new Set([...Object.keys(prev.plan), ...Object.keys(next.plan)])].filter(d => !same(prev.plan[d], next.plan[d]));
+  const before = dates.flatMap(d => prev.plan[d] || []), after = dates.flatMap(d => next.plan[d] || []);
+  if (dates.length === 1 && after.length === before.length + 1) return { label: t("history.addStop", { name: after.find(s => !before.some(b => same(b, s)))?.place.name || t("history.stop") }) };
+  if (dates.length === 1 && after.length === before.length - 1) return { label: t("history.removeStop", { name: before.find(s => !after.some(a => same(a, s)))?.place.name || t("history.stop") }) };
+  if (after.length !== before.length || dates.some(d => (prev.plan[d] || []).length !== (next.plan[d] || []).length)) return { label: t("history.editPlan") };
+  const pairs = before.map((b, i) => [b, after[i], i]).filter(([b, a]) => !same(b, a));
+  if (pairs.some(([b, a]) => b.place.id !== a.place.id)) return { label: t("history.reorder") };
+  const fields = new Set(pairs.flatMap(([b, a]) => Object.keys({ ...b, ...a }).filter(k => !same(b[k], a[k]))));
+  const one = pairs.length === 1 ? pairs[0] : null;
+  const name = pairs[0]?.[1].place.name;
+  const where = one ? `${dates[0]}:${one[2]}` : "";
+  if (fields.size === 1 && fields.has("notes") && one) return { label: t("history.notes", { name }), mergeKey: `notes:${where}` };
+  if (fields.size === 1 && fields.has("expenses") && one) return { label: t("history.costs", { name }), mergeKey: `costs:${where}` };
+  if ([...fields].every(f => f === "start" || f === "end") && one) return { label: t("history.times", { name }), mergeKey: `time:${where}` };
+  if (fields.size === 1 && fields.has("place") && pairs.every(([, a]) => a.place.id === pairs[0][1].place.id)) {
+    return { label: t("history.hours", { name }), mergeKey: `hours:${pairs[0][1].place.id}` };
+  }
+  if (fields.size === 1 && fields.has("pinned")) return { label: t(one?.[1].pinned ? "history.pin" : "history.unpin", { name }) };
+  if ([...fields].every(f => f === "legMode" || f === "returnMode")) return { label: t("history.mode") };
+  return { label: pairs.length > 1 ? t("history.editTimes") : t("history.edit", { name }) };
 }
 
 // --- Share-link helpers (URL-safe) ---
-function encodeForUrl(obj) {
-  const json = JSON.stringify(obj);
-  const base64 = btoa(unescape(encodeURIComponent(json)));
-  return encodeURIComponent(base64);
+// Current links: ?data=z1.<base64url(deflate-raw(packed JSON))>, or j1.<base64url(packed JSON)> where the
+// browser has no CompressionStream. Anything without a prefix is the original base64 JSON format.
+const QR_BYTE_CAPACITY_L = [17,32,53,78,106,134,154,192,230,271,321,367,425,458,520,586,644,718,792,858,
+  929,1003,1091,1171,1273,1367,1465,1528,1628,1732,1840,1952,2068,2188,2303,2431,2563,2699,2809,2953];
+const QR_SCANNABLE_VERSION = 25; // denser codes are unreliable with phone cameras
+
+// Smallest QR version (ECC level L, byte mode) that holds `text`, or null when nothing fits
+function qrVersionFor(text){
+  const i = QR_BYTE_CAPACITY_L.findIndex(c => c >= new TextEncoder().encode(text).length);
+  return i < 0 ? null : i + 1;
+}
+function addDays(iso, n){
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(Date.UTC(y, m-1, d + n)).toISOString().slice(0,10);
+}
+function dayDiff(a, b){
+  const utc = iso => { const [y, m, d] = iso.split("-").map(Number); return Date.UTC(y, m-1, d); };
+  return Math.round((utc(b) - utc(a)) / 86400000);
+}
+function toBase64Url(bytes){
+  let bin = "";
+  for (let i=0; i<bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+function fromBase64Url(s){
+  const bin = atob(s.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+async function pipeBytes(bytes, transform){
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
+}
+
+// Positional, defaults-omitted form of a trip. Place ids and addresses are dropped (ids are rebuilt
+// from coordinates), coordinates are 1e-5° integers, times are minutes, days are offsets from startDate.
+export function packTrip(t){
+  const place = p => {
+    const a = [p.name, Math.round(p.lat*1e5), Math.round(p.lon*1e5)];
+    if (p.openingHours) a.push(p.openingHours);
+    return a;
+  };
+  const stop = st => {
+    const opts = {};
+    if (st.pinned) opts.p = 1;
+    if (st.legMode) opts.l = st.legMode;
+    if (st.returnMode) opts.r = st.returnMode;
+    // costs: [category index, estimated, actual, currency (0 = EUR), paid by, label]
+    if (st.expenses?.length) opts.x = st.expenses.map(e => [
+      EXPENSE_CATEGORIES.indexOf(e.category), e.estimated ?? null, e.actual ?? null,
+      e.currency === BASE_CURRENCY ? 0 : e.currency, e.paidBy || 0, e.label || 0,
+    ]);
+    const a = [place(st.place), toMinutes(st.start), toMinutes(st.end), st.notes || "", opts];
+    if (!Object.keys(opts).length) a.pop();
+    if (a.length === 4 && !a[3]) a.pop();
+    return a;
+  };
+  const out = { n: t.tripName, s: t.startDate, e: dayDiff(t.startDate, t.endDate), d: [] };
+  for (const [date, stops] of Object.entries(t.plan || {})) if (stops?.length) out.d.push([dayDiff(t.startDate, date), stops.map(stop)]);
+  if (t.stays?.length) out.a = t.stays.map(st => [place(st.place), dayDiff(t.startDate, st.checkIn), dayDiff(st.checkIn, st.checkOut)]);
+  if (t.routeMode !== DEFAULT_TRIP.routeMode) out.m = t.routeMode;
+  if (t.autoWalkMeters !== DEFAULT_TRIP.autoWalkMeters) out.w = t.autoWalkMeters;
+  if (!t.useHotelStart) out.hs = 0;
+  if (!t.useHotelEnd) out.he = 0;
+  if (t.hotelDeparture !== DEFAULT_TRIP.hotelDeparture) out.hd = t.hotelDeparture;
+  // destination: [name, lat, lon, [south, west, north, east], time zone, region?], all coordinates 1e-5° integers
+  const g = t.destination;
+  if (g && JSON.stringify(g) !== JSON.stringify(DEFAULT_DESTINATION)) out.g = [g.name, ...[g.lat, g.lon].map(v => Math.round(v*1e5)), g.bbox.map(v => Math.round(v*1e5)), g.timeZone, ...(g.region ? [g.region] : [])];
+  if (t.travellers?.length) out.t = t.travellers;
+  if (t.rates && Object.keys(t.rates).length) out.x = t.rates;
+  // wishlist: [place, priority index, minutes, tags, notes]
+  if (t.wishlist?.length) out.l = t.wishlist.map(w => {
+    const a = [place(w.place), WISH_PRIORITIES.indexOf(w.priority), w.duration, w.tags, w.notes || ""];
+    if (!a[4]) a.pop();
+    if (a.length === 4 && !a[3].length) a.pop();
+    return a;
+  });
+  return out;
+}
+// One day of a trip as its own one-day trip (with that day's stays), for per-day share links. The wishlist
+// stays behind: it belongs to the whole trip, and the link has to stay short.
+export function dayShareTrip(trip, date){
+  return {
+    ...trip, tripName: `${trip.tripName} (${date})`, startDate: date, endDate: date, selectedDay: date,
+    plan: { [date]: trip.plan[date] || [] }, stays: trip.stays.filter(st => st.checkIn <= date && date <= st.checkOut), wishlist: [],
+  };
+}
+export function unpackTrip(c){
+  const place = a => {
+    const p = { id: `${a[1]},${a[2]}`, name: a[0], lat: a[1]/1e5, lon: a[2]/1e5 };
+    if (a[3]) p.openingHours = a[3];
+    return p;
+  };
+  // `a` = [place, check-in offset, nights]; links made before multiple stays carry one hotel `h` for the whole trip
+  const stays = c => c.a
+    ? c.a.map(([pl, off, nights]) => ({ place: place(pl), checkIn: addDays(c.s, off), checkOut: addDays(c.s, off + nights) }))
+    : c.h ? [{ place: place(c.h), checkIn: c.s, checkOut: addDays(c.s, Math.max(c.e || 0, 1)) }] : [];
+  const plan = {};
+  for (const [off, stops] of c.d || []){
+    plan[addDays(c.s, off)] = stops.map(([pl, start, end, notes = "", o = {}]) => ({
+      place: place(pl), start: fromMinutes(start), end: fromMinutes(end), notes,
+      ...(o.p ? { pinned: true } : {}), ...(o.l ? { legMode: o.l } : {}), ...(o.r ? { returnMode: o.r } : {}),
+      ...(o.x ? { expenses: o.x.map(([cat, estimated, actual, currency, paidBy, label]) => ({
+        category: EXPENSE_CATEGORIES[cat] || "other", currency: currency || BASE_CURRENCY,
+        ...(estimated != null ? { estimated } : {}), ...(actual != null ? { actual } : {}),
+        ...(paidBy ? { paidBy } : {}), ...(label ? { label } : {}),
+      })) } : {}),
+    }));
+  }
+  return {
+    version: TRIP_SCHEMA_VERSION, tripName: c.n, startDate: c.s, endDate: addDays(c.s, c.e || 0), plan,
+    stays: stays(c), routeMode: c.m ?? DEFAULT_TRIP.routeMode, autoWalkMeters: c.w ?? DEFAULT_TRIP.autoWalkMeters,
+    useHotelStart: c.hs !== 0, useHotelEnd: c.he !== 0, hotelDeparture: c.hd ?? DEFAULT_TRIP.hotelDeparture,
+    travellers: c.t || [], rates: c.x || {},
+    destination: c.g ? { name: c.g[0], lat: c.g[1]/1e5, lon: c.g[2]/1e5, bbox: c.g[3].map(v => v/1e5), timeZone: c.g[4], ...(c.g[5] ? { region: c.g[5] } : {}) } : DEFAULT_DESTINATION,
+    wishlist: (c.l || []).map(([pl, pri, duration, tags = [], notes]) => ({
+      place: place(pl), priority: WISH_PRIORITIES[pri] || "want", duration, tags, ...(notes ? { notes } : {}),
+    })),
+  };
+}
+async function encodeShareParam(trip){
+  const bytes = new TextEncoder().encode(JSON.stringify(packTrip(trip)));
+  if (typeof CompressionStream === "undefined") return `j1.${toBase64Url(bytes)}`;
+  return `z1.${toBase64Url(await pipeBytes(bytes, new CompressionStream("deflate-raw")))}`;
+}
+// Decodes any share-link format to a trip document (still to be validated), or null
+async function decodeShareParam(s){
+  try{
+    if (s.startsWith("z1.")) {
+      const bytes = await pipeBytes(fromBase64Url(s.slice(3)), new DecompressionStream("deflate-raw"));
+      return unpackTrip(JSON.parse(new TextDecoder().decode(bytes)));
+    }
+    if (s.startsWith("j1.")) return unpackTrip(JSON.parse(new TextDecoder().decode(fromBase64Url(s.slice(3)))));
+  }catch{ return null; }
+  return decodeFromUrlParam(s);
 }
 function decodeFromUrlParam(s) {
   try {
@@ -99,21 +1167,71 @@ function decodeFromUrlParam(s) {
     return JSON.parse(json);
   } catch { return null; }
 }
-async function copyToClipboard(text) {
+async function copyToClipboard(text, t = DEFAULT_L10N.t) {
   try {
     if (navigator.clipboard?.writeText) {
       await navigator.clipboard.writeText(text);
-      alert("Share link copied! You can also scan the QR code.");
+      alert(t("share.copied"));
     } else {
-      window.prompt("Copy this link:", text);
+      window.prompt(t("share.copyPrompt"), text);
     }
   } catch {
-    window.prompt("Copy this link:", text);
+    window.prompt(t("share.copyPrompt"), text);
+  }
+}
+
+// --- Route cache (localStorage, keyed by mode + rounded endpoints) ---
+const ROUTE_CACHE_TTL = { transit: 6*3600*1000, default: 7*86400*1000 }; // transit timetables change; streets rarely do
+const ROUTE_CACHE_MAX = 300;
+const ROUTE_CONCURRENCY = 3;
+let routeCacheMem = null;
+function routeCache(){
+  if (!routeCacheMem){
+    try { routeCacheMem = JSON.parse(localStorage.getItem(ROUTE_CACHE_KEY) || "{}") || {}; }
+    catch { routeCacheMem = {}; }
+  }
+  return routeCacheMem;
+}
+// `backend` tells apart routes from different routing servers/profiles (see backendTag)
+function routeCacheKey(mode, from, to, backend = ""){
+  const p = c => `${c[0].toFixed(5)},${c[1].toFixed(5)}`;
+  return `${mode}|${p(from)}|${p(to)}${backend ? `|${backend}` : ""}`;
+}
+function getCachedRoute(key){
+  const entry = routeCache()[key];
+  if (!entry) return null;
+  const ttl = ROUTE_CACHE_TTL[key.split("|")[0]] ?? ROUTE_CACHE_TTL.default;
+  return Date.now() - entry.t < ttl ? entry.seg : null;
+}
+function putCachedRoute(key, seg){
+  const cache = routeCache();
+  cache[key] = { t: Date.now(), seg };
+  const keys = Object.keys(cache);
+  if (keys.length > ROUTE_CACHE_MAX){
+    keys.sort((a, b) => cache[a].t - cache[b].t).slice(0, keys.length - ROUTE_CACHE_MAX).forEach(k => delete cache[k]);
+  }
+  try { localStorage.setItem(ROUTE_CACHE_KEY, JSON.stringify(cache)); }
+  catch {
+    // quota exceeded: drop the older half and keep going in memory
+    Object.keys(cache).sort((a, b) => cache[a].t - cache[b].t).slice(0, Math.ceil(keys.length/2)).forEach(k => delete cache[k]);
+    try { localStorage.setItem(ROUTE_CACHE_KEY, JSON.stringify(cache)); } catch {}
   }
 }
+// Runs async tasks with at most `limit` in flight
+async function runWithLimit(tasks, limit){
+  let next = 0;
+  const worker = async () => { while (next < tasks.length) { const i = next++; await tasks[i](); } };
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+}
+
+// Segments fetched with alternatives keep every option in `routes` ([0] = the provider's first choice);
+// the chosen one's line/meters/seconds/steps/summary are copied to the top level.
+function pickRoute(seg, k){
+  return seg && k && seg.routes?.[k] ? { ...seg, ...seg.routes[k], choice: k } : seg;
+}
 
-// Google Encoded Polyline decoder -> [lat,lng][]
-function decodePolyline(str) {
+// Google Encoded Polyline decoder -> [lat,lng][] (Valhalla uses the same encoding with precision 6)
+function decodePolyline(str, precision = 5) {
   let index = 0, lat = 0, lng = 0, coords = [];
   while (index < str.length) {
     let b, shift = 0, result = 0;
@@ -122,11 +1240,596 @@ function decodePolyline(str) {
     shift = 0; result = 0;
     do { b = str.charCodeAt(index++) - 63; result |= (b & 0x1f) << shift; shift += 5; } while (b >= 0x20);
     const dlng = ((result & 1) ? ~(result >> 1) : (result >> 1)); lng += dlng;
-    coords.push([lat * 1e-5, lng * 1e-5]);
+    coords.push([lat / 10**precision, lng / 10**precision]);
   }
   return coords;
 }
 
+// Website as a link we can render: http(s) only (OSM often leaves the scheme off), anything else is dropped
+function webLink(value){
+  if (typeof value !== "string" || !value.trim()) return undefined;
+  const text = value.trim();
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:/i.test(text) ? text : `https://${text}`);
+    return url.protocol === "http:" || url.protocol === "https:" ? url.href : undefined;
+  } catch { return undefined; }
+}
+
+// --- Routing backends ---
+// Each travel mode is routed by a configurable backend: { provider, baseUrl, profile, authHeader }, where
+// authHeader is an optional "Name: value" sent with every request. Adapters turn a run of consecutive
+// points into one route list per leg ([0] = the backend's first choice, further entries = alternatives):
+//   run(cfg, pts, alternatives) → Promise<routes[][]>   (multi: accepts more than two points at once)
+//   legs(cfg, points, indices, alternatives, onLeg, times) (optional: routes arbitrary legs in one request;
+//                                                        times[i] = { departure } | { arrival } in Unix seconds)
+//   matrix(cfg, pts) → Promise<{ seconds, meters }>     (optional: for the visit-order optimiser)
+// Build-time defaults can be set with REACT_APP_ROUTING='{"driving":{"baseUrl":"http://localhost:5000"}}'.
+const ROUTING_PROVIDERS = {
+  osrm:        { label: "OSRM", baseUrl: "https://router.project-osrm.org", profiles: { foot: "foot", bike: "bike", driving: "driving" } },
+  valhalla:    { label: "Valhalla", baseUrl: "https://valhalla1.openstreetmap.de", profiles: { foot: "pedestrian", bike: "bicycle", driving: "auto" } },
+  graphhopper: { label: "GraphHopper", baseUrl: "http://localhost:8989", profiles: { foot: "foot", bike: "bike", driving: "car" } },
+  proxy:       { label: "Transit proxy (/api)", baseUrl: "", profiles: { transit: "" } },
+  fixture:     { label: "Offline fixture", baseUrl: "", profiles: { foot: "foot", bike: "bike", driving: "driving", transit: "transit" } },
+};
+const ROUTED_MODES = ["foot", "bike", "driving", "transit"];
+function defaultRouting(){
+  const osrm = mode => ({ provider: "osrm", baseUrl: ROUTING_PROVIDERS.osrm.baseUrl, profile: ROUTING_PROVIDERS.osrm.profiles[mode], authHeader: "" });
+  const routing = { foot: osrm("foot"), bike: osrm("bike"), driving: osrm("driving"), transit: { provider: "proxy", baseUrl: "", profile: "", authHeader: "" } };
+  let env = {};
+  try { env = JSON.parse(process.env.REACT_APP_ROUTING || "{}") || {}; } catch {}
+  for (const mode of ROUTED_MODES) routing[mode] = { ...routing[mode], ...env[mode] };
+  return routing;
+}
+function backendTag(cfg){
+  return cfg ? hashString(`${cfg.provider}|${cfg.baseUrl}|${cfg.profile}`) : "";
+}
+function routingHeaders(cfg, extra = {}){
+  const m = /^\s*([^:\s]+)\s*:\s*(.+)$/.exec(cfg.authHeader || "");
+  return m ? { ...extra, [m[1]]: m[2] } : extra;
+}
+async function fetchRoutingJSON(cfg, path, body){
+  const url = `${(cfg.baseUrl || "").replace(/\/+$/, "")}${path}`;
+  const res = await fetch(url, body === undefined
+    ? { headers: routingHeaders(cfg) }
+    : { method: "POST", headers: routingHeaders(cfg, { "Content-Type": "application/json" }), body: JSON.stringify(body) });
+  if (!res.ok) throw new Error(`routing ${res.status}`);
+  return res.json();
+}
+const ROUTING_ADAPTERS = {
+  // OSRM: one request per run, each leg's line stitched from its steps; alternatives only between two points
+  osrm: {
+    multi: true,
+    async run(cfg, pts, alternatives){
+      const data = await fetchRoutingJSON(cfg, `/route/v1/${cfg.profile}/${pts.map(p => `${p[1]},${p[0]}`).join(";")}?overview=false&steps=true&geometries=geojson${alternatives ? "&alternatives=3" : ""}`);
+      if (!data.routes?.[0]) throw new Error("no route");
+      const toRoute = leg => ({
+        line: leg.steps.flatMap(st => st.geometry.coordinates).map(([lng,lat])=>[lat,lng]),
+        meters: leg.distance, seconds: leg.duration, steps: null, summary: leg.summary || undefined,
+      });
+      return pts.length === 2 ? [data.routes.map(r => toRoute(r.legs[0]))] : data.routes[0].legs.map(leg => [toRoute(leg)]);
+    },
+    async matrix(cfg, pts){
+      const data = await fetchRoutingJSON(cfg, `/table/v1/${cfg.profile}/${pts.map(p=>`${p[1]},${p[0]}`).join(";")}?annotations=duration,distance`);
+      if (data.code !== "Ok" || !data.durations) throw new Error("no table");
+      return { seconds: data.durations, meters: data.distances };
+    },
+  },
+  // Valhalla: legs carry precision-6 shapes and lengths in km; `alternates` only between two points
+  valhalla: {
+    multi: true,
+    async run(cfg, pts, alternatives){
+      const data = await fetchRoutingJSON(cfg, "/route", {
+        locations: pts.map(([lat, lon]) => ({ lat, lon })), costing: cfg.profile, units: "kilometers", directions_type: "none",
+        ...(alternatives && pts.length === 2 ? { alternates: 2 } : {}),
+      });
+      if (!data.trip?.legs) throw new Error("no route");
+      const toRoute = leg => ({ line: decodePolyline(leg.shape, 6), meters: leg.summary.length * 1000, seconds: leg.summary.time, steps: null });
+      if (pts.length === 2) return [[data.trip, ...(data.alternates || []).map(a => a.trip)].map(t => toRoute(t.legs[0]))];
+      return data.trip.legs.map(leg => [toRoute(leg)]);
+    },
+    async matrix(cfg, pts){
+      const locations = pts.map(([lat, lon]) => ({ lat, lon }));
+      const data = await fetchRoutingJSON(cfg, "/sources_to_targets", { sources: locations, targets: locations, costing: cfg.profile, units: "kilometers" });
+      if (!data.sources_to_targets) throw new Error("no table");
+      return {
+        seconds: data.sources_to_targets.map(row => row.map(c => c.time)),
+        meters: data.sources_to_targets.map(row => row.map(c => c.distance == null ? null : c.distance * 1000)),
+      };
+    },
+  },
+  // GraphHopper: one path for the run, split into legs at the via/finish instructions (sign 5 / 4)
+  graphhopper: {
+    multi: true,
+    async run(cfg, pts, alternatives){
+      const alt = alternatives && pts.length === 2;
+      const data = await fetchRoutingJSON(cfg, "/route", {
+        points: pts.map(([lat, lon]) => [lon, lat]), profile: cfg.profile, points_encoded: false, instructions: true,
+        ...(alt ? { algorithm: "alternative_route", "alternative_route.max_paths": 3, "ch.disable": true } : {}),
+      });
+      if (!data.paths?.[0]) throw new Error("no route");
+      const legsOf = path => {
+        const coords = path.points.coordinates.map(([lng, lat]) => [lat, lng]);
+        const legs = []; let start = 0, meters = 0, ms = 0;
+        for (const ins of path.instructions){
+          meters += ins.distance; ms += ins.time;
+          if (ins.sign === 5 || ins.sign === 4){
+            const end = ins.sign === 4 ? coords.length - 1 : ins.interval[1];
+            legs.push({ line: coords.slice(start, end + 1), meters, seconds: ms / 1000, steps: null });
+            start = end; meters = 0; ms = 0;
+          }
+        }
+        return legs;
+      };
+      if (pts.length === 2) return [data.paths.map(p => legsOf(p)[0])];
+      return legsOf(data.paths[0]).map(leg => [leg]);
+    },
+  },
+  // Our /api/directions-day function: every requested transit leg of the day in one request. Only the legs'
+  // own endpoints are sent (consecutive legs share one), inside the destination's box.
+  proxy: {
+    async legs(cfg, points, indices, alternatives, onLeg, times = {}, area){
+      const stops = [], sent = []; // sent[k] = the day's leg index behind leg k of the request
+      let last = null;
+      for (const i of [...indices].sort((a, b) => a - b)){
+        if (last !== i) stops.push(points[i]);
+        sent[stops.length - 1] = i;
+        stops.push(points[i+1]); last = i + 1;
+      }
+      const legs = Object.keys(sent).map(Number);
+      const data = await fetchRoutingJSON(cfg, "/api/directions-day", {
+        bbox: area?.join(","), stops: stops.map(p => `${p[0]},${p[1]}`), legs, details: true, alternatives,
+        times: Object.fromEntries(legs.filter(k => times[sent[k]]).map(k => [k, times[sent[k]]])),
+      });
+      const toRoute = d => ({ line: decodePolyline(d.overview_polyline), meters: d.meters ?? null, seconds: d.seconds ?? null, steps: d.steps || null, summary: d.summary });
+      for (const leg of data.legs || []){
+        const i = sent[leg.index];
+        if (i == null) continue;
+        if (leg.error || !leg.overview_polyline) onLeg(i, new Error(leg.error || "no polyline"));
+        else onLeg(i, [leg, ...(leg.alternatives || [])].filter(d => d.overview_polyline).map(toRoute));
+      }
+    },
+  },
+  // Offline: straight lines at a typical speed per mode (plus a detour as the alternative)
+  fixture: {
+    multi: true,
+    async run(cfg, pts, alternatives){
+      const speed = { foot: 1.25, bike: 4, driving: 8, transit: 6 }[cfg.profile] || 1.25;
+      return pts.slice(1).map((to, i) => {
+        const from = pts[i], meters = haversine(from[0], from[1], to[0], to[1]) * 1.3;
+        const routes = [{ line: [from, to], meters, seconds: meters / speed, steps: null, summary: "Fixture" }];
+        if (alternatives){
+          const via = [(from[0] + to[0]) / 2 + (to[1] - from[1]) * 0.15, (from[1] + to[1]) / 2 - (to[0] - from[0]) * 0.15];
+          routes.push({ line: [from, via, to], meters: meters * 1.2, seconds: meters * 1.2 / speed, steps: null, summary: "Fixture detour" });
+        }
+        return routes;
+      });
+    },
+  },
+};
+// Routes legs (indices into the legs between `points`) with one backend, in as few requests as the
+// adapter allows; each leg's routes (or an Error) go to onLeg as soon as its request returns.
+// `times` (leg index → { departure } | { arrival }) only reaches adapters that route by time, and `area`
+// (the destination's bbox) the ones that need to name where they route.
+export async function routeLegsWith(cfg, points, indices, alternatives, onLeg, times = {}, area){
+  const adapter = ROUTING_ADAPTERS[cfg.provider];
+  if (!adapter) { indices.forEach(i => onLeg(i, new Error(`unknown routing provider "${cfg.provider}"`))); return; }
+  if (adapter.legs){
+    try { await adapter.legs(cfg, points, indices, alternatives, onLeg, times, area); }
+    catch (e) { indices.forEach(i => onLeg(i, e)); }
+    return;
+  }
+  const runs = [];
+  for (const i of [...indices].sort((a, b) => a - b)){
+    const run = runs[runs.length-1];
+    if (adapter.multi && !alternatives && run && run[run.length-1] === i - 1) run.push(i);
+    else runs.push([i]);
+  }
+  await runWithLimit(runs.map(run => async () => {
+    try { (await adapter.run(cfg, [points[run[0]], ...run.map(i => points[i+1])], alternatives)).forEach((routes, j) => onLeg(run[j], routes)); }
+    catch (e) { run.forEach(i => onLeg(i, e)); }
+  }), ROUTE_CONCURRENCY);
+}
+// Duration/distance matrix between all points from the backend's table service; pairs it can't route are
+// filled in with straight-line estimates
+export async function matrixWith(cfg, pts){
+  const adapter = cfg && ROUTING_ADAPTERS[cfg.provider];
+  if (!adapter?.matrix) throw new Error("no matrix for mode");
+  const data = await adapter.matrix(cfg, pts);
+  const fb = haversineMatrix(pts);
+  return {
+    seconds: data.seconds.map((row,i)=>row.map((v,j)=> v ?? fb.seconds[i][j])),
+    meters: (data.meters || fb.meters).map((row,i)=>row.map((v,j)=> v ?? fb.meters[i][j])),
+  };
+}
+
+// --- Transit timing ---
+// Transit legs are routed for when they happen: leaving as the previous stop ends, or (arrive-by) reaching
+// the next stop as it starts, on the day's date in the destination's time zone. Timetables can only be asked
+// about from now to about a year ahead, so other dates move by whole weeks (same weekday and wall-clock
+// time) to the nearest date that can be routed, and `shifted` says which date that was.
+const TRANSIT_HORIZON_DAYS = 360;
+/** @returns {{ departure?: number, arrival?: number, shifted?: string }|null} Unix seconds */
+export function transitLegTime(date, hm, kind, timeZone, now = Date.now()){
+  const min = toMinutes(hm);
+  if (min == null || !isIsoDate(date)) return null;
+  const at = day => { const [y, m, d] = day.split("-").map(Number); return zonedToDate(y, m, d, Math.floor(min/60), min%60, timeZone).getTime(); };
+  const earliest = now + 5*60000, latest = now + TRANSIT_HORIZON_DAYS*86400000, week = 7*86400000;
+  let day = date, t = at(day);
+  if (t < earliest) day = addDays(day, 7 * Math.ceil((earliest - t) / week));
+  else if (t > latest) day = addDays(day, -7 * Math.ceil((t - latest) / week));
+  t = at(day);
+  if (t < earliest) t = at(day = addDays(day, 7)); // a DST hour can leave it just short
+  const out = { [kind]: Math.floor(t / 1000) };
+  if (day !== date) out.shifted = day;
+  return out;
+}
+
+// --- Route steps ---
+// Steps arrive as plain data from the directions API (see api/_lib/steps.js). Routes cached before that
+// still carry Google's raw step format; those are reduced to plain text here and never rendered as HTML.
+const VEHICLE_ICONS = {
+  BUS: "🚌", INTERCITY_BUS: "🚌", TROLLEYBUS: "🚎", SUBWAY: "🚇", METRO_RAIL: "🚇", TRAM: "🚊", MONORAIL: "🚝",
+  RAIL: "🚆", HEAVY_RAIL: "🚆", COMMUTER_TRAIN: "🚆", HIGH_SPEED_TRAIN: "🚄", LONG_DISTANCE_TRAIN: "🚆",
+  FERRY: "⛴️", CABLE_CAR: "🚡", GONDOLA_LIFT: "🚡", FUNICULAR: "🚞",
+};
+function normalizeStep(st){
+  if (st.mode) return st;
+  const t = st.transit_details;
+  if (st.travel_mode !== "TRANSIT" || !t) return { mode: "walk", text: htmlToText(st.html_instructions) };
+  return {
+    mode: "transit", text: htmlToText(st.html_instructions),
+    transit: {
+      line: { shortName: t.line?.short_name, name: t.line?.name, vehicle: t.line?.vehicle?.type || "OTHER" },
+      departure: { stop: t.departure_stop?.name || "?" }, arrival: { stop: t.arrival_stop?.name || "?" }, stops: t.num_stops,
+    },
+  };
+}
+// Wall-clock time of a step (Unix seconds) in the stop's zone, else the trip's
+function stepClock(at, timeZone, l10n = DEFAULT_L10N){
+  return at?.time != null ? l10n.clock(zonedParts(new Date(at.time * 1000), at.timeZone || timeZone).time) : "";
+}
+// One plain-text line per step (PDF)
+function stepText(raw, timeZone, l10n = DEFAULT_L10N){
+  const { t } = l10n;
+  const st = normalizeStep(raw), tr = st.transit;
+  if (!tr) return `${st.text || t("steps.walk")}${st.meters != null ? ` (${l10n.distance(st.meters)})` : ""}`;
+  const line = [tr.line.vehicleName || tr.line.vehicle.toLowerCase().replace(/_/g, " "), tr.line.shortName || tr.line.name].filter(Boolean).join(" ");
+  const at = (p) => `${p.stop}${stepClock(p, timeZone, l10n) ? ` ${stepClock(p, timeZone, l10n)}` : ""}`;
+  return `${line}${tr.headsign ? ` ${t("steps.towards", { headsign: tr.headsign })}` : ""}: ${at(tr.departure)} -> ${at(tr.arrival)}${tr.stops ? ` (${t("steps.stops", { count: tr.stops })})` : ""}`;
+}
+
+// --- Opening hours (OSM `opening_hours` subset) ---
+const OH_DAYS = ["Su","Mo","Tu","We","Th","Fr","Sa"]; // Date#getDay order
+const OH_MONTHS = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+const OH_RANGES = names => new RegExp(`^(?:${names})(?:\\s*[-,]\\s*(?:${names}))*:?(?=\\s|$)`);
+const OH_MONTH_SELECTOR = OH_RANGES(OH_MONTHS.join("|"));
+const OH_SELECTOR = OH_RANGES("Mo|Tu|We|Th|Fr|Sa|Su|PH");
+
+// "Mo-We,Fr" / "Nov-Feb" → indices into `names`; ranges may wrap around, other parts (PH) are left out
+function ohRange(sel, names){
+  const out = new Set();
+  for (const part of sel.replace(/:$/, "").split(/\s*,\s*/)){
+    const [a, b] = part.split(/\s*-\s*/);
+    const from = names.indexOf(a), to = b ? names.indexOf(b) : from;
+    if (from < 0 || to < 0) continue;
+    for (let i = from; ; i = (i+1) % names.length){ out.add(i); if (i === to) break; }
+  }
+  return [...out];
+}
+
+// One rule, or null when it uses something this subset doesn't read (dates, week numbers, sunrise, …)
+function parseOpeningRule(raw){
+  const monthSel = raw.match(OH_MONTH_SELECTOR)?.[0] ?? "";
+  let rest = raw.slice(monthSel.length).trim();
+  const sel = rest.match(OH_SELECTOR)?.[0] ?? "";
+  rest = rest.slice(sel.length).trim();
+  const days = sel ? ohRange(sel, OH_DAYS) : [0,1,2,3,4,5,6];
+  const rule = { days, ph: /\bPH\b/.test(sel), months: monthSel ? ohRange(monthSel, OH_MONTHS) : null, intervals: [] };
+  if (/^(off|closed)$/i.test(rest)) return rule;
+  if (rest === "" || rest === "24/7" || /^open$/i.test(rest)) { rule.intervals = [[0, 1440]]; return rule; }
+  for (const span of rest.split(/\s*,\s*/)){
+    const m = span.match(/^(\d{1,2}):(\d{2})\s*(?:-\s*(\d{1,2}):(\d{2})|(\+))$/);
+    if (!m) return null;
+    const start = +m[1]*60 + +m[2];
+    let end = m[5] ? 1440 : +m[3]*60 + +m[4];
+    if (end <= start) end += 1440;
+    rule.intervals.push([start, end]);
+  }
+  return rule;
+}
+
+// Parses rules like "Mo-Fr 09:00-14:00,16:00-20:00; Sa 10:00-14:00; Su,PH off", "Jun-Sep 10:00-20:00" or "24/7".
+// Later rules override earlier ones for the days they select. Intervals crossing midnight keep end > 1440.
+// "Quoted comments" are dropped, and so are rules this subset can't read and "||" fallback rules: the
+// rest still gets checked. Returns { rules:[{ days:number[], ph:boolean, months:number[]|null,
+// intervals:[startMin,endMin][] }], skipped:string[] }, or { error } (the first unreadable rule) when nothing is left.
+export function parseOpeningHours(spec){
+  const src = String(spec || "").replace(/"[^"]*"/g, " ").split("||")[0].trim();
+  if (!src) return null;
+  const rules = [], skipped = [];
+  for (const raw of src.split(/\s*;\s*/).map(r => r.trim()).filter(Boolean)){
+    const rule = parseOpeningRule(raw);
+    if (rule) rules.push(rule); else skipped.push(raw);
+  }
+  return rules.length || !skipped.length ? { rules, skipped } : { error: skipped[0] };
+}
+
+// Public holidays by ISO 3166 country and region code, plus a city's own under "region name": fixed "MM-DD"
+// dates and days counted from Easter Sunday. Nowhere else has any known, so "PH" rules don't apply there.
+const HOLIDAYS = {
+  ES: { fixed: ["01-01","01-06","05-01","08-15","10-12","11-01","12-06","12-08","12-25"], easter: [-2] }, // Good Friday
+  "ES-CT": { fixed: ["06-24","09-11","12-26"], easter: [1] },    // Sant Joan, Diada, Sant Esteve; Easter Monday
+  "ES-CT Barcelona": { fixed: ["09-24"], easter: [50] },         // La Mercè; Whit Monday (Segona Pasqua)
+};
+function easterSunday(y){
+  const a = y % 19, b = Math.floor(y/100), c = y % 100, d = Math.floor(b/4), e = b % 4;
+  const f = Math.floor((b+8)/25), g = Math.floor((b-f+1)/3), h = (19*a + b - d - g + 15) % 30;
+  const i = Math.floor(c/4), k = c % 4, l = (32 + 2*e + 2*i - h - k) % 7, m = Math.floor((a + 11*h + 22*l)/451);
+  const month = Math.floor((h + l - 7*m + 114)/31), day = ((h + l - 7*m + 114) % 31) + 1;
+  return new Date(y, month-1, day);
+}
+// ISO dates of the destination's public holidays in a year
+function publicHolidays(year, destination = DEFAULT_DESTINATION){
+  const region = destination?.region;
+  if (!region) return new Set();
+  const iso = d => `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,"0")}-${String(d.getDate()).padStart(2,"0")}`;
+  const easter = easterSunday(year);
+  const offset = days => new Date(easter.getFullYear(), easter.getMonth(), easter.getDate() + days);
+  const sets = [region.split("-")[0], region, `${region} ${destination.name}`].map(k => HOLIDAYS[k]).filter(Boolean);
+  return new Set(sets.flatMap(h => [...h.fixed.map(md => `${year}-${md}`), ...h.easter.map(n => iso(offset(n)))]));
+}
+function isPublicHoliday(isoDate, destination){ return publicHolidays(Number(isoDate.slice(0,4)), destination).has(isoDate); }
+
+// Open intervals (minutes) on a date, including the tail of the previous day's overnight intervals
+function openIntervalsOn(oh, isoDate, destination){
+  const pick = (date) => {
+    const d = parseDate(date), wd = d.getDay(), month = d.getMonth(), ph = isPublicHoliday(date, destination);
+    let intervals = [];
+    for (const r of oh.rules){
+      if (r.months && !r.months.includes(month)) continue;
+      if ((r.ph && ph) || r.days.includes(wd)) intervals = r.intervals;
+    }
+    return intervals;
+  };
+  const prev = new Date(parseDate(isoDate).getTime() - 86400000);
+  const prevIso = `${prev.getFullYear()}-${String(prev.getMonth()+1).padStart(2,"0")}-${String(prev.getDate()).padStart(2,"0")}`;
+  const carried = pick(prevIso).filter(([, b]) => b > 1440).map(([, b]) => [0, b - 1440]);
+  return [...carried, ...pick(isoDate)];
+}
+// Warning text when a visit (minutes, same day) falls outside the hours, else null (also when unknown);
+// "PH" rules follow the destination's public holidays
+export function openingHoursWarning(spec, isoDate, start, end, l10n = DEFAULT_L10N, destination = DEFAULT_DESTINATION){
+  const oh = parseOpeningHours(spec);
+  if (!oh || oh.error || start == null || end == null || end < start) return null;
+  const intervals = openIntervalsOn(oh, isoDate, destination);
+  if (intervals.length === 0){
+    return l10n.t(isPublicHoliday(isoDate, destination) ? "hours.closedHoliday" : `hours.closed${parseDate(isoDate).getDay()}`);
+  }
+  if (intervals.some(([a, b]) => a <= start && end <= b)) return null;
+  const clock = min => l10n.clock(min === 1440 ? "24:00" : fromMinutes(min % 1440));
+  const list = intervals.map(([a, b]) => `${clock(a)}–${clock(b)}`).join(", ");
+  return l10n.t("hours.outside", { list });
+}
+
+// --- Day schedule ---
+// Chains each stop's dwell time (end - start) with the leg durations to get realistic arrival/departure
+// minutes. With `fit` the day is packed from the first stop's time (rounded up to 5 min) instead of
+// waiting for each planned start. Returns one row per stop: { arrival, start, departure, pending, issues[] };
+// `pending` marks a stop whose leg has no duration yet (still routing, or no legs for these stops at all),
+// so its times are only a lower bound. Minutes past midnight are not wrapped.
+export function computeSchedule(stops, segments, { fit = false, l10n = DEFAULT_L10N } = {}){
+  const { t } = l10n;
+  const legs = segments.length === stops.length - 1 ? segments : [];
+  const rows = [];
+  let prevDeparture = null, prevPlannedEnd = null;
+  stops.forEach((s, i) => {
+    const plannedStart = toMinutes(s.start), plannedEnd = toMinutes(s.end);
+    const dwell = plannedStart != null && plannedEnd != null ? Math.max(0, plannedEnd - plannedStart) : 60;
+    const travel = i > 0 ? legs[i-1]?.seconds : 0;
+    const pending = i > 0 && travel == null;
+    const arrival = i === 0 ? (plannedStart ?? 0) : prevDeparture + Math.ceil((travel || 0)/60);
+    const start = fit
+      ? (i === 0 ? arrival : Math.ceil(arrival/5)*5)
+      : Math.max(arrival, plannedStart ?? arrival);
+    const departure = start + dwell;
+    const issues = [];
+    if (plannedStart != null && plannedEnd != null && plannedEnd < plannedStart) issues.push(t("schedule.endsBefore"));
+    if (!fit && i > 0 && plannedStart != null && prevPlannedEnd != null && plannedStart < prevPlannedEnd) {
+      issues.push(t("schedule.overlaps", { time: l10n.clock(fromMinutes(prevPlannedEnd)) }));
+    }
+    if (!fit && i > 0 && !pending && plannedStart != null && arrival > plannedStart) {
+      issues.push(t("schedule.late", { time: l10n.clock(fromMinutes(arrival)), minutes: arrival - plannedStart }));
+    }
+    if (departure >= 24*60) issues.push(t("schedule.midnight"));
+    rows.push({ arrival, start, departure, pending, issues });
+    prevDeparture = departure;
+    prevPlannedEnd = plannedEnd ?? prevPlannedEnd;
+  });
+  return rows;
+}
+
+// --- Accommodation ---
+function stayForNight(stays, date){
+  return stays.find(st => st.checkIn <= date && date < st.checkOut) || null;
+}
+// A day starts where you slept the night before and ends where you sleep that night (on the first and
+// last day of a stay-less night, the other one stands in), so a check-out day runs from old base to new.
+function dayBases(stays, date){
+  const before = stayForNight(stays, addDays(date, -1)), tonight = stayForNight(stays, date);
+  return { start: (before || tonight)?.place || null, end: (tonight || before)?.place || null };
+}
+// Nights of the trip (every day but the last) with no or several accommodations
+function stayIssues(stays, days, l10n = DEFAULT_L10N){
+  if (!stays.length) return [];
+  const nights = days.slice(0, -1);
+  const count = d => stays.filter(st => st.checkIn <= d && d < st.checkOut).length;
+  const missing = nights.filter(d => count(d) === 0), double = nights.filter(d => count(d) > 1);
+  return [
+    ...(missing.length ? [l10n.t("stay.missing", { dates: missing.map(d => l10n.day(d)).join(", ") })] : []),
+    ...(double.length ? [l10n.t("stay.double", { dates: double.map(d => l10n.day(d)).join(", ") })] : []),
+  ];
+}
+
+// --- Wishlist ---
+const WISH_PRIORITIES = ["must", "want", "maybe"];
+// Place id → the dates it's on (only places that are scheduled somewhere)
+function scheduledPlaces(plan){
+  const out = {};
+  for (const [date, stops] of Object.entries(plan)) for (const s of stops){
+    const dates = out[s.place.id] ||= [];
+    if (!dates.includes(date)) dates.push(date);
+  }
+  return out;
+}
+// Appends the item to a day, starting when that day's last stop ends (10:00 on an empty day)
+function scheduleWish(plan, wish, date){
+  const stops = plan[date] || [];
+  const start = stops.length ? Math.max(...stops.map(s => toMinutes(s.end) ?? 0)) : 10*60;
+  const stop = { place: wish.place, start: fromMinutes(start), end: fromMinutes(start + wish.duration), notes: wish.notes || "" };
+  return { ...plan, [date]: [...stops, stop] };
+}
+// Takes every stop at the place off the plan
+function unscheduleWish(plan, placeId){
+  const next = {};
+  for (const [date, stops] of Object.entries(plan)) next[date] = stops.filter(s => s.place.id !== placeId);
+  return next;
+}
+function wishFromStop(stop){
+  const minutes = (toMinutes(stop.end) ?? 0) - (toMinutes(stop.start) ?? 0);
+  return { place: stop.place, priority: "want", tags: [], duration: minutes > 0 ? minutes : 60, ...(stop.notes ? { notes: stop.notes } : {}) };
+}
+
+// --- Budget ---
+// Amounts stay in the currency they were entered in; totals convert to EUR with the trip's own `rates`
+// (EUR per unit). Amounts in a currency without a rate are left out of totals and listed as unconverted.
+const BASE_CURRENCY = "EUR";
+const EXPENSE_CATEGORIES = ["tickets", "food", "transport", "shopping", "other"];
+const CURRENCIES = ["EUR", "GBP", "USD", "CHF", "SEK", "NOK", "DKK", "PLN", "CZK", "JPY", "CAD", "AUD"];
+function isCurrency(c){ return typeof c === "string" && /^[A-Z]{3}$/.test(c); }
+function toEUR(amount, currency, rates){
+  if (amount == null) return null;
+  if (currency === BASE_CURRENCY) return amount;
+  return rates?.[currency] ? amount * rates[currency] : null;
+}
+function formatMoney(amount, currency = BASE_CURRENCY, locale = LOCALES.en){
+  try { return new Intl.NumberFormat(locale, { style: "currency", currency }).format(amount); }
+  catch { return `${amount.toFixed(2)} ${currency}`; }
+}
+function tripExpenses(plan){
+  return Object.values(plan || {}).flatMap(stops => (stops || []).flatMap(s => s.expenses || []));
+}
+function expenseSummary(e, { t, money } = DEFAULT_L10N){
+  const amounts = [
+    e.estimated != null && t("expense.est", { amount: money(e.estimated, e.currency) }),
+    e.actual != null && `${t("expense.spent", { amount: money(e.actual, e.currency) })}${e.paidBy ? ` ${t("expense.paidByName", { name: e.paidBy })}` : ""}`,
+  ].filter(Boolean).join(", ");
+  return `${e.label || t(`expense.${e.category}`)}: ${amounts || t("expense.noAmount")}`;
+}
+/** @returns {{ count:number, estimated:number, actual:number, byCategory:{[c:string]:{estimated:number, actual:number}}, unconverted:string[] }} */
+export function budgetTotals(expenses, rates){
+  const out = { count: expenses.length, estimated: 0, actual: 0, byCategory: {}, unconverted: new Set() };
+  for (const e of expenses){
+    const cat = out.byCategory[e.category] ||= { estimated: 0, actual: 0 };
+    for (const k of ["estimated", "actual"]){
+      const eur = toEUR(e[k], e.currency, rates);
+      if (e[k] != null && eur == null) out.unconverted.add(e.currency);
+      if (eur == null) continue;
+      out[k] += eur; cat[k] += eur;
+    }
+  }
+  return { ...out, unconverted: [...out.unconverted].sort() };
+}
+// Actual spending split equally between all travellers → who pays whom (largest debts settled first)
+export function settleUp(expenses, travellers, rates){
+  if (travellers.length < 2) return [];
+  const balance = Object.fromEntries(travellers.map(t => [t, 0]));
+  for (const e of expenses){
+    const eur = toEUR(e.actual, e.currency, rates);
+    if (eur == null || !(e.paidBy in balance)) continue;
+    balance[e.paidBy] += eur;
+    travellers.forEach(t => { balance[t] -= eur / travellers.length; });
+  }
+  const cents = Object.entries(balance).map(([name, v]) => ({ name, v: Math.round(v * 100) }));
+  const transfers = [];
+  for (;;){
+    const debtor = cents.reduce((a, b) => b.v < a.v ? b : a), creditor = cents.reduce((a, b) => b.v > a.v ? b : a);
+    const amount = Math.min(-debtor.v, creditor.v);
+    if (amount <= 0) break;
+    transfers.push({ from: debtor.name, to: creditor.name, amount: amount / 100 });
+    debtor.v += amount; creditor.v -= amount;
+  }
+  return transfers;
+}
+
+// Day stops wrapped with the day's bases as first/last stop when enabled (those entries carry `base`)
+function buildEffectiveStops(stops, bases, { useHotelStart, useHotelEnd, hotelDeparture }){
+  let arr = [...stops];
+  if (bases.start && useHotelStart) arr = [{ place: bases.start, start: hotelDeparture, end: hotelDeparture, base: "start" }, ...arr];
+  if (bases.end && useHotelEnd)     arr = [...arr, { place: bases.end, start: "22:00", end: "22:00", legMode: stops[stops.length-1]?.returnMode, base: "end" }];
+  return arr;
+}
+
+// --- Visit-order optimisation ---
+// Straight-line matrix used when no routing table is available (same 1.25 m/s as the dashed fallback legs)
+function haversineMatrix(pts){
+  const meters = pts.map(a => pts.map(b => haversine(a[0], a[1], b[0], b[1])));
+  return { meters, seconds: meters.map(row => row.map(m => m/1.25)) };
+}
+function pathTotals(order, matrix){
+  let meters = 0, seconds = 0;
+  for (let k=0; k<order.length-1; k++){
+    meters += matrix.meters[order[k]][order[k+1]];
+    seconds += matrix.seconds[order[k]][order[k+1]];
+  }
+  return { meters, seconds };
+}
+// Returns an order of node indices minimising the summed cost along the path.
+// Nodes flagged in `fixed` keep their position; the others are permuted among the remaining slots
+// (exhaustively for up to 8 free nodes, otherwise by pairwise-swap hill climbing).
+export function optimizeOrder(cost, fixed){
+  const n = cost.length;
+  const slots = [];
+  for (let i=0; i<n; i++) if (!fixed[i]) slots.push(i);
+  const pathCost = o => { let c = 0; for (let k=0; k<o.length-1; k++) c += cost[o[k]][o[k+1]]; return c; };
+  let best = [...Array(n).keys()], bestCost = pathCost(best);
+  if (slots.length < 2) return best;
+
+  if (slots.length <= 8){
+    const cur = [...best];
+    const used = new Array(slots.length).fill(false);
+    const place = (k) => {
+      if (k === slots.length){
+        const c = pathCost(cur);
+        if (c < bestCost - 1e-9){ bestCost = c; best = [...cur]; }
+        return;
+      }
+      for (let f=0; f<slots.length; f++){
+        if (used[f]) continue;
+        used[f] = true; cur[slots[k]] = slots[f];
+        place(k+1);
+        used[f] = false;
+      }
+    };
+    place(0);
+    return best;
+  }
+
+  let improved = true;
+  while (improved){
+    improved = false;
+    for (let a=0; a<slots.length; a++){
+      for (let b=a+1; b<slots.length; b++){
+        const cand = [...best];
+        [cand[slots[a]], cand[slots[b]]] = [cand[slots[b]], cand[slots[a]]];
+        const c = pathCost(cand);
+        if (c < bestCost - 1e-9){ best = cand; bestCost = c; improved = true; }
+      }
+    }
+  }
+  return best;
+}
+
+// Fits the day's stops, or every shown day's in the whole-trip view (only when the points actually change)
 function FitToDayBounds({points}){
   const map = useMap();
   useEffect(()=>{
@@ -134,7 +1837,74 @@ function FitToDayBounds({points}){
     const latlngs = points.map(p=>L.latLng(p[0], p[1]));
     const b = L.latLngBounds(latlngs);
     map.fitBounds(b.pad(0.2));
-  },[points, map]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  },[JSON.stringify(points), map]);
+  return null;
+}
+
+// Click (or long-press, which Leaflet reports as contextmenu on touch screens) to drop a pin. A click that
+// only closes an open popup (Leaflet closes it on preclick, just before the click) doesn't count.
+function MapPinDropper({ onPick }){
+  const popupClosedAt = useRef(0);
+  useMapEvents({
+    popupclose: () => { popupClosedAt.current = Date.now(); },
+    click: e => { if (Date.now() - popupClosedAt.current > 300) onPick(e.latlng); },
+    contextmenu: e => onPick(e.latlng),
+  });
+  return null;
+}
+
+// A leg's steps: walking with its turn-by-turn sub-steps, transit as a line badge in the line's colours
+function RouteSteps({ steps, timeZone, l10n }){
+  const { t } = l10n;
+  return (
+    <ol className="space-y-1 mt-1">
+      {steps.map(normalizeStep).map((st, i) => {
+        const tr = st.transit;
+        if (!tr) return (
+          <li key={i}>
+            <div>🚶 {st.text || t("steps.walk")}{st.meters != null && <span className="text-slate-500"> · {l10n.distance(st.meters)}</span>}</div>
+            {st.substeps?.length > 0 && (
+              <ul className="pl-5 list-disc text-slate-500">
+                {st.substeps.map((sub, k) => <li key={k}>{sub.text}{sub.meters != null && ` · ${l10n.distance(sub.meters)}`}</li>)}
+              </ul>
+            )}
+          </li>
+        );
+        const dep = stepClock(tr.departure, timeZone, l10n), arr = stepClock(tr.arrival, timeZone, l10n);
+        return (
+          <li key={i} className="space-y-0.5">
+            <div className="flex items-center gap-1 flex-wrap">
+              <span
+                className="inline-flex items-center gap-1 px-1.5 rounded font-semibold"
+                style={{ background: tr.line.color || "#e2e8f0", color: tr.line.textColor || (tr.line.color ? "#ffffff" : "#0f172a") }}
+                title={[tr.line.name, tr.line.agency].filter(Boolean).join(" · ")}
+              >
+                {VEHICLE_ICONS[tr.line.vehicle] || "🚍"} {tr.line.shortName || tr.line.name || tr.line.vehicleName || t("steps.transit")}
+              </span>
+              {tr.headsign && <span>{t("steps.towards", { headsign: tr.headsign })}</span>}
+            </div>
+            <div className="pl-2 border-l-2" style={{ borderColor: tr.line.color || "#cbd5e1" }}>
+              <div>{dep && <span className="font-medium">{dep} </span>}{tr.departure.stop}</div>
+              {tr.stops != null && <div className="text-slate-500">{t("steps.stops", { count: tr.stops })}{st.seconds != null && ` · ${l10n.duration(st.seconds)}`}</div>}
+              <div>{arr && <span className="font-medium">{arr} </span>}{tr.arrival.stop}</div>
+            </div>
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
+
+// Fit the map to the destination's area whenever the destination changes
+function FitToDestination({ destination }){
+  const map = useMap();
+  const first = useRef(true);
+  useEffect(()=>{
+    if (first.current){ first.current = false; return; } // the initial view comes from MapContainer
+    const [s, w, n, e] = destination.bbox;
+    map.fitBounds(L.latLngBounds([s, w], [n, e]));
+  }, [destination, map]);
   return null;
 }
 
@@ -147,27 +1917,75 @@ const ROUTE_STYLE = {
   fallback: { color: "#dc2626", weight: 3, dashArray: "6 6" } // dashed red
 };
 
+// "auto" walks legs shorter than `walkMeters` (straight line) and takes transit otherwise
+function resolveLegMode(mode, from, to, walkMeters){
+  if (mode === "auto") return haversine(from[0], from[1], to[0], to[1]) < walkMeters ? "foot" : "transit";
+  return ROUTE_STYLE[mode] && mode !== "fallback" ? mode : "foot";
+}
+
 export default function BarcelonaTripPlanner(){
-  // ---- Load initial state ----
-  const initial = (() => {
-    try { return JSON.parse(localStorage.getItem(STORAGE_KEY) || "null"); }
-    catch { return null; }
-  })();
-
-  const [tripName, setTripName] = useState(initial?.tripName ?? "Barcelona, September 2025");
-  const [startDate, setStartDate] = useState(initial?.startDate ?? "2025-09-01");
-  const [endDate, setEndDate] = useState(initial?.endDate ?? "2025-09-07");
+  // ---- Trip library & active trip ----
+  const [prefs, setPrefs] = useState(loadPrefs);
+  const [boot] = useState(() => loadLibrary(translator(prefs.lang)));
+  const [library, setLibrary] = useState(boot.library);
+  // Validation report shown after loading/importing: { source, error?, repaired[], rejected[], migratedFrom? }
+  const [importReport, setImportReport] = useState(boot.report);
+  // Language, 12/24-hour times and distance units for the UI and exports
+  const { lang, hour12, units } = prefs;
+  const l10n = useMemo(() => localization({ lang, hour12, units }), [lang, hour12, units]);
+  const { t } = l10n;
+  useEffect(()=>{ document.documentElement.lang = lang; }, [lang]);
+  // Map-data export scope and a pending GPX/KML/GeoJSON import: { source, places, day }
+  const [geoScope, setGeoScope] = useState("day");
+  const [geoImport, setGeoImport] = useState(null);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const initial = library.trips[library.activeId]?.data;
+
+  const [tripName, setTripName] = useState(initial?.tripName ?? DEFAULT_TRIP.tripName);
+  const [startDate, setStartDate] = useState(initial?.startDate ?? DEFAULT_TRIP.startDate);
+  const [endDate, setEndDate] = useState(initial?.endDate ?? DEFAULT_TRIP.endDate);
   const days = useMemo(()=>daterange(startDate, endDate), [startDate, endDate]);
   const [selectedDay, setSelectedDay] = useState(
-    () => (initial?.selectedDay && days.includes(initial.selectedDay)) ? initial.selectedDay : (days[0] ?? "2025-09-01")
+    () => (initial?.selectedDay && days.includes(initial.selectedDay)) ? initial.selectedDay : (days[0] ?? DEFAULT_TRIP.selectedDay)
   );
   const [plan, setPlan] = useState(/** @type {Plan} */(initial?.plan ?? {}));
 
-  // Routing / hotel
-  const [routeMode, setRouteMode] = useState(initial?.routeMode ?? "foot"); // "foot"|"driving"|"bike"|"transit"
-  const [hotel, setHotel] = useState(initial?.hotel ?? null);
-  const [useHotelStart, setUseHotelStart] = useState(initial?.useHotelStart ?? true);
-  const [useHotelEnd, setUseHotelEnd] = useState(initial?.useHotelEnd ?? true);
+  // Routing / accommodation
+  const [routeMode, setRouteMode] = useState(initial?.routeMode ?? DEFAULT_TRIP.routeMode); // "foot"|"driving"|"bike"|"transit"|"auto"
+  const [autoWalkMeters, setAutoWalkMeters] = useState(initial?.autoWalkMeters ?? DEFAULT_TRIP.autoWalkMeters);
+  const [stays, setStays] = useState(initial?.stays ?? []);
+  const [useHotelStart, setUseHotelStart] = useState(initial?.useHotelStart ?? DEFAULT_TRIP.useHotelStart);
+  const [useHotelEnd, setUseHotelEnd] = useState(initial?.useHotelEnd ?? DEFAULT_TRIP.useHotelEnd);
+  const [hotelDeparture, setHotelDeparture] = useState(initial?.hotelDeparture ?? DEFAULT_TRIP.hotelDeparture);
+  // Budget: who shares costs, and EUR per unit of each other currency
+  const [travellers, setTravellers] = useState(initial?.travellers ?? []);
+  const [rates, setRates] = useState(initial?.rates ?? {});
+  const [newTraveller, setNewTraveller] = useState("");
+  const [destination, setDestination] = useState(initial?.destination ?? DEFAULT_DESTINATION);
+  const [destQuery, setDestQuery] = useState(null); // null = picker closed
+  const [destResults, setDestResults] = useState([]);
+  const [wishlist, setWishlist] = useState(initial?.wishlist ?? []);
+  const [wishFilter, setWishFilter] = useState(""); // "" | "open" | a tag
+  const [pin, setPin] = useState(null); // dropped pin being named: { place, looking, edited, error? }
+
+  // Snapshot of the active trip (what is persisted, exported and shared)
+  const trip = useMemo(() => ({
+    version: TRIP_SCHEMA_VERSION, tripName, startDate, endDate, selectedDay, plan,
+    routeMode, autoWalkMeters, stays, useHotelStart, useHotelEnd, hotelDeparture, travellers, rates, destination, wishlist
+  }), [tripName, startDate, endDate, selectedDay, plan, routeMode, autoWalkMeters, stays, useHotelStart, useHotelEnd, hotelDeparture, travellers, rates, destination, wishlist]);
+
+  // Undo/redo history of the active trip (sessionStorage, so it survives a reload)
+  const historyState = useMemo(() => historyStateOf(trip), [trip]);
+  const [history, setHistory] = useState(() => loadHistory(library.activeId, historyState, t));
+  const [showHistory, setShowHistory] = useState(false);
+  const historyLabel = useRef(null); // optional label for the next recorded change (set by bulk actions)
+
+  // Drag and drop between timetable rows and board columns; Alt while dropping (or the board toggle) copies
+  const [showBoard, setShowBoard] = useState(false);
+  const [boardCopy, setBoardCopy] = useState(false);
+  const [dragging, setDragging] = useState(null); // { date, idx }
+  const [dropTarget, setDropTarget] = useState(null); // { date, idx }
 
   // Search UI
   const [query, setQuery] = useState("");
@@ -175,57 +1993,191 @@ export default function BarcelonaTripPlanner(){
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
 
-  // QR modal
+  // QR modal: full-trip link, per-day links (offered when the full link is too dense), and the link shown as QR
   const [showQR, setShowQR] = useState(false);
   const [shareUrl, setShareUrl] = useState("");
+  const [dayShareLinks, setDayShareLinks] = useState([]); // [{ date, url }]
+  const [qrUrl, setQrUrl] = useState("");
 
   // Routing results
-  const [segments, setSegments] = useState([]); // [{ line:[lat,lng][], meters, seconds, style, steps? }]
+  const [segments, setSegments] = useState([]); // [{ line:[lat,lng][], meters, seconds, style, steps?, key, routes?, choice? }]
+  const [routeChoices, setRouteChoices] = useState({}); // route cache key -> chosen index into the segment's routes
   const [routingError, setRoutingError] = useState("");
 
   // Show/hide routes & per-leg visibility
   const [showRoutes, setShowRoutes] = useState(false);
+  const [allDaysMap, setAllDaysMap] = useState(false);
+  const [hiddenDays, setHiddenDays] = useState({}); // date -> true while toggled off in the legend
+  const [focusStop, setFocusStop] = useState(null); // { date, idx } picked on the whole-trip map
   const [visibleLegs, setVisibleLegs] = useState({}); // { [index]: boolean }
 
-  // PDF export ref
-  const printRef = useRef(null);
+  // Day-order optimiser proposal: { key, order:number[], before:{meters,seconds}, after:{meters,seconds}, estimated:boolean }
+  const [optimization, setOptimization] = useState(null);
+  const [optimizing, setOptimizing] = useState(false);
+  // Why the last auto-fit left the times alone ("" when it didn't)
+  const [autoFitError, setAutoFitError] = useState("");
+
+  // Hidden QR canvas used to put the share link on the PDF cover
+  const pdfQrRef = useRef(null);
+  const [pdfQrUrl, setPdfQrUrl] = useState("");
 
   // Keep selectedDay valid when date range changes
   useEffect(()=>{
     if(!days.includes(selectedDay)) setSelectedDay(days[0]);
   }, [days, selectedDay]);
 
-  // Persist
+  // Sync the active trip into the library, then persist the library
   useEffect(()=>{
-    try{
-      localStorage.setItem(STORAGE_KEY, JSON.stringify({
-        tripName, startDate, endDate, selectedDay, plan,
-        routeMode, hotel, useHotelStart, useHotelEnd
-      }));
-    }catch{}
-  }, [tripName, startDate, endDate, selectedDay, plan, routeMode, hotel, useHotelStart, useHotelEnd]);
-
-  // Import from ?data= once
+    setLibrary(lib => {
+      const cur = lib.trips[lib.activeId];
+      if (cur && JSON.stringify(cur.data) === JSON.stringify(trip)) return lib;
+      return { ...lib, trips: { ...lib.trips, [lib.activeId]: { ...(cur || tripEntry({}, lib.activeId)), data: trip, updatedAt: Date.now() } } };
+    });
+  }, [trip]);
+  useEffect(()=>{
+    try{ localStorage.setItem(LIBRARY_KEY, JSON.stringify(library)); }catch{}
+  }, [library]);
+  useEffect(()=>{
+    try{ localStorage.setItem(PREFS_KEY, JSON.stringify(prefs)); }catch{}
+  }, [prefs]);
+  function setPref(key, value){ setPrefs(p => ({ ...p, [key]: value })); }
+
+  // Record trip edits into the history (undo/redo only moves the index, so its state is already current)
+  useEffect(()=>{
+    setHistory(h => {
+      if (h.tripId !== library.activeId) return freshHistory(library.activeId, historyState, t);
+      const cur = h.entries[h.index];
+      if (JSON.stringify(cur.state) === JSON.stringify(historyState)) return h;
+      const now = Date.now();
+      const { label, mergeKey } = historyLabel.current ? { label: historyLabel.current } : describeChange(cur.state, historyState, t);
+      historyLabel.current = null;
+      if (mergeKey && cur.mergeKey === mergeKey && h.index > 0 && h.index === h.entries.length - 1 && now - cur.at < HISTORY_MERGE_MS){
+        const entries = [...h.entries];
+        entries[h.index] = { ...cur, at: now, state: historyState };
+        return { ...h, entries };
+      }
+      const entries = [...h.entries.slice(0, h.index + 1), { label, mergeKey, at: now, state: historyState }].slice(-HISTORY_LIMIT);
+      return { ...h, entries, index: entries.length - 1 };
+    });
+  }, [historyState, library.activeId, t]);
+  useEffect(()=>{
+    try{ sessionStorage.setItem(HISTORY_KEY, JSON.stringify(history)); }
+    catch{
+      try{ sessionStorage.setItem(HISTORY_KEY, JSON.stringify({ ...history, entries: history.entries.slice(-10), index: Math.min(history.index, 9) })); }catch{}
+    }
+  }, [history]);
+  function jumpToHistory(index){
+    const entry = history.entries[index];
+    if (!entry || index === history.index) return;
+    setHistory(h => ({ ...h, index }));
+    applyTrip({ ...entry.state, selectedDay });
+  }
+  const undo = () => jumpToHistory(history.index - 1);
+  const redo = () => jumpToHistory(history.index + 1);
+  // Keyboard shortcuts (see historyShortcut)
+  const historyKeys = useRef(null);
+  historyKeys.current = { undo, redo };
+  useEffect(()=>{
+    function onKey(e){
+      const action = historyShortcut(e);
+      if (!action) return;
+      e.preventDefault();
+      historyKeys.current[action]();
+    }
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  // Replace every piece of trip state (missing fields fall back to defaults)
+  function applyTrip(data){
+    const d = { ...DEFAULT_TRIP, ...data };
+    setTripName(d.tripName);
+    setStartDate(d.startDate);
+    setEndDate(d.endDate);
+    setPlan(d.plan ?? {});
+    setSelectedDay(d.selectedDay ?? d.startDate);
+    setRouteMode(d.routeMode);
+    setAutoWalkMeters(d.autoWalkMeters);
+    setStays(d.stays ?? []);
+    setUseHotelStart(d.useHotelStart);
+    setUseHotelEnd(d.useHotelEnd);
+    setHotelDeparture(d.hotelDeparture);
+    setTravellers(d.travellers ?? []);
+    setRates(d.rates ?? {});
+    setDestination(d.destination ?? DEFAULT_DESTINATION);
+    setWishlist(d.wishlist ?? []);
+  }
+  function switchTrip(id){
+    const entry = library.trips[id];
+    if (!entry || id === library.activeId) return;
+    applyTrip(entry.data);
+    setLibrary(lib => ({ ...lib, activeId: id }));
+  }
+  // Add a trip to the library (and open it unless `activate` is false)
+  function addTrip(data, { activate = true } = {}){
+    const entry = tripEntry(data);
+    setLibrary(lib => ({ activeId: activate ? entry.id : lib.activeId, trips: { ...lib.trips, [entry.id]: entry } }));
+    if (activate) applyTrip(entry.data);
+    return entry.id;
+  }
+  function newTrip(){
+    const start = formatDate(new Date());
+    const end = formatDate(new Date(Date.now() + 6*86400000));
+    addTrip({ tripName: t("trip.defaultName", { name: destination.name }), startDate: start, endDate: end, selectedDay: start, destination });
+  }
+  function renameTrip(id){
+    const current = id === library.activeId ? tripName : library.trips[id]?.data.tripName;
+    const name = window.prompt(t("trip.namePrompt"), current || "");
+    if (!name?.trim()) return;
+    if (id === library.activeId) { setTripName(name.trim()); return; }
+    setLibrary(lib => ({ ...lib, trips: { ...lib.trips, [id]: { ...lib.trips[id], data: { ...lib.trips[id].data, tripName: name.trim() }, updatedAt: Date.now() } } }));
+  }
+  function duplicateTrip(id){
+    const data = id === library.activeId ? trip : library.trips[id]?.data;
+    if (data) addTrip({ ...data, tripName: t("trip.copyName", { name: data.tripName }) }, { activate: false });
+  }
+  function setTripArchived(id, archived){
+    setLibrary(lib => ({ ...lib, trips: { ...lib.trips, [id]: { ...lib.trips[id], archived } } }));
+  }
+  function deleteTrip(id){
+    const name = library.trips[id]?.data.tripName;
+    if (!window.confirm(t("trip.deleteConfirm", { name }))) return;
+    const rest = Object.values(library.trips).filter(entry => entry.id !== id);
+    if (id !== library.activeId){
+      setLibrary(lib => { const trips = { ...lib.trips }; delete trips[id]; return { ...lib, trips }; });
+      return;
+    }
+    // Deleting the open trip: open the most recently edited remaining one (or a fresh default trip)
+    const nextEntry = rest.sort((a, b) => b.updatedAt - a.updatedAt)[0] || tripEntry({});
+    const trips = Object.fromEntries([...rest, nextEntry].map(entry => [entry.id, entry]));
+    setLibrary({ activeId: nextEntry.id, trips });
+    applyTrip(nextEntry.data);
+  }
+
+  // Validate an incoming document and add it as a new trip; report problems either way
+  function importTrip(raw, source){
+    const { trip: incoming, error, report } = validateTrip(raw, t);
+    if (!incoming){
+      setImportReport({ source, error: error || t("import.nothing"), repaired: [], rejected: report.rejected });
+      return;
+    }
+    addTrip(incoming);
+    if (report.repaired.length || report.rejected.length) setImportReport({ source, ...report });
+  }
+
+  // Import from ?data= once (as a new trip in the library)
   useEffect(() => {
     const params = new URLSearchParams(window.location.search);
     const encoded = params.get("data");
     if (!encoded) return;
-    const incoming = decodeFromUrlParam(encoded);
-    if (!incoming) return;
-
-    setTripName(incoming.tripName ?? tripName);
-    setStartDate(incoming.startDate ?? startDate);
-    setEndDate(incoming.endDate ?? endDate);
-    setPlan(incoming.plan ?? {});
-    if (incoming.selectedDay) setSelectedDay(incoming.selectedDay);
-    if (incoming.routeMode) setRouteMode(incoming.routeMode);
-    if (typeof incoming.useHotelStart === "boolean") setUseHotelStart(incoming.useHotelStart);
-    if (typeof incoming.useHotelEnd === "boolean") setUseHotelEnd(incoming.useHotelEnd);
-    if (incoming.hotel) setHotel(incoming.hotel);
-
     params.delete("data");
     const newUrl = window.location.pathname + (params.toString() ? "?" + params.toString() : "");
     window.history.replaceState({}, "", newUrl);
+
+    decodeShareParam(encoded).then(incoming => {
+      if (incoming) importTrip(incoming, t("import.shareLink"));
+      else setImportReport({ source: t("import.shareLink"), error: t("import.badLink"), repaired: [], rejected: [] });
+    });
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
@@ -237,89 +2189,165 @@ export default function BarcelonaTripPlanner(){
       if(query.trim().length < 3){ setResults([]); return; }
       setLoading(true);
       try{
-        const url = new URL("https://nominatim.openstreetmap.org/search");
-        url.searchParams.set("q", `${query} Barcelona`);
-        url.searchParams.set("format","jsonv2");
-        url.searchParams.set("limit","8");
-        const res = await fetch(url.toString(), { headers: { "Accept": "application/json", "User-Agent": "TripPlanner/1.0 (chatgpt)" }});
-        const data = await res.json();
+        // Restricted to the destination's area (padded for day trips); anywhere, biased to it, if that finds nothing
+        const [s, w, n, e] = destination.bbox;
+        const padLat = Math.max(0.1, (n - s) / 4), padLon = Math.max(0.15, (e - w) / 4);
+        const search = async bounded => {
+          const url = new URL("https://nominatim.openstreetmap.org/search");
+          url.searchParams.set("q", query);
+          url.searchParams.set("format","jsonv2");
+          url.searchParams.set("limit","8");
+          url.searchParams.set("extratags","1");
+          url.searchParams.set("accept-language", lang);
+          url.searchParams.set("viewbox", [w - padLon, n + padLat, e + padLon, s - padLat].map(v => v.toFixed(4)).join(","));
+          if (bounded) url.searchParams.set("bounded", "1");
+          const res = await fetch(url.toString(), { headers: { "Accept": "application/json", "User-Agent": "TripPlanner/1.0 (chatgpt)" }});
+          return res.json();
+        };
+        let data = await search(true);
+        if (active && !data.length) data = await search(false);
         if(!active) return;
         const places = data.map(d=>({
           id: String(d.place_id),
           name: d.display_name.split(",")[0],
           lat: parseFloat(d.lat),
           lon: parseFloat(d.lon),
-          address: d.display_name
+          address: d.display_name,
+          openingHours: d.extratags?.opening_hours || undefined,
+          website: webLink(d.extratags?.website || d.extratags?.["contact:website"]),
+          phone: d.extratags?.phone || d.extratags?.["contact:phone"] || undefined,
         }));
         setResults(places);
       }catch{
-        setError("Search failed. Try again or check your network.");
+        setError(t("search.failed"));
       }finally{ setLoading(false); }
     }
     run();
     return ()=>{ active=false };
-  }, [query]);
+  }, [query, destination, lang, t]);
+
+  // Destination picker: cities/regions matching the typed name
+  useEffect(()=>{
+    let active = true;
+    if (!destQuery || destQuery.trim().length < 2){ setDestResults([]); return; }
+    const timer = setTimeout(async () => {
+      try{
+        const url = new URL("https://nominatim.openstreetmap.org/search");
+        url.searchParams.set("q", destQuery);
+        url.searchParams.set("format","jsonv2");
+        url.searchParams.set("limit","6");
+        url.searchParams.set("addressdetails","1");
+        url.searchParams.set("featureType","settlement");
+        url.searchParams.set("accept-language", lang);
+        const res = await fetch(url.toString(), { headers: { "Accept": "application/json" }});
+        const data = await res.json();
+        if (active) setDestResults(data.map(d => ({ ...destinationFrom(d), label: d.display_name })));
+      }catch{ if (active) setDestResults([]); }
+    }, 400);
+    return ()=>{ active = false; clearTimeout(timer); };
+  }, [destQuery, lang]);
+  function pickDestination(d){
+    setDestination({
+      name: d.name, lat: d.lat, lon: d.lon, bbox: d.bbox, timeZone: d.timeZone,
+      ...(d.timeZoneGuessed ? { timeZoneGuessed: true } : {}), ...(d.region ? { region: d.region } : {}),
+    });
+    setDestQuery(null);
+    setDestResults([]);
+  }
+  // Picking a zone by hand confirms it
+  function setTimeZone(timeZone){
+    const { timeZoneGuessed, ...rest } = destination;
+    setDestination({ ...rest, timeZone });
+  }
+
+  // Build effective list of stops (optionally start/end at the day's accommodation)
+  const dayStops = plan[selectedDay] || [];
+  const bases = useMemo(() => dayBases(stays, selectedDay), [stays, selectedDay]);
+  const effectiveStops = useMemo(
+    () => buildEffectiveStops(dayStops, bases, { useHotelStart, useHotelEnd, hotelDeparture }),
+    [dayStops, bases, useHotelStart, useHotelEnd, hotelDeparture]
+  );
+  // Index of dayStops[0] within effectiveStops
+  const hotelOffset = bases.start && useHotelStart ? 1 : 0;
+  const stayWarnings = useMemo(() => stayIssues(stays, days, l10n), [stays, days, l10n]);
+
+  const coords = effectiveStops.map(s => [s.place.lat, s.place.lon]);
+  // Chosen (possibly "auto"/unset) and resolved travel mode for each leg i: effectiveStops[i] -> [i+1]
+  const legChoices = effectiveStops.slice(1).map(s => s.legMode || "");
+  const legModes = legChoices.map((m, i) => resolveLegMode(m || routeMode, coords[i], coords[i+1], autoWalkMeters));
+
+  // Fetch a duration/distance matrix between all points (transit has no matrix service)
+  function fetchMatrix(mode, pts){
+    return matrixWith(prefs.routing[mode], pts);
+  }
 
-  // Build effective list of stops (optionally start/end at hotel)
-  const dayStops = plan[selectedDay] || [];
-  const effectiveStops = useMemo(() => {
-    let arr = [...dayStops];
-    if (hotel && useHotelStart) arr = [{ place: hotel, start: "08:00", end: "08:00" }, ...arr];
-    if (hotel && useHotelEnd)   arr = [...arr, { place: hotel, start: "22:00", end: "22:00" }];
-    return arr;
-  }, [dayStops, hotel, useHotelStart, useHotelEnd]);
+  // Segment from one or more route options (the first is the default choice)
+  const toSegment = (routes, style, alternatives) => ({ ...routes[0], ...(routes.length > 1 ? { routes } : {}), style, alts: alternatives });
+  // Cache key for a leg, tied to the backend currently configured for its mode (and, for transit, the time)
+  const legKey = (mode, from, to, when) => routeCacheKey(mode, from, to,
+    `${backendTag(prefs.routing[mode])}${when ? `@${when.arrival != null ? `a${when.arrival}` : `d${when.departure}`}` : ""}`);
+  // When transit leg i of a day (effective stops `eff`) is routed for; null for other modes
+  const legWhen = (date, eff, i, mode) => {
+    if (mode !== "transit") return null;
+    return prefs.transitTiming === "arrive" && !eff[i+1].base
+      ? transitLegTime(date, eff[i+1].start, "arrival", destination.timeZone)
+      : transitLegTime(date, eff[i].end, "departure", destination.timeZone);
+  };
+  const legWhens = legModes.map((mode, i) => legWhen(selectedDay, effectiveStops, i, mode));
 
-  const coords = effectiveStops.map(s => [s.place.lat, s.place.lon]);
+  // Route the given legs ({ i, mode, from, to }) between `points`, grouped per mode's backend,
+  // reporting each leg (segment or Error) to onLeg as soon as its request returns
+  async function fetchDayRoutes(points, legs, alternatives, onLeg){
+    const modes = [...new Set(legs.map(l => l.mode))];
+    const times = Object.fromEntries(legs.filter(l => l.when).map(({ i, when: { shifted, ...at } }) => [i, at]));
+    await Promise.all(modes.map(mode => {
+      const cfg = { ...prefs.routing[mode] };
+      const style = ROUTE_STYLE[mode] || ROUTE_STYLE.driving;
+      return routeLegsWith(cfg, points, legs.filter(l => l.mode === mode).map(l => l.i), alternatives,
+        (i, routes) => onLeg(i, routes instanceof Error ? routes : toSegment(routes, style, alternatives)), times, destination.bbox);
+    }));
+  }
 
-  // Fetch a route segment (with colored style & optional transit step details)
-  async function fetchRoute(mode, from, to){
-    if (mode === "transit") {
-      const origin = `${from[0]},${from[1]}`;
-      const destination = `${to[0]},${to[1]}`;
-      const r = await fetch(`/api/directions?origin=${encodeURIComponent(origin)}&destination=${encodeURIComponent(destination)}&details=1`);
-      if (!r.ok) throw new Error("transit route");
-      const data = await r.json();
-      if (!data?.overview_polyline) throw new Error("no polyline");
-      const line = decodePolyline(data.overview_polyline); // [lat,lng][]
-      return { line, meters: data.meters ?? null, seconds: data.seconds ?? null, style: ROUTE_STYLE.transit, steps: data.steps || null };
-    }
-    // OSRM for foot/driving/bike
-    const profile = mode === "driving" ? "driving" : (mode === "bike" ? "bike" : "foot");
-    const url = `https://router.project-osrm.org/route/v1/${profile}/${from[1]},${from[0]};${to[1]},${to[0]}?overview=full&geometries=geojson`;
-    const res = await fetch(url);
-    if(!res.ok) throw new Error("route");
-    const data = await res.json();
-    const r0 = data.routes?.[0];
-    if(!r0) throw new Error("no route");
-    const line = r0.geometry.coordinates.map(([lng,lat])=>[lat,lng]);
-    const style = ROUTE_STYLE[profile === "foot" ? "foot" : profile] || ROUTE_STYLE.driving;
-    return { line, meters: r0.distance, seconds: r0.duration, style, steps: null };
-  }
-
-  // Build segments when coords/mode change
+  // Build segments when coords/mode change: cached legs show at once, the rest are fetched
+  // concurrently and filled in as they arrive (pending legs have meters/seconds = null)
   useEffect(() => {
     let cancelled = false;
-    (async () => {
-      setRoutingError("");
-      if (coords.length < 2) { setSegments([]); return; }
-      const segs = [];
-      for (let i=0; i<coords.length-1; i++){
-        try{
-          const seg = await fetchRoute(routeMode, coords[i], coords[i+1]);
-          if (cancelled) return;
-          segs.push(seg);
-        }catch{
-          // fallback straight line
-          const m = haversine(coords[i][0], coords[i][1], coords[i+1][0], coords[i+1][1]);
-          segs.push({ line:[coords[i], coords[i+1]], meters:m, seconds: m/1.25, style: ROUTE_STYLE.fallback, steps: null });
-          setRoutingError("Routing unavailable for some legs; showing dashed fallback lines.");
-        }
+    setRoutingError("");
+    if (coords.length < 2) { setSegments([]); return; }
+    const legs = coords.slice(0, -1).map((from, i) => {
+      const to = coords[i+1], mode = legModes[i], when = legWhens[i];
+      return { from, to, mode, when, key: legKey(mode, from, to, when) };
+    });
+    const alternatives = prefs.routeAlternatives;
+    const initialSegs = legs.map(l => {
+      const hit = getCachedRoute(l.key);
+      return hit && (hit.alts || !alternatives)
+        ? { ...pickRoute(hit, routeChoices[l.key]), mode: l.mode, key: l.key, when: l.when }
+        : { line:[l.from, l.to], meters:null, seconds:null, style: ROUTE_STYLE[l.mode], steps: null, mode: l.mode, key: l.key, when: l.when, pending: true };
+    });
+    setSegments(initialSegs);
+    const pending = legs.map((l, i) => ({ ...l, i })).filter(l => initialSegs[l.i].pending);
+    if (pending.length) fetchDayRoutes(coords, pending, alternatives, (i, seg) => {
+      if (cancelled) return;
+      const l = legs[i];
+      if (seg instanceof Error){
+        // fallback straight line
+        const m = haversine(l.from[0], l.from[1], l.to[0], l.to[1]);
+        seg = { line:[l.from, l.to], meters:m, seconds: m/1.25, style: ROUTE_STYLE.fallback, steps: null };
+        setRoutingError(t("routing.error"));
+      } else {
+        putCachedRoute(l.key, seg);
+        seg = pickRoute(seg, routeChoices[l.key]);
       }
-      if (!cancelled) setSegments(segs);
-    })();
+      setSegments(prev => prev.map((s, j) => j === i ? { ...seg, mode: l.mode, key: l.key, when: l.when } : s));
+    });
     return ()=>{ cancelled = true; };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [selectedDay, JSON.stringify(coords), routeMode]);
+  }, [selectedDay, JSON.stringify(coords), legModes.join(","), JSON.stringify(legWhens), prefs.routeAlternatives, JSON.stringify(prefs.routing)]);
+  // Switching between a leg's route options only re-picks from what is already loaded
+  useEffect(() => {
+    setSegments(prev => prev.map(s => s.routes ? pickRoute({ ...s, ...s.routes[0], choice: undefined }, routeChoices[s.key]) : s));
+  }, [routeChoices]);
 
   // Reset per-leg visibility when legs change or day changes (all OFF)
   useEffect(() => {
@@ -327,6 +2355,39 @@ export default function BarcelonaTripPlanner(){
     setVisibleLegs(init);
   }, [selectedDay, segments.length]);
 
+  // Whole-trip map: every day's stops with its colour; legs use routes already in the cache and
+  // straight dashed lines for the rest (only the selected day is routed)
+  const tripMap = !allDaysMap ? [] : days.map((date, d) => {
+    const dayPlan = plan[date] || [];
+    const stops = dayPlan.length ? buildEffectiveStops(dayPlan, dayBases(stays, date), { useHotelStart, useHotelEnd, hotelDeparture }) : [];
+    const pts = stops.map(s => [s.place.lat, s.place.lon]);
+    const lines = pts.slice(1).map((to, i) => {
+      const from = pts[i];
+      const mode = resolveLegMode(stops[i+1].legMode || routeMode, from, to, autoWalkMeters);
+      const key = legKey(mode, from, to, legWhen(date, stops, i, mode));
+      const hit = getCachedRoute(key);
+      return hit ? { line: pickRoute(hit, routeChoices[key]).line } : { line: [from, to], straight: true };
+    });
+    return { date, color: DAY_COLORS[d % DAY_COLORS.length], stops, pts, lines, hidden: !!hiddenDays[date] };
+  });
+  const mapPoints = allDaysMap ? tripMap.filter(d => !d.hidden).flatMap(d => d.pts) : coords;
+  function jumpToStop(date, idx){
+    setSelectedDay(date);
+    setFocusStop({ date, idx });
+  }
+  useEffect(()=>{
+    if (!focusStop || focusStop.date !== selectedDay) return;
+    document.getElementById(`stop-card-${focusStop.idx}`)?.scrollIntoView({ behavior: "smooth", block: "center" });
+    const timer = setTimeout(() => setFocusStop(null), 2500);
+    return () => clearTimeout(timer);
+  }, [focusStop, selectedDay]);
+
+  // Computed timetable (arrival/departure per effective stop) and conflict warnings
+  const schedule = useMemo(() => computeSchedule(effectiveStops, segments, { l10n }), [effectiveStops, segments, l10n]);
+  const conflictCount = schedule.slice(hotelOffset, hotelOffset + dayStops.length).reduce((a, r) => a + r.issues.length, 0);
+  // Auto-fit needs every leg's duration; until then it would pack the stops too tightly
+  const scheduleReady = schedule.every(r => !r.pending);
+
   const totalMeters = segments.reduce((a,s)=>a + (s?.meters||0), 0);
   const totalSeconds = segments.reduce((a,s)=>a + (s?.seconds||0), 0);
 
@@ -360,138 +2421,781 @@ export default function BarcelonaTripPlanner(){
     next[selectedDay] = (next[selectedDay]||[]).map((s,i)=> i===idx ? {...s, ...patch} : s);
     setPlan(next);
   }
+  // Move/copy a stop to another position or day (drag and drop, board "Move to" menu)
+  function transferTo(from, to, copy = false){
+    if (!copy && from.date === to.date && (to.idx === from.idx || to.idx === from.idx + 1)) return;
+    const name = plan[from.date]?.[from.idx]?.place.name || t("history.stop");
+    historyLabel.current = from.date === to.date && !copy
+      ? t("history.reorderOne", { name })
+      : t(copy ? "history.copyTo" : "history.moveTo", { name, day: l10n.day(to.date) });
+    setPlan(transferStop(plan, from, to, copy));
+  }
+  // Re-home every stop of a date outside the trip onto a trip day
+  function rehomeDate(from, to){
+    const next = { ...plan, [to]: [...(plan[to] || []), ...(plan[from] || [])] };
+    delete next[from];
+    historyLabel.current = t("history.rehome", { from: l10n.day(from), to: l10n.day(to) });
+    setPlan(next);
+  }
+  const dragProps = (date, idx) => ({
+    draggable: true,
+    onDragStart: (e) => { e.dataTransfer.effectAllowed = "copyMove"; e.dataTransfer.setData("text/plain", `${date}#${idx}`); setDragging({ date, idx }); },
+    onDragEnd: () => { setDragging(null); setDropTarget(null); },
+  });
+  const dropProps = (date, idx) => ({
+    onDragOver: (e) => {
+      if (!dragging) return;
+      e.preventDefault();
+      e.stopPropagation();
+      e.dataTransfer.dropEffect = boardCopy || e.altKey ? "copy" : "move";
+      if (dropTarget?.date !== date || dropTarget?.idx !== idx) setDropTarget({ date, idx });
+    },
+    onDrop: (e) => {
+      if (!dragging) return;
+      e.preventDefault();
+      e.stopPropagation();
+      transferTo(dragging, { date, idx }, boardCopy || e.altKey);
+      setDragging(null); setDropTarget(null);
+    },
+  });
+  const isDropTarget = (date, idx) => dragging && dropTarget?.date === date && dropTarget?.idx === idx;
+  const orphans = useMemo(() => orphanDates(plan, days), [plan, days]);
+
+  // Rewrite start/end for the whole day from the computed arrivals, keeping each stop's dwell time.
+  // A day that would run past midnight is left as it is: times can't wrap into the next day.
+  function autoFitTimes(){
+    if (dayStops.length === 0) return;
+    const rows = computeSchedule(effectiveStops, segments, { fit: true });
+    if (rows.some(r => r.pending)) return;
+    const last = rows[hotelOffset + dayStops.length - 1];
+    if (last.departure >= 24*60){
+      setAutoFitError(t("day.autoFitMidnight", { time: l10n.clock(fromMinutes(last.departure - 24*60)) }));
+      return;
+    }
+    setAutoFitError("");
+    const next = {...plan};
+    next[selectedDay] = dayStops.map((s, i) => {
+      const r = rows[i + hotelOffset];
+      return { ...s, start: fromMinutes(r.start), end: fromMinutes(r.departure) };
+    });
+    historyLabel.current = t("history.autoFit");
+    setPlan(next);
+  }
+
+  // Hand-entered hours apply to every stop of that place across the trip
+  function setPlaceHours(placeId, openingHours){
+    const next = {};
+    for (const [date, stops] of Object.entries(plan)){
+      next[date] = stops.map(s => s.place.id === placeId ? {...s, place: {...s.place, openingHours}} : s);
+    }
+    setPlan(next);
+  }
+
+  // Stays: a new one starts where the latest ends (or with the trip) and runs to the end of the trip
+  function addStay(place){
+    const lastOut = stays.reduce((m, st) => st.checkOut > m ? st.checkOut : m, "");
+    const checkIn = lastOut && lastOut < endDate ? lastOut : startDate;
+    setStays([...stays, { place, checkIn, checkOut: endDate > checkIn ? endDate : addDays(checkIn, 1) }]);
+  }
+  function updateStay(idx, patch){
+    setStays(stays.map((st, i) => {
+      if (i !== idx) return st;
+      const next = { ...st, ...patch };
+      return next.checkOut > next.checkIn ? next : { ...next, checkOut: addDays(next.checkIn, 1) };
+    }));
+  }
+  function removeStay(idx){
+    setStays(stays.filter((_, i) => i !== idx));
+  }
+
+  // Costs of one stop (amounts are numbers or undefined while the field is empty)
+  function addExpense(idx){
+    const s = dayStops[idx];
+    updateStop(idx, { expenses: [...(s.expenses || []), { category: "tickets", currency: BASE_CURRENCY, ...(travellers[0] ? { paidBy: travellers[0] } : {}) }] });
+  }
+  function updateExpense(idx, k, patch){
+    updateStop(idx, { expenses: dayStops[idx].expenses.map((e, i) => i === k ? { ...e, ...patch } : e) });
+  }
+  function removeExpense(idx, k){
+    const expenses = dayStops[idx].expenses.filter((_, i) => i !== k);
+    updateStop(idx, { expenses: expenses.length ? expenses : undefined });
+  }
+  // Wishlist (scheduled = some day has a stop at the place)
+  const scheduled = useMemo(() => scheduledPlaces(plan), [plan]);
+  const wishTags = useMemo(() => [...new Set(wishlist.flatMap(w => w.tags))].sort(), [wishlist]);
+  const unscheduledWishes = wishlist.filter(w => !scheduled[w.place.id]);
+  const shownWishes = wishlist
+    .map((w, i) => ({ ...w, idx: i }))
+    .filter(w => !wishFilter || (wishFilter === "open" ? !scheduled[w.place.id] : w.tags.includes(wishFilter)))
+    .sort((a, b) => WISH_PRIORITIES.indexOf(a.priority) - WISH_PRIORITIES.indexOf(b.priority));
+  function addToWishlist(place){
+    if (wishlist.some(w => w.place.id === place.id)) return;
+    setWishlist([...wishlist, { place, priority: "want", tags: [], duration: 60 }]);
+  }
+  function updateWish(idx, patch){
+    setWishlist(wishlist.map((w, i) => i === idx ? { ...w, ...patch } : w));
+  }
+  function removeWish(idx){
+    setWishlist(wishlist.filter((_, i) => i !== idx));
+  }
+  function scheduleWishOn(idx, date){
+    historyLabel.current = t("history.schedule", { name: wishlist[idx].place.name, day: l10n.day(date) });
+    setPlan(scheduleWish(plan, wishlist[idx], date));
+  }
+  function unscheduleWishAt(idx){
+    historyLabel.current = t("history.unschedule", { name: wishlist[idx].place.name });
+    setPlan(unscheduleWish(plan, wishlist[idx].place.id));
+  }
+  // Timetable "To wishlist": take the stop off this day, keeping it (or its existing item) in the wishlist
+  function stopToWishlist(idx){
+    const s = dayStops[idx];
+    historyLabel.current = t("history.unschedule", { name: s.place.name });
+    if (!wishlist.some(w => w.place.id === s.place.id)) setWishlist([...wishlist, wishFromStop(s)]);
+    removeStop(idx);
+  }
+
+  // Dropped pins: suggest a name/address from reverse geocoding unless the user has already typed one
+  async function lookupPin(place){
+    try{
+      const found = await reverseGeocode(place.lat, place.lon, lang, t("pin.title"));
+      setPin(p => p?.place.id !== place.id ? p : { ...p, looking: false, place: p.edited || !found ? p.place : { ...p.place, ...found } });
+    }catch{
+      setPin(p => p?.place.id !== place.id ? p : { ...p, looking: false, error: t("pin.failed") });
+    }
+  }
+  function dropPin({ lat, lng }){
+    const place = pinPlace(lat, lng, t("pin.title"));
+    setPin({ place, looking: true, edited: false });
+    lookupPin(place);
+  }
+  function movePin({ lat, lng }){
+    const moved = pinPlace(lat, lng, t("pin.title"));
+    const place = pin.edited ? { ...pin.place, id: moved.id, lat, lon: lng } : moved;
+    setPin({ ...pin, place, looking: !pin.edited, error: undefined });
+    if (!pin.edited) lookupPin(place);
+  }
+  function savePin(action){
+    action(pin.place);
+    setPin(null);
+  }
+  // Dragging a marker fixes the place's coordinates everywhere it's used (stops on any day, stays, wishlist)
+  function relocatePlace(placeId, lat, lon){
+    const fix = p => p.id === placeId ? { ...p, lat, lon } : p;
+    const next = {};
+    for (const [date, stops] of Object.entries(plan)) next[date] = stops.map(s => ({ ...s, place: fix(s.place) }));
+    historyLabel.current = t("history.relocate", { name: effectiveStops.find(s => s.place.id === placeId)?.place.name || t("history.place") });
+    setPlan(next);
+    if (stays.some(st => st.place.id === placeId)) setStays(stays.map(st => ({ ...st, place: fix(st.place) })));
+    if (wishlist.some(w => w.place.id === placeId)) setWishlist(wishlist.map(w => ({ ...w, place: fix(w.place) })));
+  }
+
+  function addTraveller(){
+    const name = newTraveller.trim();
+    if (name && !travellers.includes(name)) setTravellers([...travellers, name]);
+    setNewTraveller("");
+  }
+  const allExpenses = useMemo(() => tripExpenses(plan), [plan]);
+  const tripBudget = useMemo(() => budgetTotals(allExpenses, rates), [allExpenses, rates]);
+  const dayBudget = budgetTotals(dayStops.flatMap(s => s.expenses || []), rates);
+  const settlement = useMemo(() => settleUp(allExpenses, travellers, rates), [allExpenses, travellers, rates]);
+  const usedCurrencies = [...new Set(allExpenses.map(e => e.currency))].filter(c => c !== BASE_CURRENCY).sort();
+
+  // Per-leg mode lives on the destination stop, or on the last stop's returnMode for the leg back to the base
+  function setLegMode(legIdx, mode){
+    const stopIdx = legIdx + 1 - hotelOffset;
+    if (stopIdx < dayStops.length) updateStop(stopIdx, { legMode: mode || undefined });
+    else if (dayStops.length) updateStop(dayStops.length - 1, { returnMode: mode || undefined });
+  }
+
+  function togglePin(idx){
+    updateStop(idx, { pinned: !dayStops[idx]?.pinned });
+  }
+
+  // Propose a shorter visiting order for the selected day (hotel ends and pinned stops stay put)
+  // What a day-order proposal is computed for. The matrix request can outlive an edit or a day switch, so
+  // the result is only kept if this still matches when it arrives (and again when it's applied).
+  const optimizationKey = JSON.stringify([selectedDay, routeMode, effectiveStops.map(s => [s.base || "", s.place.id])]);
+  const optimizationKeyRef = useRef(optimizationKey);
+  optimizationKeyRef.current = optimizationKey;
+  async function optimizeDay(){
+    if (dayStops.length < 2) return;
+    const key = optimizationKey;
+    setOptimizing(true);
+    try{
+      const offset = hotelOffset;
+      const fixed = effectiveStops.map((_, i) => {
+        const stop = dayStops[i - offset];
+        return !stop || !!stop.pinned;
+      });
+      let matrix, estimated = false;
+      try { matrix = await fetchMatrix(routeMode, coords); }
+      catch { matrix = haversineMatrix(coords); estimated = true; }
+      if (optimizationKeyRef.current !== key) return;
+      const order = optimizeOrder(matrix.seconds, fixed);
+      setOptimization({
+        key,
+        order: order.slice(offset, offset + dayStops.length).map(i => i - offset),
+        before: pathTotals(effectiveStops.map((_, i) => i), matrix),
+        after: pathTotals(order, matrix),
+        estimated,
+      });
+    } finally { setOptimizing(false); }
+  }
+  function applyOptimization(){
+    if (!optimization || optimization.key !== optimizationKey) return;
+    const next = {...plan};
+    next[selectedDay] = optimization.order.map(i => dayStops[i]);
+    historyLabel.current = t("history.optimize");
+    setPlan(next);
+    setOptimization(null);
+  }
+
+  // Legs per day for exports: the selected day's routed segments, cached routes elsewhere,
+  // straight lines (routed: false, no duration) where neither is available
+  function legsByDay(){
+    const out = {};
+    for (const [date, stops] of Object.entries(plan)){
+      if (!stops?.length) continue;
+      const eff = buildEffectiveStops(stops, dayBases(stays, date), { useHotelStart, useHotelEnd, hotelDeparture });
+      const pts = eff.map(s => [s.place.lat, s.place.lon]);
+      out[date] = eff.slice(1).map((to, i) => {
+        const mode = resolveLegMode(to.legMode || routeMode, pts[i], pts[i+1], autoWalkMeters);
+        const key = legKey(mode, pts[i], pts[i+1], legWhen(date, eff, i, mode));
+        const seg = date === selectedDay && segments[i] && !segments[i].pending
+          ? segments[i]
+          : pickRoute(getCachedRoute(key), routeChoices[key]);
+        const timing = to.base === "end" ? { departAt: eff[i].end } : { arriveBy: to.start };
+        const routed = !!seg && seg.style !== ROUTE_STYLE.fallback;
+        return {
+          from: eff[i], to, mode, routed, ...timing,
+          steps: seg?.steps || null,
+          line: seg?.line || [pts[i], pts[i+1]],
+          meters: seg?.meters ?? haversine(pts[i][0], pts[i][1], pts[i+1][0], pts[i+1][1]),
+          seconds: seg?.seconds ?? null,
+        };
+      });
+    }
+    return out;
+  }
   function exportICS(){
-    const ics = toICS(plan, tripName);
+    const ics = toICS(trip, {
+      uidSeed: library.activeId,
+      alarmMinutes: prefs.icsAlarmMinutes,
+      travel: prefs.icsTravel ? legsByDay() : {},
+      l10n,
+    });
     download(`${tripName.replace(/\s+/g,"_")}.ics`, ics);
   }
+  // Turn calendar events back into stops of this trip (dates outside the trip extend it)
+  function importICS(evt){
+    const file = evt.target.files?.[0]; if(!file) return;
+    const reader = new FileReader();
+    reader.onload = ()=>{
+      const { calendarName, events } = parseICS(String(reader.result), destination.timeZone);
+      const report = { source: file.name, repaired: [], rejected: [] };
+      const next = {...plan};
+      let added = 0;
+      for (const e of events){
+        const label = e.summary || t("import.untitled");
+        if (e.travel) continue;
+        if (!e.date || e.allDay){ report.rejected.push(t("import.allDay", { label })); continue; }
+        if (!Number.isFinite(e.lat) || !Number.isFinite(e.lon)){ report.rejected.push(t("import.noGeo", { label, date: e.date })); continue; }
+        const name = calendarName && label.startsWith(`${calendarName}: `) ? label.slice(calendarName.length + 2) : label;
+        const start = e.start, end = e.end && e.end > e.start ? e.end : fromMinutes(toMinutes(e.start) + 60);
+        if (end !== e.end) report.repaired.push(t("import.endSet", { name, date: e.date, time: l10n.clock(end) }));
+        const dayList = next[e.date] || [];
+        if (dayList.some(s => s.place.name === name && s.start === start)){ report.rejected.push(t("import.duplicate", { name, date: e.date, time: l10n.clock(start) })); continue; }
+        const place = { id: `ics-${hashString(e.uid || `${name}${e.lat}${e.lon}`)}`, name, lat: e.lat, lon: e.lon, address: e.location || undefined };
+        const stop = cleanStop({ place, start, end, notes: e.description || "" }, e.date, report, t);
+        if (!stop) continue;
+        next[e.date] = [...dayList, stop].sort((a, b) => a.start.localeCompare(b.start));
+        added++;
+      }
+      const dates = Object.keys(next).filter(d => next[d]?.length).sort();
+      if (added){
+        historyLabel.current = t("history.import", { file: file.name });
+        setPlan(next);
+        if (dates[0] < startDate) setStartDate(dates[0]);
+        if (dates[dates.length-1] > endDate) setEndDate(dates[dates.length-1]);
+      }
+      if (!added) report.error = t(events.length ? "import.noStops" : "import.noEvents");
+      if (report.error || report.repaired.length || report.rejected.length) setImportReport(report);
+    };
+    reader.readAsText(file);
+    evt.target.value = "";
+  }
+  // GPX / KML / GeoJSON for the selected day or the whole trip
+  function exportGeo(format){
+    const legs = legsByDay();
+    const dates = geoScope === "day" ? [selectedDay] : Object.keys(plan).filter(d => plan[d]?.length).sort();
+    const geoDays = dates.map(date => ({ date, stops: plan[date] || [], legs: legs[date] || [] }));
+    const base = `${tripName.replace(/\s+/g,"_")}${geoScope === "day" ? `_${selectedDay}` : ""}`;
+    if (format === "gpx") download(`${base}.gpx`, toGPX(tripName, stays, geoDays, l10n), "application/gpx+xml");
+    if (format === "kml") download(`${base}.kml`, toKML(tripName, stays, geoDays, l10n), "application/vnd.google-earth.kml+xml");
+    if (format === "geojson") download(`${base}.geojson`, toGeoJSON(tripName, stays, geoDays), "application/geo+json");
+  }
+  function importGeo(evt){
+    const file = evt.target.files?.[0]; if(!file) return;
+    const reader = new FileReader();
+    reader.onload = ()=>{
+      let points;
+      try { points = parseGeoFile(String(reader.result), file.name, t); }
+      catch(e){ setImportReport({ source: file.name, error: e.message || t("import.unreadable"), repaired: [], rejected: [] }); return; }
+      // The same checks as places in any other trip document; times and notes stay with the point for addGeoImportToDay
+      const report = { source: file.name, repaired: [], rejected: [] };
+      const places = points.map((p, i) => {
+        const place = cleanPlace({ ...p, id: `geo-${hashString(`${p.name}|${p.lat}|${p.lon}`)}` }, t("check.point", { n: i+1 }), report, t);
+        return place && { ...place, notes: p.notes, start: p.start, end: p.end };
+      }).filter(Boolean);
+      if (!places.length){
+        setImportReport({ ...report, error: t("import.noPoints") });
+        return;
+      }
+      if (report.repaired.length || report.rejected.length) setImportReport(report);
+      setGeoImport({ source: file.name, places, day: selectedDay });
+    };
+    reader.readAsText(file);
+    evt.target.value = "";
+  }
+  // Add imported points as stops on the chosen day (times from the file when present)
+  function addGeoImportToDay(){
+    const { places, day } = geoImport;
+    const next = {...plan};
+    next[day] = [...(next[day] || []), ...places.map(({ notes, start, end, ...place }) => ({
+      place,
+      start: toMinutes(start) != null ? fromMinutes(toMinutes(start)) : "10:00",
+      end: toMinutes(end) != null ? fromMinutes(toMinutes(end)) : "11:00",
+      notes: notes || "",
+    }))];
+    historyLabel.current = t("history.import", { file: geoImport.source });
+    setPlan(next);
+    setSelectedDay(day);
+    setGeoImport(null);
+  }
+  function showGeoImportAsResults(){
+    setResults(geoImport.places.map(p => ({ id: p.id, name: p.name, lat: p.lat, lon: p.lon, address: p.address || p.notes || geoImport.source })));
+    setGeoImport(null);
+  }
+
   function exportJSON(){
-    const payload = { tripName, startDate, endDate, selectedDay, plan, routeMode, hotel, useHotelStart, useHotelEnd };
-    download(`${tripName.replace(/\s+/g,"_")}.json`, JSON.stringify(payload, null, 2));
+    download(`${tripName.replace(/\s+/g,"_")}.json`, JSON.stringify(trip, null, 2));
   }
   function importJSON(evt){
     const file = evt.target.files?.[0]; if(!file) return;
     const reader = new FileReader();
     reader.onload = ()=>{
-      try{
-        const data = JSON.parse(String(reader.result));
-        setTripName(data.tripName ?? tripName);
-        setStartDate(data.startDate ?? startDate);
-        setEndDate(data.endDate ?? endDate);
-        setPlan(data.plan ?? {});
-        if(data.selectedDay){ setSelectedDay(data.selectedDay); }
-        if(data.routeMode) setRouteMode(data.routeMode);
-        if(typeof data.useHotelStart === "boolean") setUseHotelStart(data.useHotelStart);
-        if(typeof data.useHotelEnd === "boolean") setUseHotelEnd(data.useHotelEnd);
-        if(data.hotel) setHotel(data.hotel);
-      }catch{ alert("Invalid JSON"); }
+      let data;
+      try{ data = JSON.parse(String(reader.result)); }
+      catch(e){
+        setImportReport({ source: file.name, error: t("import.badJson", { error: e.message }), repaired: [], rejected: [] });
+        return;
+      }
+      importTrip(data, file.name);
     };
     reader.readAsText(file);
+    evt.target.value = "";
   }
-  function openShare() {
-    const payload = { tripName, startDate, endDate, selectedDay, plan, routeMode, hotel, useHotelStart, useHotelEnd };
-    const url = `${window.location.origin}${window.location.pathname}?data=${encodeForUrl(payload)}`;
+  async function openShare() {
+    const base = `${window.location.origin}${window.location.pathname}?data=`;
+    const url = base + await encodeShareParam(trip);
+    const version = qrVersionFor(url);
+    let perDay = [];
+    if (!version || version > QR_SCANNABLE_VERSION){
+      // Too dense to scan: one link per day that has stops (with that day's stays, same settings)
+      const dates = Object.keys(plan).filter(d => plan[d]?.length).sort();
+      perDay = await Promise.all(dates.map(async date => ({ date, url: base + await encodeShareParam(dayShareTrip(trip, date)) })));
+    }
+    // Nothing is copied yet: the dialog shows the link size and QR density first
     setShareUrl(url);
-    copyToClipboard(url);
+    setDayShareLinks(perDay);
+    setQrUrl(version && version <= QR_SCANNABLE_VERSION ? url : (perDay[0]?.url || ""));
     setShowQR(true);
   }
 
-  // Export map + right panel to PDF
+  // Multi-page itinerary for the whole trip (selectable text, vector map per day)
   async function exportPDF() {
-    const el = printRef.current;
-    if (!el) return;
-    const canvas = await html2canvas(el, { scale: 2, useCORS: true, logging: false });
-    const imgData = canvas.toDataURL("image/png");
-    const pdf = new jsPDF({ orientation: "landscape", unit: "pt", format: "a4" });
-    const pageWidth = pdf.internal.pageSize.getWidth();
-    const pageHeight = pdf.internal.pageSize.getHeight();
-    const imgRatio = canvas.width / canvas.height;
-    const pageRatio = pageWidth / pageHeight;
-    let w = pageWidth, h = pageHeight;
-    if (imgRatio > pageRatio) { h = w / imgRatio; } else { w = h * imgRatio; }
-    pdf.addImage(imgData, "PNG", (pageWidth - w)/2, (pageHeight - h)/2, w, h);
-    pdf.save(`${tripName.replace(/\s+/g,"_")}_${selectedDay}.pdf`);
+    const legs = legsByDay();
+    const pdfDays = Object.keys(plan).filter(d => plan[d]?.length).sort().map(date => ({
+      date, stops: plan[date], legs: legs[date] || [],
+      effective: buildEffectiveStops(plan[date], dayBases(stays, date), { useHotelStart, useHotelEnd, hotelDeparture }),
+    }));
+    let qrDataUrl = null;
+    const url = `${window.location.origin}${window.location.pathname}?data=${await encodeShareParam(trip)}`;
+    const version = qrVersionFor(url);
+    if (version && version <= QR_SCANNABLE_VERSION){
+      flushSync(() => setPdfQrUrl(url));
+      try { qrDataUrl = pdfQrRef.current?.toDataURL("image/png") || null; } catch { qrDataUrl = null; }
+    }
+    const pdf = buildItineraryPDF({
+      trip, days: pdfDays, qrDataUrl, format: prefs.pdfFormat, orientation: prefs.pdfOrientation, l10n,
+    });
+    pdf.save(`${tripName.replace(/\s+/g,"_")}_itinerary.pdf`);
   }
 
+  // A proposal is only valid for the stops/settings it was computed from
+  useEffect(() => { setOptimization(null); setAutoFitError(""); }, [selectedDay, plan, stays, useHotelStart, useHotelEnd, routeMode]);
+
   // Lock scroll when modal open
   useEffect(() => {
-    if (showQR) {
+    if (showQR || showLibrary || importReport || geoImport || showBoard) {
       const prev = document.body.style.overflow;
       document.body.style.overflow = "hidden";
       return () => { document.body.style.overflow = prev; };
     }
-  }, [showQR]);
+  }, [showQR, showLibrary, importReport, geoImport, showBoard]);
+
+  const tripList = Object.values(library.trips).sort((a, b) => b.updatedAt - a.updatedAt);
 
   return (
-    <div className="min-h-screen w-full grid grid-cols-1 lg:grid-cols-12 gap-4 p-4 bg-slate-50" ref={printRef}>
+    <div className="min-h-screen w-full grid grid-cols-1 lg:grid-cols-12 gap-4 p-4 bg-slate-50">
       {/* Left: Controls */}
       <div className="lg:col-span-3 space-y-4">
         <div className="bg-white rounded-2xl shadow p-4 space-y-3">
-          <h1 className="text-2xl font-semibold">Barcelona Trip Planner</h1>
+          <h1 className="text-2xl font-semibold">{t("app.title", { name: destination.name })}</h1>
+          <div className="flex gap-2">
+            <select value={library.activeId} onChange={(e)=>switchTrip(e.target.value)} className="flex-1 min-w-0 border rounded-xl p-2">
+              {tripList.filter(entry => !entry.archived || entry.id === library.activeId).map(entry => (
+                <option key={entry.id} value={entry.id}>{entry.id === library.activeId ? tripName : entry.data.tripName}</option>
+              ))}
+            </select>
+            <button onClick={()=>setShowLibrary(true)} className="px-3 py-2 rounded-xl bg-slate-200 hover:bg-slate-300">{t("trip.trips")}</button>
+            <button onClick={newTrip} className="px-3 py-2 rounded-xl bg-slate-700 text-white hover:bg-slate-800">{t("trip.new")}</button>
+          </div>
           <input className="w-full border rounded-xl p-2" value={tripName} onChange={(e)=>setTripName(e.target.value)} />
+          <div className="text-sm space-y-1">
+            <div className="flex items-center gap-2">
+              <span className="text-slate-500">{t("dest.label")}</span>
+              <span className="font-medium truncate">{destination.name}</span>
+              <button onClick={()=>setDestQuery(destQuery === null ? "" : null)} className="ml-auto text-xs text-indigo-600 underline">{destQuery === null ? t("dest.change") : t("common.cancel")}</button>
+            </div>
+            {destQuery !== null && (
+              <>
+                <input autoFocus value={destQuery} onChange={(e)=>setDestQuery(e.target.value)} placeholder={t("dest.placeholder")} className="w-full border rounded-xl p-2" />
+                <div className="divide-y">
+                  {destResults.map((d, i) => (
+                    <button key={i} onClick={()=>pickDestination(d)} className="w-full text-left py-1 hover:bg-slate-50">
+                      <div className="font-medium">{d.name}</div>
+                      <div className="text-xs text-slate-500 truncate">{d.label}</div>
+                    </button>
+                  ))}
+                </div>
+              </>
+            )}
+            <label className="text-xs flex items-center gap-2 text-slate-500">{t("dest.timeZone")}
+              {typeof Intl.supportedValuesOf === "function" ? (
+                <select value={destination.timeZone} onChange={(e)=>setTimeZone(e.target.value)} className="flex-1 min-w-0 border rounded-lg p-0.5">
+                  {[...new Set([destination.timeZone, ...Intl.supportedValuesOf("timeZone")])].map(tz => <option key={tz} value={tz}>{tz}</option>)}
+                </select>
+              ) : (
+                <input
+                  key={destination.timeZone} defaultValue={destination.timeZone}
+                  onBlur={(e)=>isTimeZone(e.target.value) && setTimeZone(e.target.value)}
+                  className="flex-1 min-w-0 border rounded-lg p-0.5"
+                />
+              )}
+            </label>
+            {destination.timeZoneGuessed && <div className="text-xs text-amber-700">{t("dest.timeZoneGuessed")}</div>}
+          </div>
           <div className="grid grid-cols-2 gap-2">
-            <label className="text-sm">Start
+            <label className="text-sm">{t("common.start")}
               <input type="date" className="w-full border rounded-xl p-2" value={startDate} onChange={(e)=>setStartDate(e.target.value)} />
             </label>
-            <label className="text-sm">End
+            <label className="text-sm">{t("common.end")}
               <input type="date" className="w-full border rounded-xl p-2" value={endDate} onChange={(e)=>setEndDate(e.target.value)} />
             </label>
           </div>
           <div>
-            <label className="text-sm font-medium">Select day</label>
+            <label className="text-sm font-medium">{t("days.select")}</label>
             <select value={selectedDay} onChange={(e)=>setSelectedDay(e.target.value)} className="w-full border rounded-xl p-2 mt-1">
-              {days.map(d=>(<option key={d} value={d}>{d}</option>))}
+              {days.map(d=>(<option key={d} value={d}>{l10n.day(d)}</option>))}
             </select>
           </div>
+          <button onClick={()=>setShowBoard(true)} className="w-full px-3 py-2 rounded-xl bg-slate-200 hover:bg-slate-300">{t("days.board")}</button>
+          {orphans.length > 0 && (
+            <div className="text-xs text-amber-700">
+              {t("days.orphans", { count: orphans.reduce((n, d) => n + plan[d].length, 0), dates: orphans.map(d => l10n.day(d)).join(", ") })}{" "}
+              <button onClick={()=>setShowBoard(true)} className="underline">{t("days.rehome")}</button>
+            </div>
+          )}
           <div className="flex flex-wrap gap-2">
-            <button onClick={exportICS} className="px-3 py-2 rounded-xl bg-emerald-600 text-white hover:bg-emerald-700">Export .ics</button>
-            <button onClick={exportJSON} className="px-3 py-2 rounded-xl bg-slate-700 text-white hover:bg-slate-800">Export JSON</button>
-            <button onClick={exportPDF} className="px-3 py-2 rounded-xl bg-fuchsia-600 text-white hover:bg-fuchsia-700">Export PDF</button>
-            <label className="px-3 py-2 rounded-xl bg-slate-200 hover:bg-slate-300 cursor-pointer">Import JSON
+            <button onClick={exportICS} className="px-3 py-2 rounded-xl bg-emerald-600 text-white hover:bg-emerald-700">{t("export.ics")}</button>
+            <button onClick={exportJSON} className="px-3 py-2 rounded-xl bg-slate-700 text-white hover:bg-slate-800">{t("export.json")}</button>
+            <button onClick={exportPDF} className="px-3 py-2 rounded-xl bg-fuchsia-600 text-white hover:bg-fuchsia-700">{t("export.pdf")}</button>
+            <label className="px-3 py-2 rounded-xl bg-slate-200 hover:bg-slate-300 cursor-pointer">{t("import.ics")}
+              <input type="file" accept=".ics,text/calendar" onChange={importICS} className="hidden" />
+            </label>
+            <label className="px-3 py-2 rounded-xl bg-slate-200 hover:bg-slate-300 cursor-pointer">{t("import.json")}
               <input type="file" accept="application/json" onChange={importJSON} className="hidden" />
             </label>
             <button onClick={openShare} className="px-3 py-2 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700">
-              Share trip (link + QR)
+              {t("share.button")}
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-2 items-center text-xs text-slate-600">
+            <span className="font-medium">{t("geo.label")}</span>
+            <select value={geoScope} onChange={(e)=>setGeoScope(e.target.value)} className="border rounded-lg p-0.5">
+              <option value="day">{t("geo.day")}</option>
+              <option value="trip">{t("geo.trip")}</option>
+            </select>
+            <button onClick={()=>exportGeo("gpx")} className="px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300">GPX</button>
+            <button onClick={()=>exportGeo("kml")} className="px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300">KML</button>
+            <button onClick={()=>exportGeo("geojson")} className="px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300">GeoJSON</button>
+            <label className="px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300 cursor-pointer">{t("geo.import")}
+              <input type="file" accept=".gpx,.kml,.geojson,.json,application/gpx+xml,application/vnd.google-earth.kml+xml,application/geo+json" onChange={importGeo} className="hidden" />
+            </label>
+          </div>
+          <div className="flex flex-wrap gap-3 items-center text-xs text-slate-600">
+            <span className="font-medium">{t("pdf.label")}</span>
+            <select value={prefs.pdfFormat} onChange={(e)=>setPref("pdfFormat", e.target.value)} className="border rounded-lg p-0.5">
+              <option value="a4">A4</option>
+              <option value="letter">{t("pdf.letter")}</option>
+            </select>
+            <select value={prefs.pdfOrientation} onChange={(e)=>setPref("pdfOrientation", e.target.value)} className="border rounded-lg p-0.5">
+              <option value="portrait">{t("pdf.portrait")}</option>
+              <option value="landscape">{t("pdf.landscape")}</option>
+            </select>
+          </div>
+          <div className="flex flex-wrap gap-3 items-center text-xs text-slate-600">
+            <span className="font-medium">{t("ics.label")}</span>
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={prefs.icsTravel} onChange={(e)=>setPref("icsTravel", e.target.checked)} />
+              {t("ics.travelLegs")}
+            </label>
+            <label className="flex items-center gap-1">{t("ics.reminder")}
+              <select value={prefs.icsAlarmMinutes} onChange={(e)=>setPref("icsAlarmMinutes", Number(e.target.value))} className="border rounded-lg p-0.5">
+                <option value={0}>{t("ics.none")}</option>
+                <option value={10}>{t("ics.minutesBefore", { count: 10 })}</option>
+                <option value={15}>{t("ics.minutesBefore", { count: 15 })}</option>
+                <option value={30}>{t("ics.minutesBefore", { count: 30 })}</option>
+                <option value={60}>{t("ics.hourBefore")}</option>
+              </select>
+            </label>
+          </div>
+          <div className="flex flex-wrap gap-3 items-center text-xs text-slate-600">
+            <span className="font-medium">{t("prefs.label")}</span>
+            <select value={lang} onChange={(e)=>setPref("lang", e.target.value)} className="border rounded-lg p-0.5">
+              {Object.entries(LANGUAGES).map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+            </select>
+            <select value={hour12 ? "12" : "24"} onChange={(e)=>setPref("hour12", e.target.value === "12")} className="border rounded-lg p-0.5">
+              <option value="24">{t("prefs.h24")}</option>
+              <option value="12">{t("prefs.h12")}</option>
+            </select>
+            <select value={units} onChange={(e)=>setPref("units", e.target.value)} className="border rounded-lg p-0.5">
+              <option value="metric">{t("prefs.metric")}</option>
+              <option value="imperial">{t("prefs.imperial")}</option>
+            </select>
+          </div>
+        </div>
+
+        {/* Undo / redo history */}
+        <div className="bg-white rounded-2xl shadow p-4 space-y-2">
+          <div className="flex items-center gap-2">
+            <button onClick={undo} disabled={history.index === 0} title={t("history.undoTitle")}
+              className="px-3 py-1 rounded-xl bg-slate-200 hover:bg-slate-300 disabled:opacity-40">{t("history.undo")}</button>
+            <button onClick={redo} disabled={history.index >= history.entries.length - 1} title={t("history.redoTitle")}
+              className="px-3 py-1 rounded-xl bg-slate-200 hover:bg-slate-300 disabled:opacity-40">{t("history.redo")}</button>
+            <button onClick={()=>setShowHistory(v => !v)} className="ml-auto text-xs text-indigo-600 underline">
+              {showHistory ? t("history.hide") : t("history.show", { count: history.entries.length })}
             </button>
           </div>
+          {showHistory && (
+            <ol className="max-h-48 overflow-auto text-xs divide-y">
+              {history.entries.map((entry, i) => ({ entry, i })).reverse().map(({ entry, i }) => (
+                <li key={`${i}-${entry.at}`}>
+                  <button
+                    onClick={()=>jumpToHistory(i)}
+                    className={`w-full text-left py-1 px-1 flex justify-between gap-2 hover:bg-slate-50 ${i === history.index ? "font-semibold text-indigo-700" : i > history.index ? "text-slate-400" : ""}`}
+                  >
+                    <span className="truncate">{entry.label}</span>
+                    <span className="shrink-0 text-slate-400">{new Date(entry.at).toLocaleTimeString(l10n.locale, { hour: hour12 ? "numeric" : "2-digit", minute: "2-digit", hour12 })}</span>
+                  </button>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+
+        {/* Budget: totals in EUR, exchange rates, who owes whom */}
+        <div className="bg-white rounded-2xl shadow p-4 space-y-2">
+          <h3 className="font-semibold">{t("budget.title")}</h3>
+          <div className="grid grid-cols-2 gap-2 text-sm">
+            <div>
+              <div className="text-xs text-slate-500">{t("budget.estimated")}</div>
+              <div className="font-medium">{l10n.money(tripBudget.estimated)}</div>
+            </div>
+            <div>
+              <div className="text-xs text-slate-500">{t("budget.spent")}</div>
+              <div className={`font-medium ${tripBudget.actual > tripBudget.estimated && tripBudget.estimated > 0 ? "text-rose-600" : ""}`}>{l10n.money(tripBudget.actual)}</div>
+            </div>
+          </div>
+          {tripBudget.count > 0 && (
+            <>
+              <table className="w-full text-xs">
+                <tbody>
+                  {Object.entries(tripBudget.byCategory).map(([cat, sum]) => (
+                    <tr key={cat}><td>{t(`expense.${cat}`)}</td><td className="text-right">{l10n.money(sum.estimated)}</td><td className="text-right">{l10n.money(sum.actual)}</td></tr>
+                  ))}
+                </tbody>
+              </table>
+              <details className="text-xs">
+                <summary className="cursor-pointer text-slate-600">{t("budget.perDay")}</summary>
+                <table className="w-full">
+                  <tbody>
+                    {Object.keys(plan).filter(d => plan[d]?.some(s => s.expenses?.length)).sort().map(d => {
+                      const sum = budgetTotals(plan[d].flatMap(s => s.expenses || []), rates);
+                      return <tr key={d}><td>{l10n.day(d)}</td><td className="text-right">{l10n.money(sum.estimated)}</td><td className="text-right">{l10n.money(sum.actual)}</td></tr>;
+                    })}
+                  </tbody>
+                </table>
+              </details>
+            </>
+          )}
+          {usedCurrencies.map(cur => (
+            <label key={cur} className="text-xs flex items-center gap-2">1 {cur} =
+              <input
+                type="number" min="0" step="any" value={rates[cur] ?? ""}
+                onChange={(e)=>{ const v = Number(e.target.value); const next = { ...rates }; if (v > 0) next[cur] = v; else delete next[cur]; setRates(next); }}
+                className="w-24 border rounded-lg p-1"
+              /> EUR
+            </label>
+          ))}
+          {tripBudget.unconverted.length > 0 && <div className="text-xs text-amber-700">⚠ {t("budget.noRate", { list: tripBudget.unconverted.join(", ") })}</div>}
+          <div className="pt-1 space-y-1">
+            <div className="text-sm font-medium">{t("budget.travellers")}</div>
+            <div className="flex flex-wrap gap-1">
+              {travellers.map(name => (
+                <span key={name} className="px-2 py-0.5 rounded-full bg-slate-100 text-xs flex items-center gap-1">
+                  {name}<button onClick={()=>setTravellers(travellers.filter(x => x !== name))} className="text-slate-400 hover:text-rose-600">×</button>
+                </span>
+              ))}
+            </div>
+            <div className="flex gap-2">
+              <input value={newTraveller} onChange={(e)=>setNewTraveller(e.target.value)} onKeyDown={(e)=>e.key === "Enter" && addTraveller()} placeholder={t("common.name")} className="flex-1 min-w-0 border rounded-lg p-1 text-sm" />
+              <button onClick={addTraveller} className="px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300 text-sm">{t("common.add")}</button>
+            </div>
+          </div>
+          {travellers.length > 1 && (
+            <div className="text-xs space-y-0.5">
+              <div className="font-medium text-slate-600">{t("budget.whoOwes")}</div>
+              {settlement.length
+                ? settlement.map((s, i) => <div key={i}>{t("budget.owes", { from: s.from, to: s.to })} <span className="font-medium">{l10n.money(s.amount)}</span></div>)
+                : <div className="text-slate-500">{t("budget.allSquare")}</div>}
+            </div>
+          )}
         </div>
 
         {/* Hotel / Base + Travel Mode + Visibility */}
         <div className="bg-white rounded-2xl shadow p-4 space-y-2">
-          <h3 className="font-semibold">Hotel / Base</h3>
-          {hotel ? (
+          <h3 className="font-semibold">{t("stay.title")}</h3>
+          {stays.length ? (
             <>
-              <div className="text-sm">
-                <div className="font-medium">{hotel.name}</div>
-                <div className="text-xs text-slate-500 truncate">{hotel.address}</div>
-              </div>
+              {stays.map((st, i) => (
+                <div key={i} className="text-sm border rounded-xl p-2 space-y-1">
+                  <div className="flex items-start justify-between gap-2">
+                    <div className="min-w-0">
+                      <div className="font-medium truncate">{st.place.name}</div>
+                      <div className="text-xs text-slate-500 truncate">{st.place.address}</div>
+                    </div>
+                    <button className="px-2 py-1 rounded-lg bg-rose-100 text-rose-700 text-xs" onClick={()=>removeStay(i)}>{t("common.remove")}</button>
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <label className="text-xs">{t("stay.checkIn")}
+                      <input type="date" value={st.checkIn} onChange={(e)=>e.target.value && updateStay(i, { checkIn: e.target.value })} className="w-full border rounded-lg p-1" />
+                    </label>
+                    <label className="text-xs">{t("stay.checkOut")}
+                      <input type="date" value={st.checkOut} min={addDays(st.checkIn, 1)} onChange={(e)=>e.target.value && updateStay(i, { checkOut: e.target.value })} className="w-full border rounded-lg p-1" />
+                    </label>
+                  </div>
+                </div>
+              ))}
+              {stayWarnings.map((msg, k) => <div key={k} className="text-xs text-amber-700">⚠ {msg}</div>)}
+              {bases.start && bases.end && bases.start.id !== bases.end.id && (
+                <div className="text-xs text-slate-500">{t("stay.fromTo", { day: l10n.day(selectedDay), from: bases.start.name, to: bases.end.name })}</div>
+              )}
               <div className="flex flex-wrap gap-3 items-center">
                 <label className="text-sm flex items-center gap-2">
                   <input type="checkbox" checked={useHotelStart} onChange={(e)=>setUseHotelStart(e.target.checked)} />
-                  Start here
+                  {t("stay.startHere")}
                 </label>
                 <label className="text-sm flex items-center gap-2">
                   <input type="checkbox" checked={useHotelEnd} onChange={(e)=>setUseHotelEnd(e.target.checked)} />
-                  End here
+                  {t("stay.endHere")}
                 </label>
-                <button className="px-2 py-1 rounded-lg bg-rose-100 text-rose-700" onClick={()=>setHotel(null)}>Clear</button>
               </div>
+              {useHotelStart && (
+                <label className="text-sm flex items-center gap-2">{t("stay.leaveAt")}
+                  <input type="time" value={hotelDeparture} onChange={(e)=>setHotelDeparture(e.target.value || "08:00")} className="border rounded-lg p-1" />
+                </label>
+              )}
             </>
           ) : (
-            <div className="text-sm text-slate-500">Pick any search result below and click “Set as hotel”.</div>
+            <div className="text-sm text-slate-500">{t("stay.empty", { action: t("search.addStay") })}</div>
           )}
           <div className="pt-2">
-            <label className="text-sm font-medium">Travel mode</label>
+            <label className="text-sm font-medium">{t("mode.title")}</label>
             <select
               value={routeMode}
               onChange={(e)=>setRouteMode(e.target.value)}
               className="w-full border rounded-xl p-2 mt-1"
             >
-              <option value="foot">Walking</option>
-              <option value="driving">Driving</option>
-              <option value="bike">Cycling</option>
-              <option value="transit">Public transit</option>
+              {["foot", "driving", "bike", "transit"].map(m => <option key={m} value={m}>{t(`mode.${m}`)}</option>)}
+              <option value="auto">{t("mode.autoLong")}</option>
             </select>
-            {routeMode === "transit" && <div className="text-xs text-slate-500 mt-1">Transit uses Google Directions via your secure Vercel API.</div>}
+            {(routeMode === "auto" || legChoices.includes("auto")) && (
+              <label className="text-xs flex items-center gap-2 mt-1">{t("mode.walkUnder")}
+                {units === "imperial" ? (
+                  <input
+                    type="number" min="300" step="300"
+                    value={Math.round(autoWalkMeters / 0.3048)}
+                    onChange={(e)=>setAutoWalkMeters(Math.max(100, Math.round((Number(e.target.value) || 4900) * 0.3048)))}
+                    className="w-20 border rounded-lg p-1"
+                  />
+                ) : (
+                  <input
+                    type="number" min="100" step="100"
+                    value={autoWalkMeters}
+                    onChange={(e)=>setAutoWalkMeters(Math.max(100, Number(e.target.value) || 1500))}
+                    className="w-20 border rounded-lg p-1"
+                  />
+                )} {units === "imperial" ? "ft" : "m"}
+              </label>
+            )}
+            <div className="text-xs text-slate-500 mt-1">{t("mode.hint")}</div>
+            {legModes.includes("transit") && prefs.routing.transit.provider === "proxy" && <div className="text-xs text-slate-500 mt-1">{t("mode.proxyNote")}</div>}
+            <details className="mt-2 text-xs">
+              <summary className="cursor-pointer text-slate-600">{t("routing.title")}</summary>
+              <div className="space-y-2 mt-2">
+                <div className="text-slate-500">{t("routing.onBlur")}</div>
+                {ROUTED_MODES.map(mode => {
+                  const cfg = prefs.routing[mode];
+                  const set = patch => setPref("routing", { ...prefs.routing, [mode]: { ...cfg, ...patch } });
+                  return (
+                    <div key={mode} className="border rounded-lg p-2 space-y-1">
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium w-16">{t(`mode.${mode}`)}</span>
+                        <select
+                          value={cfg.provider}
+                          onChange={(e)=>{ const pr = ROUTING_PROVIDERS[e.target.value]; set({ provider: e.target.value, baseUrl: pr.baseUrl, profile: pr.profiles[mode] ?? "" }); }}
+                          className="flex-1 border rounded-lg p-0.5"
+                        >
+                          {Object.entries(ROUTING_PROVIDERS).filter(([, pr]) => mode in pr.profiles).map(([id, pr]) => <option key={id} value={id}>{pr.label}</option>)}
+                        </select>
+                      </div>
+                      {cfg.provider !== "fixture" && (
+                        <>
+                          <input key={`url:${cfg.baseUrl}`} defaultValue={cfg.baseUrl} onBlur={(e)=>set({ baseUrl: e.target.value.trim() })} placeholder={cfg.provider === "proxy" ? t("routing.sameSite") : t("routing.baseUrl")} className="w-full border rounded-lg p-1" />
+                          <div className="flex gap-1">
+                            {cfg.provider !== "proxy" && <input key={`profile:${cfg.profile}`} defaultValue={cfg.profile} onBlur={(e)=>set({ profile: e.target.value.trim() })} placeholder={t("routing.profile")} className="w-24 border rounded-lg p-1" />}
+                            <input key={`auth:${cfg.authHeader}`} defaultValue={cfg.authHeader} onBlur={(e)=>set({ authHeader: e.target.value })} placeholder={t("routing.auth")} className="flex-1 min-w-0 border rounded-lg p-1" />
+                          </div>
+                        </>
+                      )}
+                    </div>
+                  );
+                })}
+                <button onClick={()=>setPref("routing", defaultRouting())} className="px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300">{t("routing.reset")}</button>
+              </div>
+            </details>
           </div>
 
           <hr className="my-3" />
@@ -502,7 +3206,7 @@ export default function BarcelonaTripPlanner(){
                 checked={showRoutes}
                 onChange={(e)=> setShowRoutes(e.target.checked)}
               />
-              Show routes on map
+              {t("legs.showOnMap")}
             </label>
 
             {showRoutes && segments.length > 0 && (
@@ -513,21 +3217,21 @@ export default function BarcelonaTripPlanner(){
                     onClick={()=>setAllLegs(true)}
                     className="px-2 py-1 text-xs rounded bg-slate-200 hover:bg-slate-300"
                   >
-                    Show all
+                    {t("legs.showAll")}
                   </button>
                   <button
                     type="button"
                     onClick={()=>setAllLegs(false)}
                     className="px-2 py-1 text-xs rounded bg-slate-200 hover:bg-slate-300"
                   >
-                    Hide all
+                    {t("legs.hideAll")}
                   </button>
                 </div>
 
                 <div className="space-y-1">
                   {segments.map((_, i) => {
-                    const from = effectiveStops[i]?.place?.name || `Stop ${i+1}`;
-                    const to   = effectiveStops[i+1]?.place?.name || `Stop ${i+2}`;
+                    const from = effectiveStops[i]?.place?.name || t("legs.stop", { n: i+1 });
+                    const to   = effectiveStops[i+1]?.place?.name || t("legs.stop", { n: i+2 });
                     return (
                       <label key={i} className="text-xs flex items-center gap-2">
                         <input
@@ -535,7 +3239,7 @@ export default function BarcelonaTripPlanner(){
                           checked={!!visibleLegs[i]}
                           onChange={(e)=> setVisibleLegs(v => ({ ...v, [i]: e.target.checked }))}
                         />
-                        <span className="truncate">{`Leg ${i+1}: ${from} → ${to}`}</span>
+                        <span className="truncate">{t("legs.leg", { n: i+1, from, to })}</span>
                       </label>
                     );
                   })}
@@ -546,14 +3250,14 @@ export default function BarcelonaTripPlanner(){
         </div>
 
         <div className="bg-white rounded-2xl shadow p-4 space-y-3">
-          <h2 className="text-lg font-semibold">Add places</h2>
+          <h2 className="text-lg font-semibold">{t("search.title")}</h2>
           <input
             value={query}
             onChange={(e)=>setQuery(e.target.value)}
-            placeholder="Search e.g. Sagrada Família"
+            placeholder={t("search.placeholder")}
             className="w-full border rounded-xl p-2"
           />
-          {loading && <div className="text-sm text-slate-500">Searching…</div>}
+          {loading && <div className="text-sm text-slate-500">{t("search.searching")}</div>}
           {error && <div className="text-sm text-rose-600">{error}</div>}
           <div className="max-h-48 overflow-auto divide-y">
             {results.map(r=> (
@@ -563,142 +3267,663 @@ export default function BarcelonaTripPlanner(){
                   <div className="text-xs text-slate-500 truncate max-w-[200px]">{r.address}</div>
                 </div>
                 <div className="flex gap-2">
-                  <button onClick={()=>addToDay(r)} className="px-2 py-1 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700">Add</button>
-                  <button onClick={()=>setHotel(r)} className="px-2 py-1 rounded-lg bg-amber-500 text-white hover:bg-amber-600">Set as hotel</button>
+                  <button onClick={()=>addToDay(r)} className="px-2 py-1 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700">{t("common.add")}</button>
+                  <button onClick={()=>addToWishlist(r)} disabled={wishlist.some(w => w.place.id === r.id)} className="px-2 py-1 rounded-lg bg-violet-600 text-white hover:bg-violet-700 disabled:opacity-40" title={t("search.saveForLater")}>☆</button>
+                  <button onClick={()=>addStay(r)} className="px-2 py-1 rounded-lg bg-amber-500 text-white hover:bg-amber-600">{t("search.addStay")}</button>
                 </div>
               </div>
             ))}
           </div>
-          <p className="text-xs text-slate-500">Search powered by OpenStreetMap Nominatim. Times/distances are estimates.</p>
+          <p className="text-xs text-slate-500">{t("search.help")}</p>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow p-4 space-y-2">
+          <div className="flex items-center justify-between">
+            <h3 className="font-semibold">{t("wish.title")}</h3>
+            {wishlist.length > 0 && <span className="text-xs text-slate-500">{t("wish.openCount", { open: unscheduledWishes.length, count: wishlist.length })}</span>}
+          </div>
+          {wishlist.length ? (
+            <>
+              <select value={wishFilter} onChange={(e)=>setWishFilter(e.target.value)} className="w-full border rounded-lg p-1 text-sm">
+                <option value="">{t("wish.all")}</option>
+                <option value="open">{t("wish.open")}</option>
+                {wishTags.map(tag => <option key={tag} value={tag}>#{tag}</option>)}
+              </select>
+              <div className="max-h-80 overflow-auto space-y-2">
+                {shownWishes.map(w => {
+                  const dates = scheduled[w.place.id];
+                  return (
+                    <div key={w.place.id} className={`text-sm border rounded-xl p-2 space-y-1 ${dates ? "bg-slate-50" : ""}`}>
+                      <div className="flex items-start justify-between gap-2">
+                        <div className="min-w-0">
+                          <div className="font-medium truncate">{w.place.name}</div>
+                          <div className="text-xs text-slate-500 truncate">{dates ? t("wish.on", { dates: dates.map(d => l10n.day(d)).join(", ") }) : t("wish.notScheduled")}</div>
+                        </div>
+                        <button className="px-2 py-1 rounded-lg bg-rose-100 text-rose-700 text-xs" onClick={()=>removeWish(w.idx)}>{t("common.remove")}</button>
+                      </div>
+                      <div className="grid grid-cols-2 gap-2">
+                        <select value={w.priority} onChange={(e)=>updateWish(w.idx, { priority: e.target.value })} className="border rounded-lg p-1 text-xs">
+                          {WISH_PRIORITIES.map(p => <option key={p} value={p}>{t(`wish.${p}`)}</option>)}
+                        </select>
+                        <label className="text-xs flex items-center gap-1">
+                          <input
+                            type="number" min="15" step="15" value={w.duration}
+                            onChange={(e)=>updateWish(w.idx, { duration: Math.max(15, Number(e.target.value) || 60) })}
+                            className="w-16 border rounded-lg p-1"
+                          /> {t("common.min")}
+                        </label>
+                      </div>
+                      <input
+                        key={w.tags.join(",")} defaultValue={w.tags.join(", ")} placeholder={t("wish.tags")}
+                        onBlur={(e)=>updateWish(w.idx, { tags: [...new Set(e.target.value.split(",").map(s => s.trim()).filter(Boolean))] })}
+                        className="w-full border rounded-lg p-1 text-xs"
+                      />
+                      <input
+                        value={w.notes || ""} placeholder={t("common.notes")}
+                        onChange={(e)=>updateWish(w.idx, { notes: e.target.value || undefined })}
+                        className="w-full border rounded-lg p-1 text-xs"
+                      />
+                      <div className="flex gap-2">
+                        <select value="" onChange={(e)=>e.target.value && scheduleWishOn(w.idx, e.target.value)} className="flex-1 border rounded-lg p-1 text-xs">
+                          <option value="">{dates ? t("wish.alsoAdd") : t("wish.schedule")}</option>
+                          {days.map(d => <option key={d} value={d}>{l10n.day(d)}</option>)}
+                        </select>
+                        {dates && <button className="px-2 py-1 rounded-lg bg-slate-200 text-xs" onClick={()=>unscheduleWishAt(w.idx)}>{t("wish.unschedule")}</button>}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </>
+          ) : (
+            <div className="text-sm text-slate-500">{t("wish.empty")}</div>
+          )}
         </div>
       </div>
 
       {/* Center: Map */}
       <div className="lg:col-span-6 overflow-hidden rounded-2xl shadow relative min-h-[400px]">
-        <MapContainer center={[41.387, 2.17]} zoom={13} style={{height:"100%", minHeight: 500}}>
+        <MapContainer center={[destination.lat, destination.lon]} zoom={13} style={{height:"100%", minHeight: 500}}>
           <TileLayer
             attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
             url="https://tile.openstreetmap.org/{z}/{x}/{y}.png"
           />
-        {effectiveStops.map((s,i)=>(
+        {!allDaysMap && effectiveStops.map((s,i)=>(
             <Marker
               key={i}
               position={[s.place.lat, s.place.lon]}
-              icon={hotel && s.place.id === hotel.id ? hotelIcon : stopIcon}
+              icon={s.base ? hotelIcon : stopIcon}
+              draggable
+              title={t("map.dragHint", { name: s.place.name })}
+              eventHandlers={{ dragend: (e) => { const ll = e.target.getLatLng(); relocatePlace(s.place.id, ll.lat, ll.lng); } }}
+            />
+          ))}
+          {pin && (
+            <Marker
+              position={[pin.place.lat, pin.place.lon]}
+              icon={wishIcon}
+              draggable
+              eventHandlers={{ dragend: (e) => movePin(e.target.getLatLng()) }}
             />
+          )}
+          <MapPinDropper onPick={dropPin} />
+          {wishlist.filter(w => !dayStops.some(s => s.place.id === w.place.id)).map(w => (
+            <Marker key={`wish-${w.place.id}`} position={[w.place.lat, w.place.lon]} icon={wishIcon} opacity={scheduled[w.place.id] ? 0.45 : 1}>
+              <Popup>
+                <div className="font-medium">{w.place.name}</div>
+                <div className="text-xs">{t(`wish.${w.priority}`)} · {t("common.minutes", { count: w.duration })}{w.tags.length ? ` · ${w.tags.map(tag => `#${tag}`).join(" ")}` : ""}</div>
+                <div className="text-xs">{scheduled[w.place.id] ? t("wish.on", { dates: scheduled[w.place.id].map(d => l10n.day(d)).join(", ") }) : t("wish.notScheduled")}</div>
+                {!scheduled[w.place.id]?.includes(selectedDay) && (
+                  <button className="mt-1 px-2 py-0.5 rounded bg-indigo-600 text-white text-xs" onClick={()=>scheduleWishOn(wishlist.indexOf(w), selectedDay)}>{t("wish.addTo", { day: l10n.day(selectedDay) })}</button>
+                )}
+              </Popup>
+            </Marker>
           ))}
           {/* Draw only when master toggle is on AND leg is checked */}
-          {showRoutes && segments.map((s, i) =>
-            visibleLegs[i] ? (
+          {allDaysMap && tripMap.filter(d => !d.hidden).map(d => (
+            <React.Fragment key={d.date}>
+              {showRoutes && d.lines.map((l, i) => (
+                <Polyline key={i} positions={l.line} pathOptions={{ color: d.color, weight: 4, opacity: 0.8, ...(l.straight ? { dashArray: "6 6", weight: 3 } : {}) }} />
+              ))}
+              {d.stops.map((s, i) => {
+                if (s.base) return null; // accommodation markers are drawn once below
+                const idx = i - (d.stops[0].base ? 1 : 0);
+                return (
+                  <Marker
+                    key={i}
+                    position={[s.place.lat, s.place.lon]}
+                    icon={numberIcon(idx + 1, d.color)}
+                    title={`${l10n.day(d.date)} · ${idx + 1}. ${s.place.name}`}
+                    eventHandlers={{ click: () => jumpToStop(d.date, idx) }}
+                  />
+                );
+              })}
+            </React.Fragment>
+          ))}
+          {allDaysMap && [...new Map(tripMap.filter(d => !d.hidden).flatMap(d => d.stops.filter(s => s.base)).map(s => [s.place.id, s.place])).values()].map(p => (
+            <Marker key={`base-${p.id}`} position={[p.lat, p.lon]} icon={hotelIcon} title={p.name} />
+          ))}
+          {!allDaysMap && showRoutes && segments.map((s, i) =>
+            visibleLegs[i] && !s.pending ? (
               <Polyline key={i} positions={s.line} pathOptions={s.style || ROUTE_STYLE.driving} />
             ) : null
           )}
-          <FitToDayBounds points={coords} />
+          <FitToDayBounds points={mapPoints} />
+          <FitToDestination destination={destination} />
         </MapContainer>
         <div className="absolute top-2 left-2 bg-white/90 backdrop-blur rounded-xl px-3 py-1 text-sm shadow">
           {coords.length>1
-            ? <div>Total (visible): {formatDistance(visibleMeters)} · ETA ~ {estimateHM(visibleSeconds)}</div>
-            : <div>Add at least two places to see a route</div>}
+            ? <div>{t("map.total", { distance: l10n.distance(visibleMeters), time: l10n.duration(visibleSeconds) })}</div>
+            : <div>{t("map.needTwo")}</div>}
           {routingError && <div className="text-rose-600">{routingError}</div>}
         </div>
+        <div className="absolute top-2 right-2 z-[1000] bg-white/90 backdrop-blur rounded-xl px-3 py-2 text-sm shadow space-y-1 max-h-[60%] overflow-auto">
+          <button onClick={()=>setAllDaysMap(!allDaysMap)} className="px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300 text-xs w-full">
+            {allDaysMap ? t("map.dayOnly", { day: l10n.day(selectedDay) }) : t("map.allDays")}
+          </button>
+          {allDaysMap && (
+            <>
+              {tripMap.map(d => (
+                <label key={d.date} className={`flex items-center gap-2 text-xs ${d.date === selectedDay ? "font-semibold" : ""}`}>
+                  <input type="checkbox" checked={!d.hidden} onChange={(e)=>setHiddenDays({ ...hiddenDays, [d.date]: !e.target.checked })} />
+                  <span className="inline-block w-3 h-3 rounded-full" style={{ background: d.color }} />
+                  <span>{l10n.day(d.date)}</span>
+                  <span className="text-slate-500 ml-auto">{(plan[d.date] || []).length}</span>
+                </label>
+              ))}
+              <label className="flex items-center gap-2 text-xs pt-1 border-t">
+                <input type="checkbox" checked={showRoutes} onChange={(e)=>setShowRoutes(e.target.checked)} />
+                {t("map.routes")}
+              </label>
+              {showRoutes && <div className="text-[11px] text-slate-500 max-w-[11rem]">{t("map.dashed")}</div>}
+            </>
+          )}
+        </div>
+        {pin && (
+          <div className="absolute bottom-2 left-2 right-2 sm:right-auto sm:w-80 z-[1000] bg-white rounded-xl shadow p-3 space-y-2 text-sm">
+            <div className="flex items-center justify-between">
+              <span className="font-medium">{t("pin.title")}</span>
+              <span className="text-xs text-slate-500">{pin.place.lat.toFixed(5)}, {pin.place.lon.toFixed(5)}</span>
+            </div>
+            {pin.looking && <div className="text-xs text-slate-500">{t("pin.looking")}</div>}
+            {pin.error && <div className="text-xs text-rose-600">{pin.error}</div>}
+            <input
+              value={pin.place.name}
+              onChange={(e)=>setPin({ ...pin, edited: true, place: { ...pin.place, name: e.target.value } })}
+              placeholder={t("common.name")} className="w-full border rounded-lg p-1"
+            />
+            <input
+              value={pin.place.address || ""}
+              onChange={(e)=>setPin({ ...pin, edited: true, place: { ...pin.place, address: e.target.value || undefined } })}
+              placeholder={t("pin.address")} className="w-full border rounded-lg p-1 text-xs"
+            />
+            <div className="flex flex-wrap gap-2">
+              <button onClick={()=>savePin(addToDay)} disabled={!pin.place.name.trim()} className="px-2 py-1 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-40">{t("wish.addTo", { day: l10n.day(selectedDay) })}</button>
+              <button onClick={()=>savePin(addToWishlist)} disabled={!pin.place.name.trim()} className="px-2 py-1 rounded-lg bg-violet-600 text-white hover:bg-violet-700 disabled:opacity-40">☆</button>
+              <button onClick={()=>savePin(addStay)} disabled={!pin.place.name.trim()} className="px-2 py-1 rounded-lg bg-amber-500 text-white hover:bg-amber-600 disabled:opacity-40">{t("search.addStay")}</button>
+              <button onClick={()=>setPin(null)} className="ml-auto px-2 py-1 rounded-lg bg-slate-200">{t("common.cancel")}</button>
+            </div>
+            <div className="text-xs text-slate-500">{t("pin.drag")}</div>
+          </div>
+        )}
       </div>
 
       {/* Right: Day timetable */}
       <div className="lg:col-span-3 bg-white rounded-2xl shadow p-4 space-y-3">
         <div className="flex items-center justify-between">
-          <h2 className="text-lg font-semibold">{selectedDay} timetable</h2>
-          <div className="text-sm text-slate-500">{dayStops.length} stops</div>
+          <h2 className="text-lg font-semibold">{t("day.timetable", { day: l10n.day(selectedDay, "long") })}</h2>
+          <div className="text-sm text-slate-500 text-right">
+            {t("trip.stops", { count: dayStops.length })}
+            {dayBudget.count > 0 && <div className="text-xs">{t("budget.short", { estimated: l10n.money(dayBudget.estimated), spent: l10n.money(dayBudget.actual) })}</div>}
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {dayStops.length > 1 && (
+            <button
+              onClick={optimizeDay}
+              disabled={optimizing}
+              className="px-3 py-2 rounded-xl bg-teal-600 text-white hover:bg-teal-700 disabled:opacity-50"
+            >
+              {optimizing ? t("day.optimizing") : t("day.optimize")}
+            </button>
+          )}
+          {dayStops.length > 0 && (
+            <button
+              onClick={autoFitTimes}
+              disabled={!scheduleReady}
+              title={!scheduleReady ? t("day.autoFitWaiting") : hotelOffset ? t("day.autoFitHotel", { place: bases.start.name, time: l10n.clock(hotelDeparture) }) : t("day.autoFitFirst")}
+              className="px-3 py-2 rounded-xl bg-sky-600 text-white hover:bg-sky-700 disabled:opacity-50"
+            >
+              {t("day.autoFit")}
+            </button>
+          )}
         </div>
-        <div className="space-y-3">
-          {dayStops.length===0 && <div className="text-sm text-slate-500">No stops yet. Add places from the left panel.</div>}
-          {dayStops.map((s, idx)=> (
-            <div key={idx} className="border rounded-xl p-3 space-y-2">
+        {conflictCount > 0 && (
+          <div className="text-xs text-rose-600">{t("day.conflicts", { count: conflictCount, action: t("day.autoFit") })}</div>
+        )}
+        {autoFitError && <div className="text-xs text-rose-600">{autoFitError}</div>}
+        {optimization && optimization.key === optimizationKey && (
+          <div className="rounded-xl border border-teal-200 bg-teal-50 p-3 space-y-2 text-sm">
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <div className="text-xs text-slate-500">{t("day.before")}</div>
+                <div>{l10n.distance(optimization.before.meters)} · ~{l10n.duration(optimization.before.seconds)}</div>
+              </div>
+              <div>
+                <div className="text-xs text-slate-500">{t("day.after")}</div>
+                <div className="font-medium">{l10n.distance(optimization.after.meters)} · ~{l10n.duration(optimization.after.seconds)}</div>
+              </div>
+            </div>
+            <ol className="list-decimal pl-5 text-xs text-slate-700">
+              {optimization.order.map(i => <li key={i}>{dayStops[i]?.place.name}</li>)}
+            </ol>
+            {optimization.estimated && <div className="text-xs text-slate-500">{t("day.estimatedOrder")}</div>}
+            {optimization.after.seconds >= optimization.before.seconds - 1
+              ? <div className="text-xs text-slate-600">{t("day.alreadyShortest")}</div>
+              : null}
+            <div className="flex gap-2">
+              <button onClick={applyOptimization} className="px-2 py-1 rounded-lg bg-teal-600 text-white hover:bg-teal-700">{t("day.applyOrder")}</button>
+              <button onClick={()=>setOptimization(null)} className="px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300">{t("day.keepOrder")}</button>
+            </div>
+          </div>
+        )}
+        <div className="space-y-3" {...dropProps(selectedDay, dayStops.length)}>
+          {dayStops.length===0 && <div className="text-sm text-slate-500">{t("day.empty")}</div>}
+          {dayStops.map((s, idx)=> {
+            const row = schedule[idx + hotelOffset];
+            const hoursWarning = openingHoursWarning(s.place.openingHours, selectedDay, toMinutes(s.start), toMinutes(s.end), l10n, destination);
+            const hoursError = parseOpeningHours(s.place.openingHours)?.error;
+            return (
+            <div
+              key={idx}
+              id={`stop-card-${idx}`}
+              {...dropProps(selectedDay, idx)}
+              className={`border rounded-xl p-3 space-y-2 ${focusStop?.date === selectedDay && focusStop.idx === idx ? "ring-2 ring-indigo-400" : ""} ${row?.issues.length ? "border-rose-300" : (hoursWarning ? "border-amber-300" : "")} ${isDropTarget(selectedDay, idx) ? "border-t-4 border-t-indigo-500" : ""} ${dragging?.date === selectedDay && dragging?.idx === idx ? "opacity-50" : ""}`}
+            >
               <div className="flex items-start justify-between gap-2">
-                <div>
+                <div {...dragProps(selectedDay, idx)} className="cursor-grab" title={t("stop.drag")}>
                   <div className="font-medium">{s.place.name}</div>
                   <div className="text-xs text-slate-500 truncate max-w-[220px]">{s.place.address}</div>
                 </div>
                 <div className="flex gap-1">
+                  <button
+                    className={`px-2 py-1 rounded-lg ${s.pinned ? "bg-teal-600 text-white" : "bg-slate-200"}`}
+                    title={s.pinned ? t("stop.pinned") : t("stop.pin")}
+                    onClick={()=>togglePin(idx)}
+                  >📌</button>
                   <button className="px-2 py-1 bg-slate-200 rounded-lg" onClick={()=>move(idx,-1)}>↑</button>
                   <button className="px-2 py-1 bg-slate-200 rounded-lg" onClick={()=>move(idx,1)}>↓</button>
-                  <button className="px-2 py-1 bg-rose-100 text-rose-700 rounded-lg" onClick={()=>removeStop(idx)}>Remove</button>
+                  <button className="px-2 py-1 bg-violet-100 text-violet-700 rounded-lg" title={t("stop.toWishlist")} onClick={()=>stopToWishlist(idx)}>☆</button>
+                  <button className="px-2 py-1 bg-rose-100 text-rose-700 rounded-lg" onClick={()=>removeStop(idx)}>{t("common.remove")}</button>
                 </div>
               </div>
               <div className="grid grid-cols-2 gap-2 items-center">
-                <label className="text-xs">Start
+                <label className="text-xs">{t("common.start")}
                   <input type="time" value={s.start} onChange={(e)=>updateStop(idx,{start:e.target.value})} className="w-full border rounded-lg p-1" />
                 </label>
-                <label className="text-xs">End
+                <label className="text-xs">{t("common.end")}
                   <input type="time" value={s.end} onChange={(e)=>updateStop(idx,{end:e.target.value})} className="w-full border rounded-lg p-1" />
                 </label>
               </div>
-              <textarea value={s.notes||""} onChange={(e)=>updateStop(idx,{notes:e.target.value})} placeholder="Notes (tickets, lunch, etc.)" className="w-full border rounded-lg p-2 text-sm"/>
+              {row && (idx + hotelOffset > 0) && (
+                <div className="text-xs text-slate-500">
+                  {row.pending ? t("stop.computing") : t("stop.arrives", { arrival: l10n.clock(fromMinutes(row.arrival)), departure: l10n.clock(fromMinutes(row.departure)) })}
+                </div>
+              )}
+              {row?.issues.map((msg, k) => <div key={k} className="text-xs text-rose-600">⚠ {msg}</div>)}
+              {hoursWarning && <div className="text-xs text-amber-700">🕒 {hoursWarning}</div>}
+              <label className="text-xs flex items-center gap-2">{t("stop.hours")}
+                <input
+                  value={s.place.openingHours || ""}
+                  onChange={(e)=>setPlaceHours(s.place.id, e.target.value)}
+                  placeholder={t("stop.hoursPlaceholder")}
+                  className="flex-1 border rounded-lg p-1"
+                />
+              </label>
+              {hoursError && <div className="text-xs text-slate-500">{t("stop.hoursInvalid", { rule: hoursError })}</div>}
+              {(s.place.website || s.place.phone) && (
+                <div className="text-xs flex gap-3">
+                  {s.place.website && <a href={s.place.website} target="_blank" rel="noreferrer" className="text-indigo-600 underline">{t("stop.website")}</a>}
+                  {s.place.phone && <a href={`tel:${s.place.phone}`} className="text-indigo-600 underline">{s.place.phone}</a>}
+                </div>
+              )}
+              <textarea value={s.notes||""} onChange={(e)=>updateStop(idx,{notes:e.target.value})} placeholder={t("stop.notes")} className="w-full border rounded-lg p-2 text-sm"/>
+              <div className="space-y-1">
+                {(s.expenses || []).map((e, k) => (
+                  <div key={k} className="grid grid-cols-6 gap-1 items-center text-xs">
+                    <select value={e.category} onChange={(ev)=>updateExpense(idx, k, { category: ev.target.value })} className="col-span-2 border rounded-lg p-1">
+                      {EXPENSE_CATEGORIES.map(c => <option key={c} value={c}>{t(`expense.${c}`)}</option>)}
+                    </select>
+                    <input value={e.label || ""} onChange={(ev)=>updateExpense(idx, k, { label: ev.target.value || undefined })} placeholder={t("expense.what")} className="col-span-3 border rounded-lg p-1" />
+                    <button onClick={()=>removeExpense(idx, k)} className="text-rose-600" title={t("expense.remove")}>×</button>
+                    <input type="number" min="0" step="any" value={e.estimated ?? ""} onChange={(ev)=>updateExpense(idx, k, { estimated: ev.target.value === "" ? undefined : Number(ev.target.value) })} placeholder={t("expense.estShort")} className="col-span-2 border rounded-lg p-1" />
+                    <input type="number" min="0" step="any" value={e.actual ?? ""} onChange={(ev)=>updateExpense(idx, k, { actual: ev.target.value === "" ? undefined : Number(ev.target.value) })} placeholder={t("expense.actual")} className="col-span-2 border rounded-lg p-1" />
+                    <select value={e.currency} onChange={(ev)=>updateExpense(idx, k, { currency: ev.target.value })} className="border rounded-lg p-1" title={t("expense.currency")}>
+                      {[...new Set([...CURRENCIES, e.currency])].map(c => <option key={c} value={c}>{c}</option>)}
+                    </select>
+                    {travellers.length > 0 && (
+                      <select value={e.paidBy || ""} onChange={(ev)=>updateExpense(idx, k, { paidBy: ev.target.value || undefined })} className="border rounded-lg p-1" title={t("expense.paidBy")}>
+                        <option value="">—</option>
+                        {travellers.map(name => <option key={name} value={name}>{name}</option>)}
+                      </select>
+                    )}
+                  </div>
+                ))}
+                <button onClick={()=>addExpense(idx)} className="text-xs text-indigo-600 underline">{t("expense.add")}</button>
+              </div>
             </div>
-          ))}
+            );
+          })}
+          {isDropTarget(selectedDay, dayStops.length) && <div className="h-1 rounded bg-indigo-500" />}
+          {bases.end && useHotelEnd && dayStops.length > 0 && schedule.length > 0 && !schedule[schedule.length-1].pending && (
+            <div className="text-xs text-slate-500">{t("day.backAt", { place: bases.end.name, time: l10n.clock(fromMinutes(schedule[schedule.length-1].arrival)) })}</div>
+          )}
         </div>
 
         {/* Per-leg breakdown (with transit step details when available) */}
         {segments.length > 0 && (
           <div className="mt-2 text-xs text-slate-700 space-y-2">
+            <label className="flex items-center gap-1 text-slate-500">
+              <input type="checkbox" checked={prefs.routeAlternatives} onChange={(e)=>setPref("routeAlternatives", e.target.checked)} />
+              {t("leg.alternatives")}
+            </label>
+            {legModes.includes("transit") && (
+              <label className="flex items-center gap-1 text-slate-500">{t("leg.timeTransit")}
+                <select value={prefs.transitTiming} onChange={(e)=>setPref("transitTiming", e.target.value)} className="border rounded-lg p-0.5">
+                  <option value="depart">{t("leg.depart")}</option>
+                  <option value="arrive">{t("leg.arrive")}</option>
+                </select>
+              </label>
+            )}
             {segments.map((s,i)=>(
               <div key={i}>
-                <div className="font-medium">Leg {i+1}: {formatDistance(s.meters)} · ~{Math.round((s.seconds||0)/60)} min</div>
-                {s.steps && (
-                  <ul className="list-disc pl-4 space-y-0.5">
-                    {s.steps.map((st, idx) => (
-                      <li key={idx} dangerouslySetInnerHTML={{__html: stepLabel(st)}} />
+                <div className="flex items-center justify-between gap-2">
+                  <div className="font-medium">
+                    <span className="inline-block w-2 h-2 rounded-full mr-1" style={{ background: (ROUTE_STYLE[s.mode] || ROUTE_STYLE.driving).color }} />
+                    {t("leg.title", { n: i+1 })} {s.pending ? t("leg.routing") : `${l10n.distance(s.meters)} · ${t("common.aboutMinutes", { count: Math.round((s.seconds||0)/60) })}`}
+                  </div>
+                  <select
+                    value={legChoices[i] ?? ""}
+                    onChange={(e)=>setLegMode(i, e.target.value)}
+                    className="border rounded-lg p-0.5"
+                    title={t("leg.modeTitle", { n: i+1 })}
+                  >
+                    <option value="">{t("leg.default", { mode: t(`mode.${routeMode}`) })}</option>
+                    {["foot","bike","driving","transit","auto"].map(m => <option key={m} value={m}>{t(`mode.${m}`)}</option>)}
+                  </select>
+                </div>
+                {(legChoices[i] || routeMode) === "auto" && s.mode && <div className="text-slate-500">{t("leg.auto", { mode: t(`mode.${s.mode}`).toLocaleLowerCase(l10n.locale) })}</div>}
+                {s.when && (
+                  <div className="text-slate-500">
+                    {t(s.when.arrival != null ? "leg.arriveBy" : "leg.leaveAt", { time: stepClock({ time: s.when.arrival ?? s.when.departure }, destination.timeZone, l10n) })}
+                    {s.when.shifted && (
+                      <div className="text-amber-700">⚠ {t(s.when.shifted > selectedDay ? "leg.shiftedPast" : "leg.shiftedFar", {
+                        date: l10n.day(selectedDay), day: l10n.day(s.when.shifted),
+                        time: stepClock({ time: s.when.arrival ?? s.when.departure }, destination.timeZone, l10n),
+                      })}</div>
+                    )}
+                  </div>
+                )}
+                {s.routes && (
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    {s.routes.map((r, k) => (
+                      <button
+                        key={k}
+                        onClick={()=>setRouteChoices(c => ({ ...c, [s.key]: k }))}
+                        className={`px-2 py-0.5 rounded-lg border ${(s.choice || 0) === k ? "bg-indigo-600 text-white border-indigo-600" : "bg-white hover:bg-slate-50"}`}
+                        title={r.summary || t("leg.option", { n: k+1 })}
+                      >
+                        {r.summary || t("leg.option", { n: k+1 })} · {t("common.aboutMinutes", { count: Math.round((r.seconds||0)/60) })}
+                      </button>
                     ))}
-                  </ul>
+                  </div>
                 )}
+                {s.steps && <RouteSteps steps={s.steps} timeZone={destination.timeZone} l10n={l10n} />}
               </div>
             ))}
           </div>
         )}
 
-        <div className="text-xs text-slate-500">Tip: set times to match opening hours; export as .ics and drop into your calendar.</div>
+        <div className="text-xs text-slate-500">{t("day.tip")}</div>
       </div>
 
+      {/* Off-screen QR for the PDF cover */}
+      {pdfQrUrl && (
+        <div className="fixed -left-[10000px] top-0" aria-hidden="true">
+          <QRCodeCanvas ref={pdfQrRef} value={pdfQrUrl} size={512} includeMargin />
+        </div>
+      )}
+
       {/* Footer */}
       <div className="lg:col-span-12 text-center text-xs text-slate-500">
-        Walking/Driving/Cycling routes via OSRM; Public transit via Google Directions (proxied). Distances shown in meters/kilometers.
+        {t("footer", { units: t(units === "imperial" ? "footer.imperial" : "footer.metric") })}
       </div>
 
+      {/* Trip library modal */}
+      {showLibrary && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-[9999]">
+          <div className="bg-white rounded-2xl shadow-xl p-5 w-full max-w-lg space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="text-lg font-semibold">{t("library.title")}</h3>
+              <label className="text-xs flex items-center gap-2">
+                <input type="checkbox" checked={showArchived} onChange={(e)=>setShowArchived(e.target.checked)} />
+                {t("library.showArchived")}
+              </label>
+            </div>
+            <div className="max-h-96 overflow-auto divide-y">
+              {tripList.filter(entry => showArchived || !entry.archived).map(entry => {
+                const data = entry.id === library.activeId ? trip : entry.data;
+                return (
+                  <div key={entry.id} className="py-2 flex items-start justify-between gap-2">
+                    <div className="min-w-0">
+                      <div className="font-medium truncate">
+                        {data.tripName}
+                        {entry.id === library.activeId && <span className="ml-2 text-xs text-indigo-600">{t("library.openBadge")}</span>}
+                        {entry.archived && <span className="ml-2 text-xs text-slate-500">{t("library.archivedBadge")}</span>}
+                      </div>
+                      <div className="text-xs text-slate-500">{l10n.day(data.startDate)} → {l10n.day(data.endDate)} · {t("trip.stops", { count: countStops(data.plan) })}</div>
+                    </div>
+                    <div className="flex flex-wrap gap-1 justify-end text-xs">
+                      {entry.id !== library.activeId && (
+                        <button onClick={()=>{ switchTrip(entry.id); setShowLibrary(false); }} className="px-2 py-1 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700">{t("library.open")}</button>
+                      )}
+                      <button onClick={()=>renameTrip(entry.id)} className="px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300">{t("library.rename")}</button>
+                      <button onClick={()=>duplicateTrip(entry.id)} className="px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300">{t("library.duplicate")}</button>
+                      <button onClick={()=>setTripArchived(entry.id, !entry.archived)} className="px-2 py-1 rounded-lg bg-slate-200 hover:bg-slate-300">
+                        {entry.archived ? t("library.unarchive") : t("library.archive")}
+                      </button>
+                      <button onClick={()=>deleteTrip(entry.id)} className="px-2 py-1 rounded-lg bg-rose-100 text-rose-700">{t("common.delete")}</button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+            <div className="flex gap-2 justify-end">
+              <button onClick={()=>{ newTrip(); setShowLibrary(false); }} className="px-3 py-2 rounded-xl bg-slate-700 text-white hover:bg-slate-800">{t("library.newTrip")}</button>
+              <button onClick={()=>setShowLibrary(false)} className="px-3 py-2 rounded-xl bg-slate-200 hover:bg-slate-300">{t("common.close")}</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Multi-day board: one column per trip day (plus orphaned dates); drag stops between days */}
+      {showBoard && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-[9997]">
+          <div className="bg-white rounded-2xl shadow-xl p-5 w-full max-w-6xl max-h-full flex flex-col gap-3">
+            <div className="flex items-center justify-between gap-3">
+              <h3 className="text-lg font-semibold">{t("board.title")}</h3>
+              <div className="flex items-center gap-3 text-sm">
+                <span className="text-slate-500">{t("board.dragging")}</span>
+                <label className="flex items-center gap-1"><input type="radio" checked={!boardCopy} onChange={()=>setBoardCopy(false)} /> {t("board.moves")}</label>
+                <label className="flex items-center gap-1"><input type="radio" checked={boardCopy} onChange={()=>setBoardCopy(true)} /> {t("board.copies")}</label>
+                <button onClick={()=>setShowBoard(false)} className="px-3 py-1 rounded-xl bg-slate-200 hover:bg-slate-300">{t("common.close")}</button>
+              </div>
+            </div>
+            <div className="flex gap-3 overflow-x-auto pb-2 min-h-0 flex-1">
+              {[...orphans.filter(d => d < startDate), ...days, ...orphans.filter(d => d > endDate)].map(date => {
+                const stops = plan[date] || [];
+                const orphan = orphans.includes(date);
+                return (
+                  <div
+                    key={date}
+                    {...dropProps(date, stops.length)}
+                    className={`w-56 shrink-0 rounded-xl p-2 space-y-2 overflow-y-auto ${orphan ? "bg-amber-50 border border-amber-300" : "bg-slate-50"}`}
+                  >
+                    <div className="flex items-center justify-between text-sm">
+                      <button onClick={()=>{ if (!orphan){ setSelectedDay(date); setShowBoard(false); } }} className={`font-medium ${orphan ? "" : "hover:underline"}`}>{l10n.day(date)}</button>
+                      <span className="text-xs text-slate-500">{stops.length}</span>
+                    </div>
+                    {orphan && (
+                      <div className="text-xs text-amber-800 space-y-1">
+                        <div>{t("board.outside")}</div>
+                        <select value="" onChange={(e)=>e.target.value && rehomeDate(date, e.target.value)} className="w-full border rounded-lg p-0.5">
+                          <option value="">{t("board.moveAll")}</option>
+                          {days.map(d => <option key={d} value={d}>{l10n.day(d)}</option>)}
+                        </select>
+                      </div>
+                    )}
+                    {stops.map((s, idx) => (
+                      <div
+                        key={idx}
+                        {...dragProps(date, idx)}
+                        {...dropProps(date, idx)}
+                        className={`bg-white border rounded-lg p-2 text-sm cursor-grab ${isDropTarget(date, idx) ? "border-t-4 border-t-indigo-500" : ""} ${dragging?.date === date && dragging?.idx === idx ? "opacity-50" : ""}`}
+                      >
+                        <div className="font-medium truncate">{s.place.name}</div>
+                        <div className="flex items-center justify-between gap-1 text-xs text-slate-500">
+                          <span>{l10n.clock(s.start)}–{l10n.clock(s.end)}</span>
+                          <select
+                            value=""
+                            onChange={(e)=>{ const [action, to] = e.target.value.split("|"); if (to) transferTo({ date, idx }, { date: to, idx: (plan[to] || []).length }, action === "copy"); }}
+                            className="border rounded p-0.5 max-w-[96px]"
+                          >
+                            <option value="">{t("board.moveCopy")}</option>
+                            {days.filter(d => d !== date).map(d => <option key={`m${d}`} value={`move|${d}`}>{t("board.moveTo", { day: l10n.day(d) })}</option>)}
+                            {days.map(d => <option key={`c${d}`} value={`copy|${d}`}>{t("board.copyTo", { day: l10n.day(d) })}</option>)}
+                          </select>
+                        </div>
+                      </div>
+                    ))}
+                    {isDropTarget(date, stops.length) && <div className="h-1 rounded bg-indigo-500" />}
+                    {stops.length === 0 && !dragging && <div className="text-xs text-slate-400">{t("board.noStops")}</div>}
+                  </div>
+                );
+              })}
+            </div>
+            <div className="text-xs text-slate-500">{t("board.help")}</div>
+          </div>
+        </div>
+      )}
+
+      {/* GPX/KML/GeoJSON import: add points to a day or list them as candidates */}
+      {geoImport && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-[9998]">
+          <div className="bg-white rounded-2xl shadow-xl p-5 w-full max-w-md space-y-3">
+            <h3 className="text-lg font-semibold">{t("geoImport.title", { count: geoImport.places.length })}</h3>
+            <div className="text-xs text-slate-500">{t("geoImport.from", { source: geoImport.source })}</div>
+            <ul className="max-h-48 overflow-auto text-sm list-disc pl-5">
+              {geoImport.places.map(p => <li key={p.id}>{p.name}</li>)}
+            </ul>
+            <label className="text-sm flex items-center gap-2">{t("geoImport.day")}
+              <select value={geoImport.day} onChange={(e)=>setGeoImport(g => ({ ...g, day: e.target.value }))} className="flex-1 border rounded-xl p-2">
+                {days.map(d => <option key={d} value={d}>{l10n.day(d)}</option>)}
+              </select>
+            </label>
+            <div className="flex flex-wrap gap-2 justify-end">
+              <button onClick={addGeoImportToDay} className="px-3 py-2 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700">{t("geoImport.addStops")}</button>
+              <button onClick={showGeoImportAsResults} className="px-3 py-2 rounded-xl bg-slate-700 text-white hover:bg-slate-800">{t("geoImport.candidates")}</button>
+              <button onClick={()=>setGeoImport(null)} className="px-3 py-2 rounded-xl bg-slate-200 hover:bg-slate-300">{t("common.cancel")}</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Import / validation report */}
+      {importReport && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-[9999]">
+          <div className="bg-white rounded-2xl shadow-xl p-5 w-full max-w-lg space-y-3">
+            <h3 className="text-lg font-semibold">{importReport.error ? t("report.failed") : t("report.changed")}</h3>
+            <div className="text-xs text-slate-500">
+              {t("report.source", { source: importReport.source })}
+              {importReport.migratedFrom && ` · ${t("report.upgraded", { version: importReport.migratedFrom })}`}
+            </div>
+            {importReport.error && <div className="text-sm text-rose-700">{importReport.error}</div>}
+            <div className="max-h-72 overflow-auto space-y-2 text-sm">
+              {importReport.rejected.length > 0 && (
+                <div>
+                  <div className="font-medium text-rose-700">{t("report.rejected", { count: importReport.rejected.length })}</div>
+                  <ul className="list-disc pl-5 text-xs">{importReport.rejected.map((m, i) => <li key={i}>{m}</li>)}</ul>
+                </div>
+              )}
+              {importReport.repaired.length > 0 && (
+                <div>
+                  <div className="font-medium text-amber-700">{t("report.repaired", { count: importReport.repaired.length })}</div>
+                  <ul className="list-disc pl-5 text-xs">{importReport.repaired.map((m, i) => <li key={i}>{m}</li>)}</ul>
+                </div>
+              )}
+            </div>
+            <div className="flex justify-end">
+              <button onClick={()=>setImportReport(null)} className="px-3 py-2 rounded-xl bg-slate-200 hover:bg-slate-300">{t("common.close")}</button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* QR Modal */}
       {showQR && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-[9999]">
           <div className="bg-white rounded-2xl shadow-xl p-5 w-full max-w-sm text-center space-y-3">
-            <h3 className="text-lg font-semibold">Scan this to open your trip</h3>
-            <div className="mx-auto w-fit bg-white p-3 rounded-xl">
-              <QRCodeCanvas value={shareUrl || window.location.href} size={256} includeMargin />
-            </div>
+            <h3 className="text-lg font-semibold">{t("qr.title")}</h3>
+            {qrUrl ? (
+              <div className="mx-auto w-fit bg-white p-3 rounded-xl">
+                <QRCodeCanvas value={qrUrl} size={256} includeMargin />
+              </div>
+            ) : (
+              <div className="text-sm text-rose-600">{t("qr.tooLarge")}</div>
+            )}
+            {(() => {
+              const version = qrVersionFor(shareUrl);
+              const density = !version ? "none"
+                : version <= 10 ? "easy" : version <= 18 ? "ok" : version <= QR_SCANNABLE_VERSION ? "dense" : "tooDense";
+              return (
+                <div className="text-xs text-slate-500">
+                  {t("qr.length", { count: shareUrl.length })}
+                  {version ? ` · ${t("qr.version", { version, size: 17 + 4*version })} ` : " · "}– {t(`qr.${density}`)}
+                </div>
+              );
+            })()}
+            {dayShareLinks.length > 0 && (
+              <div className="text-left space-y-1">
+                <div className="text-xs text-slate-600">{t("qr.perDay")}</div>
+                <div className="max-h-32 overflow-auto space-y-1">
+                  {dayShareLinks.map(l => (
+                    <div key={l.date} className="flex items-center justify-between gap-2 text-xs">
+                      <span className={qrUrl === l.url ? "font-medium" : ""}>{l10n.day(l.date)}</span>
+                      <span className="flex gap-1">
+                        <button onClick={()=>setQrUrl(l.url)} className="px-2 py-0.5 rounded bg-slate-200 hover:bg-slate-300">QR</button>
+                        <button onClick={()=>copyToClipboard(l.url, t)} className="px-2 py-0.5 rounded bg-slate-200 hover:bg-slate-300">{t("qr.copy")}</button>
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
             <div className="text-xs break-all text-slate-600 max-h-24 overflow-auto">{shareUrl}</div>
             <div className="flex gap-2 justify-center">
-              <a href={shareUrl} target="_blank" rel="noreferrer" className="px-3 py-2 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700">
-                Open link
+              <button onClick={()=>copyToClipboard(shareUrl, t)} className="px-3 py-2 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700">
+                {t("qr.copyLink")}
+              </button>
+              <a href={shareUrl} target="_blank" rel="noreferrer" className="px-3 py-2 rounded-xl bg-slate-200 hover:bg-slate-300">
+                {t("qr.openLink")}
               </a>
               <button onClick={()=>setShowQR(false)} className="px-3 py-2 rounded-xl bg-slate-200 hover:bg-slate-300">
-                Close
+                {t("common.close")}
               </button>
             </div>
-            <div className="text-[10px] text-slate-500">If a chat app breaks long links, scan the QR instead.</div>
+            <div className="text-[10px] text-slate-500">{t("qr.chatHint")}</div>
           </div>
         </div>
       )}
     </div>
   );
-
-  // turn Google 'steps' into a compact label (HTML allowed)
-  function stepLabel(st) {
-    const mode = st.travel_mode || "";
-    if (mode === "TRANSIT" && st.transit_details) {
-      const t = st.transit_details;
-      const line = t.line?.short_name || t.line?.name || "Transit";
-      const vehicle = t.line?.vehicle?.type || "Transit";
-      const from = t.departure_stop?.name || "";
-      const to = t.arrival_stop?.name || "";
-      const num = line ? ` (${line})` : "";
-      return `${vehicle}${num}: ${from} → ${to}`;
-    }
-    return st.html_instructions || (mode ? mode.toLowerCase() : "step");
-  }
 }
@@ -1,8 +1,717 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { render, screen } from "@testing-library/react";
+import App, {
+  budgetTotals, computeSchedule, dayShareTrip, guessTimeZone, historyShortcut, icsVTimezone, localization, matrixWith, openingHoursWarning, optimizeOrder, packTrip, parseGeoFile, parseICS, parseOpeningHours, routeLegsWith, settleUp, toGPX, toICS, toKML, transitLegTime, unpackTrip, validateTrip,
+} from "./App";
+import { translator } from "./i18n";
 
-test('renders learn react link', () => {
+test("renders the planner", () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole("heading", { level: 1 })).toBeInTheDocument();
+});
+
+describe("optimizeOrder", () => {
+  // Points on a line at 0, 3, 1, 2: the shortest path visits them in line order
+  const line = [0, 3, 1, 2];
+  const cost = line.map(a => line.map(b => Math.abs(a - b)));
+
+  test("finds the shortest path", () => {
+    expect(optimizeOrder(cost, [true, false, false, false])).toEqual([0, 2, 3, 1]);
+  });
+
+  test("keeps fixed nodes in place", () => {
+    expect(optimizeOrder(cost, [true, true, false, false])).toEqual([0, 1, 3, 2]);
+  });
+
+  test("leaves the order alone with fewer than two free nodes", () => {
+    expect(optimizeOrder(cost, [true, true, false, true])).toEqual([0, 1, 2, 3]);
+  });
+
+  test("improves large days until no pairwise swap helps", () => {
+    const xs = [0, 9, 1, 8, 2, 7, 3, 6, 4, 5];
+    const big = xs.map(a => xs.map(b => Math.abs(a - b)));
+    const length = o => o.slice(1).reduce((sum, i, k) => sum + big[o[k]][i], 0);
+    const order = optimizeOrder(big, xs.map((_, i) => i === 0));
+    expect(order[0]).toBe(0);
+    expect([...order].sort((a, b) => a - b)).toEqual([...xs.keys()]);
+    expect(length(order)).toBeLessThan(length([...xs.keys()]));
+    for (let a = 1; a < order.length; a++) for (let b = a + 1; b < order.length; b++) {
+      const swapped = [...order];
+      [swapped[a], swapped[b]] = [swapped[b], swapped[a]];
+      expect(length(swapped)).toBeGreaterThanOrEqual(length(order));
+    }
+  });
+});
+
+describe("parseOpeningHours", () => {
+  test("reads day selectors, split intervals and overnight hours", () => {
+    expect(parseOpeningHours("Mo-Fr 09:00-14:00,16:00-20:00; Sa 22:00-02:00; Su,PH off")).toEqual({
+      rules: [
+        { days: [1, 2, 3, 4, 5], ph: false, months: null, intervals: [[540, 840], [960, 1200]] },
+        { days: [6], ph: false, months: null, intervals: [[1320, 1560]] },
+        { days: [0], ph: true, months: null, intervals: [] },
+      ],
+      skipped: [],
+    });
+    expect(parseOpeningHours("24/7").rules).toEqual([{ days: [0, 1, 2, 3, 4, 5, 6], ph: false, months: null, intervals: [[0, 1440]] }]);
+    expect(parseOpeningHours("  ")).toBeNull();
+  });
+
+  test("reads month selectors, including ranges over the new year", () => {
+    const { rules } = parseOpeningHours("Jun-Sep Mo-Su 10:00-20:00; Nov-Feb 10:00-17:00; Jan off");
+    expect(rules.map(r => r.months)).toEqual([[5, 6, 7, 8], [10, 11, 0, 1], [0]]);
+    expect(rules[2]).toMatchObject({ days: [0, 1, 2, 3, 4, 5, 6], intervals: [] });
+  });
+
+  test("drops quoted comments and fallback rules", () => {
+    expect(parseOpeningHours('Mo-Fr 10:00-18:00 "closed in August"; "ask at the door"').rules)
+      .toEqual([{ days: [1, 2, 3, 4, 5], ph: false, months: null, intervals: [[600, 1080]] }]);
+    expect(parseOpeningHours('Mo-Sa 10:00-14:00 || "by appointment"').rules).toHaveLength(1);
+    expect(parseOpeningHours('"seasonal"')).toBeNull();
+  });
+
+  test("skips rules it can't read but keeps the rest", () => {
+    const oh = parseOpeningHours("Mo-Fr 09:00-17:00; Dec 25 off; week 1-10 Sa 10:00-12:00; Su sunrise-sunset");
+    expect(oh.rules).toHaveLength(1);
+    expect(oh.skipped).toEqual(["Dec 25 off", "week 1-10 Sa 10:00-12:00", "Su sunrise-sunset"]);
+    expect(parseOpeningHours("Mo[1] 10:00-12:00")).toEqual({ error: "Mo[1] 10:00-12:00" });
+  });
+});
+
+describe("openingHoursWarning", () => {
+  const spec = "Mo-Su 10:00-20:00; Nov-Feb 10:00-17:00; Jan Mo off";
+  test("applies the rules for the visit's month", () => {
+    expect(openingHoursWarning(spec, "2026-07-15", 17 * 60, 19 * 60)).toBeNull(); // Wednesday in July
+    expect(openingHoursWarning(spec, "2026-01-14", 17 * 60, 19 * 60)).toBe("Outside opening hours (10:00–17:00)"); // Wednesday in January
+    expect(openingHoursWarning(spec, "2026-01-12", 11 * 60, 12 * 60)).toBe("Closed on Mondays");
+  });
+
+  test("carries overnight hours into the next morning", () => {
+    expect(openingHoursWarning("Fr 22:00-03:00", "2026-07-18", 60, 120)).toBeNull(); // Saturday 01:00
+  });
+
+  test("says nothing when the hours can't be read", () => {
+    expect(openingHoursWarning("Mo[1] 10:00-12:00", "2026-07-13", 60, 120)).toBeNull();
+  });
+
+  test("keeps public holidays to the destination", () => {
+    const hours = "Mo-Su 10:00-20:00; PH off";
+    const madrid = { name: "Madrid", lat: 40.42, lon: -3.7, bbox: [40.31, -3.89, 40.56, -3.52], timeZone: "Europe/Madrid", region: "ES-MD" };
+    const girona = { ...madrid, name: "Girona", region: "ES-CT" };
+    const lisbon = { ...madrid, name: "Lisbon", region: "PT-11" };
+    // La Mercè is Barcelona's own, the Diada all Catalonia's, Christmas all Spain's
+    expect(openingHoursWarning(hours, "2026-09-24", 600, 660)).toBe("Closed on public holidays");
+    expect(openingHoursWarning(hours, "2026-09-24", 600, 660, undefined, girona)).toBeNull();
+    expect(openingHoursWarning(hours, "2026-09-11", 600, 660, undefined, girona)).toBe("Closed on public holidays");
+    expect(openingHoursWarning(hours, "2026-09-11", 600, 660, undefined, madrid)).toBeNull();
+    expect(openingHoursWarning(hours, "2026-12-25", 600, 660, undefined, madrid)).toBe("Closed on public holidays");
+    expect(openingHoursWarning(hours, "2026-04-03", 600, 660, undefined, madrid)).toBe("Closed on public holidays"); // Good Friday
+    expect(openingHoursWarning(hours, "2026-04-06", 600, 660, undefined, madrid)).toBeNull(); // Easter Monday isn't one in Madrid
+    expect(openingHoursWarning(hours, "2026-12-25", 600, 660, undefined, lisbon)).toBeNull(); // none known
+  });
+});
+
+describe("computeSchedule", () => {
+  const stop = (start, end) => ({ start, end });
+
+  test("chains dwell times with leg durations", () => {
+    const rows = computeSchedule([stop("10:00", "11:00"), stop("11:30", "12:00")], [{ seconds: 20 * 60 }]);
+    expect(rows.map(r => [r.arrival, r.start, r.departure, r.pending, r.issues])).toEqual([
+      [600, 600, 660, false, []],
+      [680, 690, 720, false, []],
+    ]);
+  });
+
+  test("marks legs without a duration as pending and doesn't call them late", () => {
+    const stops = [stop("10:00", "11:00"), stop("11:00", "12:00")];
+    const pending = computeSchedule(stops, [{ seconds: null, pending: true }]);
+    expect(pending[1]).toMatchObject({ pending: true, issues: [] });
+    // segments for some other set of stops (the day is being re-routed)
+    expect(computeSchedule(stops, [])[1].pending).toBe(true);
+    expect(computeSchedule([...stops, stop("13:00", "14:00")], [{ seconds: 60 }])[2].pending).toBe(true);
+  });
+
+  test("flags late arrivals and overlapping stops", () => {
+    const late = computeSchedule([stop("10:00", "11:00"), stop("11:15", "12:00")], [{ seconds: 30 * 60 }]);
+    expect(late[1].issues).toEqual(["Can't make it: arrives ~11:30, 15 min after the planned start"]);
+    const overlap = computeSchedule([stop("10:00", "12:00"), stop("11:00", "13:00")], [{ seconds: 0 }]);
+    expect(overlap[1].issues).toEqual([
+      "Overlaps the previous stop (ends 12:00)",
+      "Can't make it: arrives ~12:00, 60 min after the planned start",
+    ]);
+  });
+
+  test("packs the day with fit and keeps minutes past midnight", () => {
+    const rows = computeSchedule([stop("23:00", "23:50"), stop("09:00", "10:00")], [{ seconds: 22 * 60 }], { fit: true });
+    expect(rows[1]).toMatchObject({ arrival: 1452, start: 1455, departure: 1515, issues: ["Runs past midnight"] });
+  });
+});
+
+describe("validateTrip", () => {
+  const sagrada = { id: "s", name: "Sagrada Família", lat: 41.4036, lon: 2.1744 };
+  const hotel = { id: "h", name: "Hotel", lat: 41.39, lon: 2.16 };
+
+  test("migrates unversioned documents and turns the hotel into a stay", () => {
+    const { trip, report } = validateTrip({
+      tripName: "Old trip", startDate: "2025-09-01", endDate: "2025-09-03", hotel,
+      plan: { "2025-09-01": [{ place: sagrada, start: "10:00", end: "12:00", notes: "tickets" }] },
+    });
+    expect(report.migratedFrom).toBe(3);
+    expect(trip.version).toBe(5);
+    expect(trip.hotel).toBeUndefined();
+    expect(trip.stays).toEqual([{ place: hotel, checkIn: "2025-09-01", checkOut: "2025-09-03" }]);
+    expect(trip.plan["2025-09-01"]).toEqual([{ place: sagrada, start: "10:00", end: "12:00", notes: "tickets" }]);
+    expect(report.rejected).toEqual([]);
+  });
+
+  test("repairs what it can and drops what it can't", () => {
+    const { trip, report } = validateTrip({
+      version: 5, tripName: "Trip", startDate: "2025-09-01", endDate: "2025-08-01", routeMode: "teleport",
+      plan: {
+        "2025-09-01": [
+          { place: sagrada, start: "25:00", end: "12:00" },
+          { place: { name: "Nowhere" }, start: "10:00", end: "11:00" },
+        ],
+        tomorrow: [{ place: sagrada, start: "10:00", end: "11:00" }],
+      },
+    });
+    expect(trip.endDate).toBe("2025-09-01");
+    expect(trip.routeMode).toBe("foot");
+    expect(trip.plan).toEqual({ "2025-09-01": [{ place: sagrada, start: "10:00", end: "12:00", notes: "" }] });
+    expect(report.repaired).toEqual(expect.arrayContaining([
+      'Invalid end date "2025-08-01" set to 2025-09-01',
+      '2025-09-01 stop 1 (Sagrada Família): invalid time "25:00" replaced with 10:00',
+      'Unknown travel mode "teleport" set to Walking',
+    ]));
+    expect(report.rejected).toEqual([
+      '2025-09-01 stop 2: "Nowhere" has no valid coordinates',
+      'Day "tomorrow" is not a valid date; its stops were dropped',
+    ]);
+  });
+
+  test("writes its report in the given language", () => {
+    const { report } = validateTrip({ version: 5, tripName: "Viaje", startDate: "someday", plan: { "2025-09-01": [{ place: { name: "Nowhere" } }] } }, translator("es"));
+    expect(report.repaired[0]).toMatch(/^Fecha de inicio no válida «someday»: se usa \d{4}-\d{2}-\d{2}$/);
+    expect(report.rejected).toEqual(["2025-09-01 parada 1: «Nowhere» no tiene coordenadas válidas"]);
+    expect(validateTrip({ version: 99 }, translator("ca")).error).toBe("Creat amb una versió més recent del planificador (format v99)");
+  });
+
+  test("caps long trips", () => {
+    const { trip } = validateTrip({ version: 5, startDate: "2025-01-01", endDate: "2026-01-01" });
+    expect(trip.endDate).toBe("2025-03-31");
+  });
+
+  test("refuses documents it can't read", () => {
+    expect(validateTrip(null)).toMatchObject({ trip: null, error: "Not a trip document" });
+    expect(validateTrip([])).toMatchObject({ trip: null, error: "Not a trip document" });
+    expect(validateTrip({ version: 99 })).toMatchObject({ trip: null, error: "Made with a newer version of the planner (format v99)" });
+    expect(validateTrip({ version: 2 })).toMatchObject({ trip: null, error: "Format v2 is too old to import" });
+    expect(validateTrip({ version: "x" })).toMatchObject({ trip: null, error: 'Unknown document version "x"' });
+  });
+
+  test("rebuilds a destination without a search area or time zone", () => {
+    const { trip, report } = validateTrip({ version: 5, destination: { name: "Lisbon", lat: 38.72, lon: -9.14, timeZone: "Mars/Olympus" } });
+    expect(trip.destination.bbox).toEqual([38.62, -9.29, 38.82, -8.99].map(v => expect.closeTo(v, 5)));
+    expect(trip.destination.timeZone).toBe("Europe/Madrid");
+    expect(trip.destination.region).toBeUndefined();
+    expect(trip.destination.timeZoneGuessed).toBe(true);
+    expect(report.repaired).toContain('Lisbon: unknown time zone "Mars/Olympus" set to Europe/Madrid');
+  });
+
+  test("keeps only web links as place websites", () => {
+    const stop = (website) => ({ place: { id: "a", name: "Casa Vicens", lat: 41.4035, lon: 2.1507, website }, start: "10:00", end: "11:00" });
+    const script = ["javascript", "alert(document.cookie)"].join(":");
+    const { trip, report } = validateTrip({
+      version: 5, tripName: "Gràcia", startDate: "2026-05-01", endDate: "2026-05-01",
+      plan: { "2026-05-01": ["https://casavicens.org/", "www.casavicens.org", script, "data:text/html,<script>x</script>", 42].map(stop) },
+    });
+    expect(trip.plan["2026-05-01"].map(s => s.place.website)).toEqual(["https://casavicens.org/", "https://www.casavicens.org/", undefined, undefined, undefined]);
+    expect(report.repaired).toContain(`2026-05-01 stop 3: website "${script}" dropped (only http and https links are kept)`);
+    expect(report.repaired).toHaveLength(3);
+  });
+
+  test("keeps a guessed time zone marked until it's confirmed", () => {
+    const dest = { name: "Manaus", lat: -3.1, lon: -60.02, bbox: [-3.2, -60.1, -3, -59.9], timeZone: "America/Manaus" };
+    expect(validateTrip({ version: 5, destination: { ...dest, timeZoneGuessed: true } }).trip.destination.timeZoneGuessed).toBe(true);
+    expect(validateTrip({ version: 5, destination: dest }).trip.destination.timeZoneGuessed).toBeUndefined();
+  });
+
+  test("gives trips saved before regions the default destination's", () => {
+    const old = { name: "Barcelona", lat: 41.387, lon: 2.17, bbox: [41.32, 2.05, 41.47, 2.23], timeZone: "Europe/Madrid" };
+    expect(validateTrip({ version: 5, destination: old }).trip.destination.region).toBe("ES-CT");
+  });
+});
+
+describe("guessTimeZone", () => {
+  test("is sure only about single-zone countries", () => {
+    expect(guessTimeZone("pt", 38.72, -9.14)).toEqual({ timeZone: "Europe/Lisbon", guessed: false });
+    expect(guessTimeZone("es", 28.1, -15.4)).toEqual({ timeZone: "Atlantic/Canary", guessed: false });
+    expect(guessTimeZone("us", 40.71, -74.01)).toEqual({ timeZone: "America/New_York", guessed: true });
+  });
+
+  test("picks out places that skip daylight saving", () => {
+    expect(guessTimeZone("us", 33.45, -112.07).timeZone).toBe("America/Phoenix");
+    expect(guessTimeZone("us", 39.74, -104.99).timeZone).toBe("America/Denver");
+    expect(guessTimeZone("us", 21.31, -157.86).timeZone).toBe("Pacific/Honolulu");
+    expect(guessTimeZone("au", -27.47, 153.03).timeZone).toBe("Australia/Brisbane");
+    expect(guessTimeZone("au", -33.87, 151.21).timeZone).toBe("Australia/Sydney");
+  });
+
+  test("covers other large countries by longitude", () => {
+    expect(guessTimeZone("mx", 19.43, -99.13).timeZone).toBe("America/Mexico_City");
+    expect(guessTimeZone("mx", 21.16, -86.85).timeZone).toBe("America/Cancun");
+    expect(guessTimeZone("br", -23.55, -46.63).timeZone).toBe("America/Sao_Paulo");
+    expect(guessTimeZone("br", -3.1, -60.02).timeZone).toBe("America/Manaus");
+    expect(guessTimeZone("ru", 55.76, 37.62).timeZone).toBe("Europe/Moscow");
+    expect(guessTimeZone("ru", 43.12, 131.89).timeZone).toBe("Asia/Vladivostok");
+    expect(guessTimeZone("ru", 64.73, -177.5).timeZone).toBe("Asia/Kamchatka");
+    expect(guessTimeZone("id", -8.65, 115.22).timeZone).toBe("Asia/Makassar");
+    expect(guessTimeZone("id", -6.2, 106.85).timeZone).toBe("Asia/Jakarta");
+  });
+
+  test("falls back to the browser's zone and says so", () => {
+    expect(guessTimeZone("pe", -12.05, -77.04)).toEqual({ timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone, guessed: true });
+  });
+});
+
+describe("share links", () => {
+  const place = (name, lat, lon) => ({ id: `${Math.round(lat * 1e5)},${Math.round(lon * 1e5)}`, name, lat, lon });
+  const trip = validateTrip({
+    version: 5, tripName: "Weekend", startDate: "2025-09-01", endDate: "2025-09-02", routeMode: "transit", hotelDeparture: "09:30",
+    plan: {
+      "2025-09-01": [
+        { place: { ...place("Sagrada Família", 41.40363, 2.17436), openingHours: "Mo-Su 09:00-20:00" }, start: "09:30", end: "11:00", notes: "tickets", pinned: true,
+          expenses: [{ category: "tickets", estimated: 26, currency: "EUR", paidBy: "Ana", label: "Entry" }] },
+        { place: place("Park Güell", 41.41449, 2.15270), start: "12:00", end: "13:30", notes: "", legMode: "foot" },
+      ],
+      "2025-09-02": [{ place: place("Picasso Museum", 41.38522, 2.18082), start: "10:00", end: "12:00", notes: "" }],
+    },
+    stays: [{ place: place("Hotel", 41.39, 2.16), checkIn: "2025-09-01", checkOut: "2025-09-02" }],
+    travellers: ["Ana", "Ben"], rates: { USD: 0.9 },
+    wishlist: [{ place: place("Tibidabo", 41.42197, 2.11894), priority: "must", duration: 120, tags: ["views"] }],
+  }).trip;
+
+  test("packs a trip and unpacks the same trip", () => {
+    const packed = JSON.parse(JSON.stringify(packTrip(trip)));
+    const { trip: back, report } = validateTrip(unpackTrip(packed));
+    expect(report).toEqual({ repaired: [], rejected: [] });
+    expect({ ...back, selectedDay: trip.selectedDay }).toEqual(trip);
+  });
+
+  test("keeps the destination's region", () => {
+    const lisbon = { name: "Lisbon", lat: 38.72, lon: -9.14, bbox: [38.69, -9.23, 38.8, -9.09], timeZone: "Europe/Lisbon", region: "PT-11" };
+    const packed = JSON.parse(JSON.stringify(packTrip({ ...trip, destination: lisbon })));
+    expect(packed.g).toEqual(["Lisbon", 3872000, -914000, [3869000, -923000, 3880000, -909000], "Europe/Lisbon", "PT-11"]);
+    expect(validateTrip(unpackTrip(packed)).trip.destination).toEqual(lisbon);
+  });
+
+  test("leaves defaults out of the packed form", () => {
+    const packed = packTrip(validateTrip({ version: 5, tripName: "Empty", startDate: "2025-09-01", endDate: "2025-09-01" }).trip);
+    expect(packed).toEqual({ n: "Empty", s: "2025-09-01", e: 0, d: [] });
+  });
+
+  test("still reads links with a single hotel", () => {
+    const back = unpackTrip({ n: "Old", s: "2025-09-01", e: 2, d: [], h: ["Hotel", 4139000, 216000] });
+    expect(back.stays).toEqual([{ place: place("Hotel", 41.39, 2.16), checkIn: "2025-09-01", checkOut: "2025-09-03" }]);
+  });
+
+  test("per-day trips keep that day's stops and stays but not the wishlist", () => {
+    const day = dayShareTrip(trip, "2025-09-02");
+    expect(day).toMatchObject({ tripName: "Weekend (2025-09-02)", startDate: "2025-09-02", endDate: "2025-09-02", wishlist: [] });
+    expect(day.plan).toEqual({ "2025-09-02": trip.plan["2025-09-02"] });
+    expect(day.stays).toEqual(trip.stays);
+    expect(dayShareTrip(trip, "2025-09-03").stays).toEqual([]);
+  });
+});
+
+describe("localization", () => {
+  test("formats distances with the language's decimal separator", () => {
+    expect(localization().distance(1520)).toBe("1.5 km");
+    expect(localization({ lang: "es" }).distance(1520)).toBe("1,5 km");
+    expect(localization({ lang: "ca" }).distance(12345)).toBe("12,35 km");
+    expect(localization({ lang: "es" }).distance(640)).toBe("640 m");
+    expect(localization({ lang: "ca", units: "imperial" }).distance(3000)).toBe("1,9 mi");
+    expect(localization().distance(null)).toBe("-");
+  });
+
+  test("formats durations in the language", () => {
+    expect(localization().duration(3900)).toBe("1h 5m");
+    expect(localization().duration(600)).toBe("10m");
+    expect(localization({ lang: "es" }).duration(3900)).toBe("1 h 5 min");
+    expect(localization({ lang: "ca" }).duration(3570)).toBe("1 h 0 min");
+    expect(localization({ lang: "ca" }).duration(null)).toBe("-");
+  });
+});
+
+describe("calendar export", () => {
+  const observances = lines => lines.filter(l => /^(BEGIN:(STANDARD|DAYLIGHT)|DTSTART|TZOFFSETFROM|TZOFFSETTO)/.test(l));
+
+  test("starts the time zone with the observance in force on 1 January", () => {
+    expect(observances(icsVTimezone("Europe/Madrid", 2026, 2026))).toEqual([
+      "BEGIN:STANDARD", "TZOFFSETFROM:+0200", "TZOFFSETTO:+0100", "DTSTART:20251026T030000",
+      "BEGIN:DAYLIGHT", "TZOFFSETFROM:+0100", "TZOFFSETTO:+0200", "DTSTART:20260329T020000",
+      "BEGIN:STANDARD", "TZOFFSETFROM:+0200", "TZOFFSETTO:+0100", "DTSTART:20261025T030000",
+    ]);
+    // southern hemisphere: summer time is already in force in January
+    expect(observances(icsVTimezone("Australia/Sydney", 2026, 2026)).slice(0, 4))
+      .toEqual(["BEGIN:DAYLIGHT", "TZOFFSETFROM:+1000", "TZOFFSETTO:+1100", "DTSTART:20251005T020000"]);
+  });
+
+  test("gives zones without changes a single standard observance", () => {
+    expect(observances(icsVTimezone("Asia/Tokyo", 2026, 2027)))
+      .toEqual(["BEGIN:STANDARD", "TZOFFSETFROM:+0900", "TZOFFSETTO:+0900", "DTSTART:19700101T000000"]);
+  });
+
+  const trip = validateTrip({
+    version: 5, tripName: "Winter; break", startDate: "2026-01-10", endDate: "2026-01-11",
+    plan: {
+      "2026-01-10": [
+        { place: { id: "a", name: "Casa Batlló", lat: 41.3916, lon: 2.1649, address: "Passeig de Gràcia, 43" }, start: "09:00", end: "10:30", notes: "Audio guide\nbring ID" },
+        { place: { id: "b", name: "La Pedrera", lat: 41.3954, lon: 2.1619 }, start: "11:00", end: "12:00" },
+      ],
+    },
+  }).trip;
+
+  test("reads back its own events", () => {
+    const travel = { "2026-01-10": [{ from: trip.plan["2026-01-10"][0], to: trip.plan["2026-01-10"][1], mode: "foot", seconds: 600, meters: 500, departAt: "10:30" }] };
+    const { calendarName, events } = parseICS(toICS(trip, { travel, alarmMinutes: 15 }), "Europe/Madrid");
+    expect(calendarName).toBe("Winter; break");
+    expect(events).toEqual([
+      expect.objectContaining({ date: "2026-01-10", start: "09:00", end: "10:30", summary: "Winter; break: Casa Batlló",
+        location: "Passeig de Gràcia, 43", description: "Audio guide\nbring ID", lat: 41.3916, lon: 2.1649, travel: false }),
+      expect.objectContaining({ date: "2026-01-10", start: "11:00", end: "12:00", summary: "Winter; break: La Pedrera", travel: false }),
+      expect.objectContaining({ date: "2026-01-10", start: "10:30", end: "10:40", summary: "Walking to La Pedrera (~10m)", travel: true }),
+    ]);
+  });
+
+  test("describes travel in the trip's language", () => {
+    const travel = { "2026-01-10": [{ from: trip.plan["2026-01-10"][0], to: trip.plan["2026-01-10"][1], mode: "foot", seconds: 4200, meters: 5000, departAt: "10:30" }] };
+    const { events } = parseICS(toICS(trip, { travel, l10n: localization({ lang: "es" }) }), "Europe/Madrid");
+    expect(events.find(e => e.travel).summary).toMatch(/hasta La Pedrera \(~1 h 10 min\)$/);
+  });
+
+  test("keeps UIDs stable between exports", () => {
+    const uids = text => text.split("\r\n").filter(l => l.startsWith("UID:"));
+    expect(uids(toICS(trip))).toEqual(uids(toICS({ ...trip, plan: { ...trip.plan } })));
+    expect(new Set(uids(toICS(trip))).size).toBe(2);
+  });
+
+  test("converts events from other zones to the trip's wall-clock time", () => {
+    const ics = ["BEGIN:VCALENDAR", "BEGIN:VEVENT", "UID:x", "DTSTART:20260110T080000Z", "DTEND;TZID=Europe/London:20260110T090000",
+      "SUMMARY:Brunch", "END:VEVENT", "END:VCALENDAR"].join("\r\n");
+    expect(parseICS(ics, "Europe/Madrid").events[0]).toMatchObject({ date: "2026-01-10", start: "09:00", end: "10:00" });
+  });
+});
+
+describe("map data files", () => {
+  const stop = (name, lat, lon) => ({ place: { id: name, name, lat, lon }, start: "10:00", end: "11:30", notes: "" });
+  const days = [{ date: "2025-09-01", stops: [stop("Bar & Grill <1>", 41.38, 2.17), stop("Park", 41.41, 2.15)], legs: [] }];
+  const stays = [{ place: { id: "h", name: "Hotel", lat: 41.39, lon: 2.16 }, checkIn: "2025-09-01", checkOut: "2025-09-02" }];
+
+  test("reads back the points of a GPX export", () => {
+    const points = parseGeoFile(toGPX("Trip", stays, days), "trip.gpx");
+    expect(points.map(p => [p.name, p.lat, p.lon])).toEqual([["Hotel", 41.39, 2.16], ["Bar & Grill <1>", 41.38, 2.17], ["Park", 41.41, 2.15]]);
+    expect(points[1].notes).toContain("10:00");
+  });
+
+  test("reads back the points of a KML export", () => {
+    const points = parseGeoFile(toKML("Trip", stays, days), "trip.kml");
+    expect(points.map(p => [p.name, p.lat, p.lon])).toEqual([["Hotel", 41.39, 2.16], ["Bar & Grill <1>", 41.38, 2.17], ["Park", 41.41, 2.15]]);
+  });
+
+  test("keeps only string properties from GeoJSON", () => {
+    const points = parseGeoFile(JSON.stringify({ type: "FeatureCollection", features: [
+      { type: "Feature", geometry: { type: "Point", coordinates: [2.17, 41.38] }, properties: { name: { en: "x" }, address: ["a"], notes: 5, start: "09:00", end: {} } },
+      { type: "Feature", geometry: { type: "Point", coordinates: "2.17,41.38" }, properties: null },
+      { type: "Feature", geometry: { type: "LineString", coordinates: [[2.17, 41.38], [2.18, 41.39]] } },
+    ] }), "points.geojson");
+    expect(points).toEqual([
+      { name: "Imported point", lat: 41.38, lon: 2.17, address: undefined, notes: "5", date: undefined, start: "09:00", end: undefined },
+      { name: "Imported point", lat: NaN, lon: NaN, address: undefined, notes: "", date: undefined, start: undefined, end: undefined },
+    ]);
+  });
+
+  test("refuses files that aren't GPX or KML", () => {
+    expect(() => parseGeoFile("<gpx><wpt", "broken.gpx")).toThrow("Not a valid GPX/KML file");
+  });
+});
+
+describe("historyShortcut", () => {
+  const el = (tag, attrs = {}) => Object.assign(document.createElement(tag), attrs);
+  const key = (key, target = document.body, mods = {}) => historyShortcut({ key, target, ctrlKey: true, ...mods });
+
+  test("maps the undo and redo keys", () => {
+    expect(key("z")).toBe("undo");
+    expect(key("z", document.body, { ctrlKey: false, metaKey: true })).toBe("undo");
+    expect(key("Z", document.body, { shiftKey: true })).toBe("redo");
+    expect(key("y")).toBe("redo");
+    expect(key("z", document.body, { ctrlKey: false })).toBeNull();
+    expect(key("z", document.body, { altKey: true })).toBeNull();
+    expect(key("x")).toBeNull();
+  });
+
+  test("leaves text editing alone", () => {
+    expect(key("z", el("input"))).toBeNull();
+    expect(key("z", el("input", { type: "time" }))).toBeNull();
+    expect(key("y", el("textarea"))).toBeNull();
+    expect(key("z", el("select"))).toBeNull();
+    expect(key("z", el("input", { type: "checkbox" }))).toBe("undo");
+    expect(key("z", el("button"))).toBe("undo");
+  });
+});
+
+describe("budget", () => {
+  const rates = { USD: 0.9 };
+  const expenses = [
+    { category: "tickets", estimated: 30, actual: 36, currency: "EUR", paidBy: "Ana" },
+    { category: "food", estimated: 20, actual: 30, currency: "USD", paidBy: "Ben" },
+    { category: "food", actual: 1000, currency: "JPY", paidBy: "Ben" },
+    { category: "other", estimated: 10, currency: "EUR" },
+  ];
+
+  test("totals in euros and lists currencies without a rate", () => {
+    expect(budgetTotals(expenses, rates)).toEqual({
+      count: 4, estimated: 58, actual: 63,
+      byCategory: { tickets: { estimated: 30, actual: 36 }, food: { estimated: 18, actual: 27 }, other: { estimated: 10, actual: 0 } },
+      unconverted: ["JPY"],
+    });
+  });
+
+  test("splits actual spending equally", () => {
+    // 63 spent in total, 21 each: Ana paid 36 and Ben 27
+    expect(settleUp(expenses, ["Ana", "Ben", "Cai"], rates)).toEqual([
+      { from: "Cai", to: "Ana", amount: 15 },
+      { from: "Cai", to: "Ben", amount: 6 },
+    ]);
+  });
+
+  test("ignores payers who aren't travellers and needs two travellers", () => {
+    expect(settleUp([{ actual: 10, currency: "EUR", paidBy: "Dee" }], ["Ana", "Ben"], rates)).toEqual([]);
+    expect(settleUp(expenses, ["Ana"], rates)).toEqual([]);
+  });
+
+  test("settles to the cent", () => {
+    const transfers = settleUp([{ actual: 10, currency: "EUR", paidBy: "Ana" }], ["Ana", "Ben", "Cai"], {});
+    expect(transfers).toEqual([{ from: "Ben", to: "Ana", amount: 3.33 }, { from: "Cai", to: "Ana", amount: 3.33 }]);
+  });
+});
+
+describe("transitLegTime", () => {
+  const now = Date.UTC(2026, 5, 1, 10); // Monday 1 June 2026, 12:00 in Barcelona
+  const at = (iso) => Date.parse(iso) / 1000;
+
+  test("routes a leg for its wall-clock time in the destination's zone", () => {
+    expect(transitLegTime("2026-06-10", "09:30", "departure", "Europe/Madrid", now)).toEqual({ departure: at("2026-06-10T07:30:00Z") });
+    expect(transitLegTime("2026-06-10", "09:30", "arrival", "America/New_York", now)).toEqual({ arrival: at("2026-06-10T13:30:00Z") });
+  });
+
+  test("moves past dates forward by whole weeks", () => {
+    expect(transitLegTime("2026-05-20", "09:30", "departure", "Europe/Madrid", now)).toEqual({ departure: at("2026-06-03T07:30:00Z"), shifted: "2026-06-03" });
+    // leaving in under five minutes is too soon to route
+    expect(transitLegTime("2026-06-01", "12:04", "departure", "Europe/Madrid", now)).toEqual({ departure: at("2026-06-08T10:04:00Z"), shifted: "2026-06-08" });
+    expect(transitLegTime("2026-06-01", "12:05", "departure", "Europe/Madrid", now)).toEqual({ departure: at("2026-06-01T10:05:00Z") });
+  });
+
+  test("moves dates past the timetable horizon back by whole weeks", () => {
+    expect(transitLegTime("2027-07-01", "09:30", "arrival", "Europe/Madrid", now)).toEqual({ arrival: at("2027-05-27T07:30:00Z"), shifted: "2027-05-27" });
+  });
+
+  test("needs a date and a time", () => {
+    expect(transitLegTime("2026-06-10", "", "departure", "Europe/Madrid", now)).toBeNull();
+    expect(transitLegTime("someday", "09:30", "departure", "Europe/Madrid", now)).toBeNull();
+  });
+});
+
+describe("routing adapters", () => {
+  const points = [[41.38, 2.17], [41.39, 2.18], [41.4, 2.16]];
+  let requests, reply;
+  beforeEach(() => {
+    requests = [];
+    global.fetch = jest.fn(async (url, init = {}) => {
+      requests.push({ url, headers: init.headers, body: init.body && JSON.parse(init.body) });
+      return reply;
+    });
+  });
+  afterEach(() => { delete global.fetch; });
+  const answer = (data, ok = true) => { reply = { ok, status: ok ? 200 : 503, json: async () => data }; };
+  const route = async (cfg, indices, alternatives = false) => {
+    const got = {};
+    await routeLegsWith(cfg, points, indices, alternatives, (i, routes) => { got[i] = routes; });
+    return got;
+  };
+  // precision-6 polyline, as Valhalla sends shapes
+  const encode = coords => {
+    const ints = coords.flat().map(v => Math.round(v * 1e6));
+    let out = "";
+    for (let i = 0; i < ints.length; i++){
+      const d = ints[i] - (i < 2 ? 0 : ints[i-2]);
+      let z = d < 0 ? ~(d << 1) : d << 1;
+      while (z >= 0x20){ out += String.fromCharCode((0x20 | (z & 0x1f)) + 63); z >>= 5; }
+      out += String.fromCharCode(z + 63);
+    }
+    return out;
+  };
+
+  describe("OSRM", () => {
+    const cfg = { provider: "osrm", baseUrl: "https://osrm.example/", profile: "foot", authHeader: "X-Key: abc" };
+    const leg = (meters, seconds, summary, ...lines) => ({
+      distance: meters, duration: seconds, summary, steps: lines.map(coordinates => ({ geometry: { coordinates } })),
+    });
+
+    test("routes consecutive legs in one request and stitches each leg's steps", async () => {
+      answer({ code: "Ok", routes: [{ legs: [
+        leg(1500, 1200, "Carrer de Mallorca", [[2.17, 41.38], [2.175, 41.385]], [[2.175, 41.385], [2.18, 41.39]]),
+        leg(2300, 1800, "", [[2.18, 41.39], [2.16, 41.4]]),
+      ] }] });
+      const got = await route(cfg, [1, 0]);
+      expect(requests).toEqual([{
+        url: "https://osrm.example/route/v1/foot/2.17,41.38;2.18,41.39;2.16,41.4?overview=false&steps=true&geometries=geojson",
+        headers: { "X-Key": "abc" }, body: undefined,
+      }]);
+      expect(got).toEqual({
+        0: [{ line: [[41.38, 2.17], [41.385, 2.175], [41.385, 2.175], [41.39, 2.18]], meters: 1500, seconds: 1200, steps: null, summary: "Carrer de Mallorca" }],
+        1: [{ line: [[41.39, 2.18], [41.4, 2.16]], meters: 2300, seconds: 1800, steps: null, summary: undefined }],
+      });
+    });
+
+    test("asks for alternatives one leg at a time", async () => {
+      answer({ code: "Ok", routes: [
+        { legs: [leg(1500, 1200, "A", [[2.17, 41.38], [2.18, 41.39]])] },
+        { legs: [leg(1700, 1300, "B", [[2.17, 41.38], [2.172, 41.386], [2.18, 41.39]])] },
+      ] });
+      const got = await route(cfg, [0, 1], true);
+      expect(requests.map(r => r.url)).toEqual([
+        "https://osrm.example/route/v1/foot/2.17,41.38;2.18,41.39?overview=false&steps=true&geometries=geojson&alternatives=3",
+        "https://osrm.example/route/v1/foot/2.18,41.39;2.16,41.4?overview=false&steps=true&geometries=geojson&alternatives=3",
+      ]);
+      expect(got[0].map(r => [r.summary, r.meters])).toEqual([["A", 1500], ["B", 1700]]);
+    });
+
+    test("passes failures on to the legs", async () => {
+      answer({}, false);
+      expect((await route(cfg, [0, 1]))[1]).toEqual(new Error("routing 503"));
+      answer({ code: "NoRoute", routes: [] });
+      expect((await route(cfg, [0]))[0]).toEqual(new Error("no route"));
+    });
+
+    test("reads the table service and fills unroutable pairs with estimates", async () => {
+      answer({ code: "Ok", durations: [[0, 900], [null, 0]], distances: [[0, 1400], [null, 0]] });
+      const m = await matrixWith(cfg, points.slice(0, 2));
+      expect(requests[0].url).toBe("https://osrm.example/table/v1/foot/2.17,41.38;2.18,41.39?annotations=duration,distance");
+      expect(m.seconds[0]).toEqual([0, 900]);
+      expect(m.meters[0]).toEqual([0, 1400]);
+      expect(m.seconds[1][0]).toBeGreaterThan(0);
+      expect(m.meters[1][0]).toBeGreaterThan(1000);
+      answer({ code: "InvalidQuery" });
+      await expect(matrixWith(cfg, points)).rejects.toThrow("no table");
+    });
+  });
+
+  describe("Valhalla", () => {
+    const cfg = { provider: "valhalla", baseUrl: "https://valhalla.example", profile: "pedestrian" };
+    const shape = [[41.38, 2.17], [41.385123, 2.175456], [41.39, 2.18]];
+
+    test("decodes precision-6 shapes and converts km to metres", async () => {
+      answer({ trip: { legs: [
+        { shape: encode(shape), summary: { length: 1.5, time: 1200 } },
+        { shape: encode([[41.39, 2.18], [41.4, 2.16]]), summary: { length: 2.25, time: 1800 } },
+      ] } });
+      const got = await route(cfg, [0, 1]);
+      expect(requests[0]).toMatchObject({ url: "https://valhalla.example/route", body: {
+        locations: points.map(([lat, lon]) => ({ lat, lon })), costing: "pedestrian", units: "kilometers", directions_type: "none",
+      } });
+      expect(requests[0].body.alternates).toBeUndefined();
+      expect(got[0][0].line).toEqual(shape.map(([lat, lon]) => [expect.closeTo(lat, 6), expect.closeTo(lon, 6)]));
+      expect(got[0][0]).toMatchObject({ meters: 1500, seconds: 1200 });
+      expect(got[1][0]).toMatchObject({ meters: 2250, seconds: 1800 });
+    });
+
+    test("adds the alternates between two points", async () => {
+      answer({
+        trip: { legs: [{ shape: encode(shape), summary: { length: 1.5, time: 1200 } }] },
+        alternates: [{ trip: { legs: [{ shape: encode([[41.38, 2.17], [41.39, 2.18]]), summary: { length: 1.75, time: 1400 } }] } }],
+      });
+      const got = await route(cfg, [0], true);
+      expect(requests[0].body.alternates).toBe(2);
+      expect(got[0].map(r => r.meters)).toEqual([1500, 1750]);
+    });
+
+    test("reads the matrix in km", async () => {
+      answer({ sources_to_targets: [
+        [{ time: 0, distance: 0 }, { time: 900, distance: 1.25 }],
+        [{ time: 950, distance: null }, { time: 0, distance: 0 }],
+      ] });
+      const m = await matrixWith(cfg, points.slice(0, 2));
+      expect(requests[0]).toMatchObject({ url: "https://valhalla.example/sources_to_targets", body: { costing: "pedestrian", units: "kilometers" } });
+      expect(m.seconds).toEqual([[0, 900], [950, 0]]);
+      expect(m.meters[0]).toEqual([0, 1250]);
+      expect(m.meters[1][0]).toBeGreaterThan(1000);
+    });
+  });
+
+  describe("GraphHopper", () => {
+    const cfg = { provider: "graphhopper", baseUrl: "http://gh.example", profile: "foot" };
+    const coordinates = [[2.17, 41.38], [2.175, 41.385], [2.18, 41.39], [2.17, 41.395], [2.16, 41.4]];
+
+    test("splits the path into legs at the via and finish instructions", async () => {
+      answer({ paths: [{ points: { coordinates }, instructions: [
+        { sign: 0, distance: 700, time: 500000, interval: [0, 1] },
+        { sign: 2, distance: 800, time: 700000, interval: [1, 2] },
+        { sign: 5, distance: 0, time: 0, interval: [2, 2] },
+        { sign: -2, distance: 2300, time: 1800000, interval: [2, 4] },
+        { sign: 4, distance: 0, time: 0, interval: [4, 4] },
+      ] }] });
+      const got = await route(cfg, [0, 1]);
+      expect(requests[0]).toMatchObject({ url: "http://gh.example/route", body: {
+        points: points.map(([lat, lon]) => [lon, lat]), profile: "foot", points_encoded: false, instructions: true,
+      } });
+      expect(got).toEqual({
+        0: [{ line: [[41.38, 2.17], [41.385, 2.175], [41.39, 2.18]], meters: 1500, seconds: 1200, steps: null }],
+        1: [{ line: [[41.39, 2.18], [41.395, 2.17], [41.4, 2.16]], meters: 2300, seconds: 1800, steps: null }],
+      });
+    });
+
+    test("asks for alternative paths between two points", async () => {
+      const path = (meters, coords) => ({ points: { coordinates: coords }, instructions: [
+        { sign: 0, distance: meters, time: meters * 1000, interval: [0, coords.length - 1] },
+        { sign: 4, distance: 0, time: 0, interval: [coords.length - 1, coords.length - 1] },
+      ] });
+      answer({ paths: [path(1500, coordinates.slice(0, 3)), path(1600, [coordinates[0], coordinates[2]])] });
+      const got = await route(cfg, [0], true);
+      expect(requests[0].body).toMatchObject({ algorithm: "alternative_route", "alternative_route.max_paths": 3, "ch.disable": true });
+      expect(got[0].map(r => [r.meters, r.line.length])).toEqual([[1500, 3], [1600, 2]]);
+    });
+  });
+});
+
+describe("transit proxy", () => {
+  const cfg = { provider: "proxy", baseUrl: "" };
+  const points = [[41.38, 2.17], [41.39, 2.18], [41.4, 2.16], [41.41, 2.15], [41.42, 2.14]];
+  let body;
+  beforeEach(() => {
+    global.fetch = jest.fn(async (url, init) => {
+      body = JSON.parse(init.body);
+      return { ok: true, json: async () => ({ legs: body.legs.map(index => ({ index, overview_polyline: "_p~iF~ps|U", meters: index, seconds: 60 })) }) };
+    });
+  });
+  afterEach(() => { delete global.fetch; });
+
+  test("sends only the transit legs' endpoints, inside the destination's box", async () => {
+    const got = {};
+    await routeLegsWith(cfg, points, [3, 0, 1], false, (i, routes) => { got[i] = routes[0].meters; }, { 3: { arrival: 1800000000 } }, [41.32, 2.05, 41.47, 2.23]);
+    expect(body).toMatchObject({
+      bbox: "41.32,2.05,41.47,2.23",
+      stops: ["41.38,2.17", "41.39,2.18", "41.4,2.16", "41.41,2.15", "41.42,2.14"],
+      legs: [0, 1, 3], // leg 2 (41.4,2.16 -> 41.41,2.15) only joins them up and isn't asked for
+      times: { 3: { arrival: 1800000000 } },
+    });
+    expect(got).toEqual({ 0: 0, 1: 1, 3: 3 });
+  });
+
+  test("maps legs back to the day when stops in between are left out", async () => {
+    const got = {};
+    await routeLegsWith(cfg, points, [3, 0], false, (i, routes) => { got[i] = routes[0].meters; }, {}, [41.32, 2.05, 41.47, 2.23]);
+    expect(body.stops).toEqual(["41.38,2.17", "41.39,2.18", "41.41,2.15", "41.42,2.14"]);
+    expect(body.legs).toEqual([0, 2]);
+    expect(got).toEqual({ 0: 0, 3: 2 });
+  });
 });
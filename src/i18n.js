@@ -0,0 +1,1273 @@
+// --- UI strings (English, Spanish, Catalan) ---
+// Flat keys grouped by area. `{name}` placeholders are filled in by t(key, vars), numbers formatted for the
+// locale; strings that depend on a number have `_one`/`_other` forms, picked with Intl.PluralRules from
+// `vars.count`. Missing keys fall back to English, then to the key itself.
+export const LANGUAGES = { en: "English", es: "Español", ca: "Català" };
+// Locale used for dates, times and numbers in each language
+export const LOCALES = { en: "en-GB", es: "es-ES", ca: "ca-ES" };
+
+const en = {
+  "app.title": "{name} Trip Planner",
+  "common.add": "Add",
+  "common.remove": "Remove",
+  "common.cancel": "Cancel",
+  "common.close": "Close",
+  "common.delete": "Delete",
+  "common.start": "Start",
+  "common.end": "End",
+  "common.name": "Name",
+  "common.notes": "Notes",
+  "common.min": "min",
+  "common.minutes": "{count} min",
+  "common.aboutMinutes": "~{count} min",
+  "common.minutesShort": "{m}m",
+  "common.hoursMinutes": "{h}h {m}m",
+
+  "trip.trips": "Trips",
+  "trip.new": "New",
+  "trip.defaultName": "{name} trip",
+  "trip.copyName": "{name} (copy)",
+  "trip.namePrompt": "Trip name",
+  "trip.deleteConfirm": "Delete \"{name}\"? This can't be undone.",
+  "trip.stops_one": "{count} stop",
+  "trip.stops_other": "{count} stops",
+  "dest.label": "Destination",
+  "dest.change": "Change",
+  "dest.placeholder": "City, e.g. Lisbon",
+  "dest.timeZone": "Time zone",
+  "dest.timeZoneGuessed": "Time zone guessed from the location, please check it",
+  "days.select": "Select day",
+  "days.board": "All days board",
+  "days.orphans_one": "{count} stop is on dates outside the trip ({dates}).",
+  "days.orphans_other": "{count} stops are on dates outside the trip ({dates}).",
+  "days.rehome": "Re-home them",
+
+  "export.ics": "Export .ics",
+  "export.json": "Export JSON",
+  "export.pdf": "Export PDF",
+  "import.ics": "Import .ics",
+  "import.json": "Import JSON",
+  "share.button": "Share trip (link + QR)",
+  "share.copied": "Share link copied! You can also scan the QR code.",
+  "share.copyPrompt": "Copy this link:",
+  "geo.label": "Map data:",
+  "geo.day": "this day",
+  "geo.trip": "whole trip",
+  "geo.import": "Import…",
+  "pdf.label": "PDF:",
+  "pdf.letter": "Letter",
+  "pdf.portrait": "Portrait",
+  "pdf.landscape": "Landscape",
+  "ics.label": "Calendar:",
+  "ics.travelLegs": "travel legs",
+  "ics.reminder": "reminder",
+  "ics.none": "none",
+  "ics.minutesBefore": "{count} min before",
+  "ics.hourBefore": "1 h before",
+  "prefs.label": "Language & units:",
+  "prefs.h24": "24-hour",
+  "prefs.h12": "12-hour",
+  "prefs.metric": "km / m",
+  "prefs.imperial": "miles / ft",
+
+  "history.undo": "↶ Undo",
+  "history.undoTitle": "Undo (Ctrl+Z)",
+  "history.redo": "Redo ↷",
+  "history.redoTitle": "Redo (Ctrl+Shift+Z)",
+  "history.hide": "Hide history",
+  "history.show": "History ({count})",
+  "history.opened": "Opened trip",
+  "history.editTrip": "Edit trip",
+  "history.rename": "Rename trip",
+  "history.dates": "Change dates",
+  "history.addStay": "Add stay: {name}",
+  "history.stays": "Change accommodation",
+  "history.travellers": "Change travellers",
+  "history.destination": "Destination: {name}",
+  "history.wishAdd": "Wishlist: add {name}",
+  "history.wishRemove": "Remove from wishlist",
+  "history.wishEdit": "Edit wishlist",
+  "history.rates": "Edit exchange rates",
+  "history.settings": "Change settings",
+  "history.addStop": "Add {name}",
+  "history.removeStop": "Remove {name}",
+  "history.editPlan": "Edit plan",
+  "history.reorder": "Reorder stops",
+  "history.notes": "Edit notes: {name}",
+  "history.costs": "Edit costs: {name}",
+  "history.times": "Edit times: {name}",
+  "history.hours": "Edit hours: {name}",
+  "history.pin": "Pin {name}",
+  "history.unpin": "Unpin {name}",
+  "history.mode": "Change travel mode",
+  "history.editTimes": "Edit times",
+  "history.edit": "Edit {name}",
+  "history.stop": "stop",
+  "history.place": "place",
+  "history.reorderOne": "Reorder {name}",
+  "history.moveTo": "Move {name} to {day}",
+  "history.copyTo": "Copy {name} to {day}",
+  "history.rehome": "Move {from} stops to {to}",
+  "history.autoFit": "Auto-fit times",
+  "history.optimize": "Optimize day order",
+  "history.schedule": "Schedule {name} on {day}",
+  "history.unschedule": "Back to wishlist: {name}",
+  "history.relocate": "Move {name} on the map",
+  "history.import": "Import {file}",
+
+  "budget.title": "Budget",
+  "budget.estimated": "Estimated",
+  "budget.spent": "Spent",
+  "budget.perDay": "Per day",
+  "budget.noRate": "Not in totals until a rate is set: {list}",
+  "budget.travellers": "Travellers",
+  "budget.whoOwes": "Who owes whom (spent costs, split equally)",
+  "budget.owes": "{from} owes {to}",
+  "budget.allSquare": "All square.",
+  "budget.summary": "{estimated} estimated · {spent} spent",
+  "budget.short": "{estimated} est. · {spent} spent",
+  "expense.tickets": "Tickets",
+  "expense.food": "Food",
+  "expense.transport": "Transport",
+  "expense.shopping": "Shopping",
+  "expense.other": "Other",
+  "expense.est": "{amount} est.",
+  "expense.spent": "{amount} spent",
+  "expense.paidByName": "(paid by {name})",
+  "expense.noAmount": "no amount",
+  "expense.what": "What",
+  "expense.remove": "Remove cost",
+  "expense.estShort": "Est.",
+  "expense.actual": "Actual",
+  "expense.currency": "Currency",
+  "expense.paidBy": "Paid by",
+  "expense.add": "+ Add cost",
+
+  "stay.title": "Accommodation",
+  "stay.checkIn": "Check-in",
+  "stay.checkOut": "Check-out",
+  "stay.fromTo": "{day}: from {from} to {to}",
+  "stay.startHere": "Start here",
+  "stay.endHere": "End here",
+  "stay.leaveAt": "Leave at",
+  "stay.empty": "Pick any search result below and click “{action}”.",
+  "stay.missing": "No accommodation for the night of {dates}",
+  "stay.double": "More than one accommodation for the night of {dates}",
+
+  "mode.foot": "Walking",
+  "mode.driving": "Driving",
+  "mode.bike": "Cycling",
+  "mode.transit": "Public transit",
+  "mode.auto": "Auto",
+  "mode.travel": "Travel",
+  "mode.title": "Travel mode",
+  "mode.autoLong": "Auto (walk short hops, transit otherwise)",
+  "mode.walkUnder": "Walk legs under",
+  "mode.hint": "Default for every leg; override single legs in the breakdown under the timetable.",
+  "mode.proxyNote": "Transit uses Google Directions via your secure Vercel API.",
+  "routing.title": "Routing backends",
+  "routing.onBlur": "Changes apply when you leave a field.",
+  "routing.sameSite": "Same site",
+  "routing.baseUrl": "Base URL",
+  "routing.profile": "Profile",
+  "routing.auth": "Auth header (Name: value)",
+  "routing.reset": "Reset to defaults",
+  "routing.error": "Routing unavailable for some legs; showing dashed fallback lines.",
+
+  "legs.showOnMap": "Show routes on map",
+  "legs.showAll": "Show all",
+  "legs.hideAll": "Hide all",
+  "legs.stop": "Stop {n}",
+  "legs.leg": "Leg {n}: {from} → {to}",
+  "legs.dayLeg": "{day} leg {n}: {from} → {to}",
+
+  "search.title": "Add places",
+  "search.placeholder": "Search e.g. Sagrada Família",
+  "search.searching": "Searching…",
+  "search.failed": "Search failed. Try again or check your network.",
+  "search.saveForLater": "Save for later without picking a day",
+  "search.addStay": "Add as stay",
+  "search.help": "Can't find it? Click (or long-press) the map to drop a pin. Search powered by OpenStreetMap Nominatim. Times/distances are estimates.",
+
+  "wish.title": "Wishlist",
+  "wish.openCount": "{open} of {count} not scheduled",
+  "wish.all": "All ideas",
+  "wish.open": "Not scheduled yet",
+  "wish.on": "On {dates}",
+  "wish.notScheduled": "Not scheduled",
+  "wish.tags": "Tags, e.g. museum, rainy day",
+  "wish.alsoAdd": "Also add to…",
+  "wish.schedule": "Schedule on…",
+  "wish.unschedule": "Unschedule",
+  "wish.empty": "Collect ideas with ☆ on a search result, then put them on a day when you know where they fit.",
+  "wish.addTo": "Add to {day}",
+  "wish.must": "Must see",
+  "wish.want": "Would like",
+  "wish.maybe": "If there's time",
+
+  "map.dragHint": "{name} (drag to correct the location)",
+  "map.total": "Total (visible): {distance} · ETA ~ {time}",
+  "map.needTwo": "Add at least two places to see a route",
+  "map.dayOnly": "Show {day} only",
+  "map.allDays": "Show all days",
+  "map.routes": "Routes",
+  "map.dashed": "Dashed legs haven't been routed yet; open their day to fetch them.",
+  "pin.title": "Dropped pin",
+  "pin.looking": "Looking up this spot…",
+  "pin.failed": "Couldn't look up this spot; name it yourself.",
+  "pin.address": "Address (optional)",
+  "pin.drag": "Drag the pin to adjust it.",
+
+  "day.timetable": "{day} timetable",
+  "day.optimizing": "Optimizing…",
+  "day.optimize": "Optimize day order",
+  "day.autoFit": "Auto-fit times",
+  "day.autoFitHotel": "Chain stops from the {place} departure at {time}",
+  "day.autoFitFirst": "Chain stops from the first stop's start time",
+  "day.autoFitWaiting": "Waiting for every leg's travel time…",
+  "day.autoFitMidnight": "Auto-fit would run past midnight (the last stop would end at {time} the next day); times left unchanged.",
+  "day.conflicts_one": "{count} timing conflict in this day. Adjust times or use “{action}”.",
+  "day.conflicts_other": "{count} timing conflicts in this day. Adjust times or use “{action}”.",
+  "day.before": "Before",
+  "day.after": "After",
+  "day.estimatedOrder": "Routing matrix unavailable; estimated from straight-line distances.",
+  "day.alreadyShortest": "The current order is already the shortest found.",
+  "day.applyOrder": "Apply new order",
+  "day.keepOrder": "Keep current",
+  "day.empty": "No stops yet. Add places from the left panel.",
+  "day.backAt": "Back at {place} ~{time}",
+  "day.tip": "Tip: set times to match opening hours; export as .ics and drop into your calendar.",
+
+  "stop.drag": "Drag to reorder (hold Alt to copy)",
+  "stop.pinned": "Pinned: the optimizer keeps this stop in place",
+  "stop.pin": "Pin this stop in place when optimizing",
+  "stop.toWishlist": "Take off this day and keep it in the wishlist",
+  "stop.computing": "Computing arrival…",
+  "stop.arrives": "Arrives ~{arrival} · leaves ~{departure}",
+  "stop.hours": "Hours",
+  "stop.hoursPlaceholder": "e.g. Tu-Su 10:00-19:00; Mo off",
+  "stop.hoursInvalid": "Can't read “{rule}”; hours not checked.",
+  "stop.website": "Website",
+  "stop.notes": "Notes (tickets, lunch, etc.)",
+
+  "schedule.endsBefore": "Ends before it starts",
+  "schedule.overlaps": "Overlaps the previous stop (ends {time})",
+  "schedule.late": "Can't make it: arrives ~{time}, {minutes} min after the planned start",
+  "schedule.midnight": "Runs past midnight",
+  "hours.closedHoliday": "Closed on public holidays",
+  "hours.closed0": "Closed on Sundays",
+  "hours.closed1": "Closed on Mondays",
+  "hours.closed2": "Closed on Tuesdays",
+  "hours.closed3": "Closed on Wednesdays",
+  "hours.closed4": "Closed on Thursdays",
+  "hours.closed5": "Closed on Fridays",
+  "hours.closed6": "Closed on Saturdays",
+  "hours.outside": "Outside opening hours ({list})",
+
+  "leg.alternatives": "Offer alternative routes",
+  "leg.timeTransit": "Time transit to",
+  "leg.depart": "leave when the previous stop ends",
+  "leg.arrive": "arrive by the next stop's start",
+  "leg.title": "Leg {n}:",
+  "leg.routing": "routing…",
+  "leg.modeTitle": "Travel mode for leg {n}",
+  "leg.default": "Default ({mode})",
+  "leg.auto": "Auto: {mode}",
+  "leg.arriveBy": "Arrive by {time}",
+  "leg.leaveAt": "Leave at {time}",
+  "leg.option": "Option {n}",
+  "leg.shiftedPast": "{date} is in the past; routed for {day} at {time} (same weekday and time) instead.",
+  "leg.shiftedFar": "{date} is too far ahead for timetables; routed for {day} at {time} (same weekday and time) instead.",
+  "leg.straight": "(straight line)",
+  "steps.walk": "Walk",
+  "steps.transit": "Transit",
+  "steps.towards": "towards {headsign}",
+  "steps.stops_one": "{count} stop",
+  "steps.stops_other": "{count} stops",
+  "ics.travelTo": "{mode} to {place} (~{time})",
+
+  "footer": "Walking, cycling and driving routes via OSRM; public transit via Google Directions (proxied). Distances in {units}.",
+  "footer.metric": "metres and kilometres",
+  "footer.imperial": "feet and miles",
+
+  "library.title": "Your trips",
+  "library.showArchived": "Show archived",
+  "library.openBadge": "open",
+  "library.archivedBadge": "archived",
+  "library.open": "Open",
+  "library.rename": "Rename",
+  "library.duplicate": "Duplicate",
+  "library.archive": "Archive",
+  "library.unarchive": "Unarchive",
+  "library.newTrip": "New trip",
+
+  "board.title": "All days",
+  "board.dragging": "Dragging",
+  "board.moves": "moves",
+  "board.copies": "copies",
+  "board.outside": "Outside the trip dates.",
+  "board.moveAll": "Move all to…",
+  "board.moveCopy": "Move/copy…",
+  "board.moveTo": "Move to {day}",
+  "board.copyTo": "Copy to {day}",
+  "board.noStops": "No stops",
+  "board.help": "Drag stops to reorder or move them between days; hold Alt while dropping to copy. Click a date to open it.",
+
+  "geoImport.title_one": "Import {count} place",
+  "geoImport.title_other": "Import {count} places",
+  "geoImport.from": "From {source}",
+  "geoImport.day": "Day",
+  "geoImport.addStops": "Add as stops",
+  "geoImport.candidates": "Show as candidates",
+  "report.failed": "Import failed",
+  "report.changed": "Imported with changes",
+  "report.source": "Source: {source}",
+  "report.upgraded": "upgraded from format v{version}",
+  "report.rejected": "Rejected ({count})",
+  "report.repaired": "Repaired ({count})",
+  "report.savedTrips": "Saved trips",
+  "report.savedTrip": "Saved trip",
+  "report.tripRemoved": "{name}: {error}; trip removed",
+  "check.notTrip": "Not a trip document",
+  "check.badVersion": "Unknown document version \"{version}\"",
+  "check.newer": "Made with a newer version of the planner (format v{version})",
+  "check.tooOld": "Format v{version} is too old to import",
+  "check.tripName": "Missing trip name set to \"{name}\"",
+  "check.startDate": "Invalid start date \"{value}\" set to {date}",
+  "check.endDate": "Invalid end date \"{value}\" set to {date}",
+  "check.tooLong_one": "Trip longer than {count} day shortened to end on {date}",
+  "check.tooLong_other": "Trip longer than {count} days shortened to end on {date}",
+  "check.planNotMap": "Plan is not a day → stops map; no stops imported",
+  "check.badDay": "Day \"{date}\" is not a valid date; its stops were dropped",
+  "check.stopsNotList": "{date}: stops are not a list",
+  "check.stop": "{date} stop {n}",
+  "check.cost": "{where} cost {n}",
+  "check.stay": "Accommodation {n}",
+  "check.wish": "Wishlist item {n}",
+  "check.point": "Point {n}",
+  "check.hotelDeparture": "Hotel departure",
+  "check.staysNotList": "Accommodation is not a list; none imported",
+  "check.wishlistNotList": "Wishlist is not a list; none imported",
+  "check.routeMode": "Unknown travel mode \"{value}\" set to {mode}",
+  "check.rate": "Exchange rate for \"{currency}\" ({rate}) dropped",
+  "check.time": "{where}: invalid time \"{value}\" replaced with {time}",
+  "check.noPlace": "{where}: missing place",
+  "check.unnamed": "Unnamed place",
+  "check.noCoords": "{where}: \"{name}\" has no valid coordinates",
+  "check.renamed": "{where}: place without a name renamed to \"{name}\"",
+  "check.website": "{where}: website \"{value}\" dropped (only http and https links are kept)",
+  "check.notStop": "{where}: not a stop",
+  "check.legMode": "{where}: unknown travel mode \"{value}\" reset to the trip default",
+  "check.notCost": "{where}: not a cost",
+  "check.category": "{where}: unknown category \"{value}\" set to {category}",
+  "check.estimated": "{where}: invalid estimated amount \"{value}\" dropped",
+  "check.actual": "{where}: invalid actual amount \"{value}\" dropped",
+  "check.currency": "{where}: unknown currency \"{value}\" set to {currency}",
+  "check.notWish": "{where}: not a wishlist item",
+  "check.priority": "{where}: unknown priority \"{value}\" set to {priority}",
+  "check.duration": "{where}: invalid visit length \"{value}\" set to {count} min",
+  "check.destination": "Invalid destination reset to {name}",
+  "check.searchArea": "{name}: missing search area rebuilt around the centre",
+  "check.timeZone": "{name}: unknown time zone \"{value}\" set to {timeZone}",
+  "check.notStay": "{where}: not an accommodation",
+  "check.checkIn": "{where}: invalid check-in \"{value}\" set to {date}",
+  "check.checkOut": "{where}: invalid check-out \"{value}\" set to {date}",
+  "import.nothing": "Nothing to import",
+  "import.shareLink": "Share link",
+  "import.badLink": "The link is damaged or incomplete (could not be decoded)",
+  "import.untitled": "Untitled event",
+  "import.allDay": "\"{label}\": all-day or undated event skipped",
+  "import.noGeo": "\"{label}\" ({date}): no GEO coordinates",
+  "import.endSet": "\"{name}\" ({date}): missing end time set to {time}",
+  "import.duplicate": "\"{name}\" ({date} {time}): already in the plan",
+  "import.noStops": "No events could be turned into stops",
+  "import.noEvents": "No events found in this file",
+  "import.unreadable": "Could not read the file",
+  "import.noPoints": "No points found in this file",
+  "import.badJson": "Not valid JSON ({error})",
+  "import.point": "Imported point",
+  "import.badGeo": "Not a valid GPX/KML file",
+
+  "qr.title": "Scan this to open your trip",
+  "qr.tooLarge": "This trip is too large for a QR code. Share the link instead.",
+  "qr.length_one": "Link: {count} character",
+  "qr.length_other": "Link: {count} characters",
+  "qr.version": "QR version {version} ({size}×{size})",
+  "qr.none": "too large for a QR code",
+  "qr.easy": "easy to scan",
+  "qr.ok": "scannable",
+  "qr.dense": "dense, scan up close",
+  "qr.tooDense": "too dense to scan",
+  "qr.perDay": "Per-day links (each opens as its own one-day trip):",
+  "qr.copy": "Copy",
+  "qr.copyLink": "Copy link",
+  "qr.openLink": "Open link",
+  "qr.chatHint": "If a chat app breaks long links, scan the QR instead.",
+
+  "pdf.plannedDays_one": "{count} planned day",
+  "pdf.plannedDays_other": "{count} planned days",
+  "pdf.stays_one": "Stay",
+  "pdf.stays_other": "Stays",
+  "pdf.nights_one": "{count} night",
+  "pdf.nights_other": "{count} nights",
+  "pdf.notIncluded": "Not included (no EUR rate): {list}",
+  "pdf.owes": "{from} owes {to} {amount}",
+  "pdf.scan": "Scan to open this trip in the planner",
+  "pdf.days": "Days",
+  "pdf.fromTo": "from {from} to {to}",
+  "pdf.base": "base: {name}",
+  "pdf.timetable": "Timetable",
+  "pdf.dayCosts": "Day costs: {estimated} estimated · {spent} spent",
+  "pdf.gettingAround": "Getting around",
+};
+
+const es = {
+  "app.title": "Planificador de viaje: {name}",
+  "common.add": "Añadir",
+  "common.remove": "Quitar",
+  "common.cancel": "Cancelar",
+  "common.close": "Cerrar",
+  "common.delete": "Eliminar",
+  "common.start": "Inicio",
+  "common.end": "Fin",
+  "common.name": "Nombre",
+  "common.notes": "Notas",
+  "common.min": "min",
+  "common.minutes": "{count} min",
+  "common.aboutMinutes": "~{count} min",
+  "common.minutesShort": "{m} min",
+  "common.hoursMinutes": "{h} h {m} min",
+
+  "trip.trips": "Viajes",
+  "trip.new": "Nuevo",
+  "trip.defaultName": "Viaje a {name}",
+  "trip.copyName": "{name} (copia)",
+  "trip.namePrompt": "Nombre del viaje",
+  "trip.deleteConfirm": "¿Eliminar «{name}»? No se puede deshacer.",
+  "trip.stops_one": "{count} parada",
+  "trip.stops_other": "{count} paradas",
+  "dest.label": "Destino",
+  "dest.change": "Cambiar",
+  "dest.placeholder": "Ciudad, p. ej. Lisboa",
+  "dest.timeZone": "Zona horaria",
+  "dest.timeZoneGuessed": "Zona horaria deducida de la ubicación, compruébala",
+  "days.select": "Elegir día",
+  "days.board": "Tablero de todos los días",
+  "days.orphans_one": "{count} parada está en fechas fuera del viaje ({dates}).",
+  "days.orphans_other": "{count} paradas están en fechas fuera del viaje ({dates}).",
+  "days.rehome": "Reubicarlas",
+
+  "export.ics": "Exportar .ics",
+  "export.json": "Exportar JSON",
+  "export.pdf": "Exportar PDF",
+  "import.ics": "Importar .ics",
+  "import.json": "Importar JSON",
+  "share.button": "Compartir viaje (enlace + QR)",
+  "share.copied": "¡Enlace copiado! También puedes escanear el código QR.",
+  "share.copyPrompt": "Copia este enlace:",
+  "geo.label": "Datos de mapa:",
+  "geo.day": "este día",
+  "geo.trip": "todo el viaje",
+  "geo.import": "Importar…",
+  "pdf.label": "PDF:",
+  "pdf.letter": "Carta",
+  "pdf.portrait": "Vertical",
+  "pdf.landscape": "Horizontal",
+  "ics.label": "Calendario:",
+  "ics.travelLegs": "trayectos",
+  "ics.reminder": "aviso",
+  "ics.none": "ninguno",
+  "ics.minutesBefore": "{count} min antes",
+  "ics.hourBefore": "1 h antes",
+  "prefs.label": "Idioma y unidades:",
+  "prefs.h24": "24 horas",
+  "prefs.h12": "12 horas",
+  "prefs.metric": "km / m",
+  "prefs.imperial": "millas / pies",
+
+  "history.undo": "↶ Deshacer",
+  "history.undoTitle": "Deshacer (Ctrl+Z)",
+  "history.redo": "Rehacer ↷",
+  "history.redoTitle": "Rehacer (Ctrl+Mayús+Z)",
+  "history.hide": "Ocultar historial",
+  "history.show": "Historial ({count})",
+  "history.opened": "Viaje abierto",
+  "history.editTrip": "Editar viaje",
+  "history.rename": "Renombrar viaje",
+  "history.dates": "Cambiar fechas",
+  "history.addStay": "Añadir alojamiento: {name}",
+  "history.stays": "Cambiar alojamiento",
+  "history.travellers": "Cambiar viajeros",
+  "history.destination": "Destino: {name}",
+  "history.wishAdd": "Lista de deseos: añadir {name}",
+  "history.wishRemove": "Quitar de la lista de deseos",
+  "history.wishEdit": "Editar lista de deseos",
+  "history.rates": "Editar tipos de cambio",
+  "history.settings": "Cambiar ajustes",
+  "history.addStop": "Añadir {name}",
+  "history.removeStop": "Quitar {name}",
+  "history.editPlan": "Editar plan",
+  "history.reorder": "Reordenar paradas",
+  "history.notes": "Editar notas: {name}",
+  "history.costs": "Editar gastos: {name}",
+  "history.times": "Editar horas: {name}",
+  "history.hours": "Editar horario: {name}",
+  "history.pin": "Fijar {name}",
+  "history.unpin": "Soltar {name}",
+  "history.mode": "Cambiar modo de transporte",
+  "history.editTimes": "Editar horas",
+  "history.edit": "Editar {name}",
+  "history.stop": "parada",
+  "history.place": "lugar",
+  "history.reorderOne": "Reordenar {name}",
+  "history.moveTo": "Mover {name} al {day}",
+  "history.copyTo": "Copiar {name} al {day}",
+  "history.rehome": "Mover las paradas del {from} al {to}",
+  "history.autoFit": "Ajustar horas",
+  "history.optimize": "Optimizar el orden del día",
+  "history.schedule": "Programar {name} el {day}",
+  "history.unschedule": "De vuelta a la lista de deseos: {name}",
+  "history.relocate": "Mover {name} en el mapa",
+  "history.import": "Importar {file}",
+
+  "budget.title": "Presupuesto",
+  "budget.estimated": "Estimado",
+  "budget.spent": "Gastado",
+  "budget.perDay": "Por día",
+  "budget.noRate": "Fuera de los totales hasta fijar un tipo de cambio: {list}",
+  "budget.travellers": "Viajeros",
+  "budget.whoOwes": "Quién debe a quién (gastos reales, a partes iguales)",
+  "budget.owes": "{from} debe a {to}",
+  "budget.allSquare": "Cuentas saldadas.",
+  "budget.summary": "{estimated} estimado · {spent} gastado",
+  "budget.short": "{estimated} est. · {spent} gastado",
+  "expense.tickets": "Entradas",
+  "expense.food": "Comida",
+  "expense.transport": "Transporte",
+  "expense.shopping": "Compras",
+  "expense.other": "Otros",
+  "expense.est": "{amount} est.",
+  "expense.spent": "{amount} gastado",
+  "expense.paidByName": "(pagado por {name})",
+  "expense.noAmount": "sin importe",
+  "expense.what": "Concepto",
+  "expense.remove": "Quitar gasto",
+  "expense.estShort": "Est.",
+  "expense.actual": "Real",
+  "expense.currency": "Moneda",
+  "expense.paidBy": "Pagado por",
+  "expense.add": "+ Añadir gasto",
+
+  "stay.title": "Alojamiento",
+  "stay.checkIn": "Entrada",
+  "stay.checkOut": "Salida",
+  "stay.fromTo": "{day}: de {from} a {to}",
+  "stay.startHere": "Empezar aquí",
+  "stay.endHere": "Terminar aquí",
+  "stay.leaveAt": "Salir a las",
+  "stay.empty": "Elige cualquier resultado de búsqueda y pulsa «{action}».",
+  "stay.missing": "Sin alojamiento la noche del {dates}",
+  "stay.double": "Más de un alojamiento la noche del {dates}",
+
+  "mode.foot": "A pie",
+  "mode.driving": "En coche",
+  "mode.bike": "En bici",
+  "mode.transit": "Transporte público",
+  "mode.auto": "Automático",
+  "mode.travel": "Trayecto",
+  "mode.title": "Modo de transporte",
+  "mode.autoLong": "Automático (a pie los tramos cortos, si no transporte público)",
+  "mode.walkUnder": "A pie por debajo de",
+  "mode.hint": "Por defecto para cada tramo; cambia tramos concretos en el desglose bajo el horario.",
+  "mode.proxyNote": "El transporte público usa Google Directions a través de tu API segura de Vercel.",
+  "routing.title": "Servicios de rutas",
+  "routing.onBlur": "Los cambios se aplican al salir del campo.",
+  "routing.sameSite": "Mismo sitio",
+  "routing.baseUrl": "URL base",
+  "routing.profile": "Perfil",
+  "routing.auth": "Cabecera de autenticación (Nombre: valor)",
+  "routing.reset": "Restablecer",
+  "routing.error": "No hay rutas para algunos tramos; se muestran líneas discontinuas.",
+
+  "legs.showOnMap": "Mostrar rutas en el mapa",
+  "legs.showAll": "Mostrar todas",
+  "legs.hideAll": "Ocultar todas",
+  "legs.stop": "Parada {n}",
+  "legs.leg": "Tramo {n}: {from} → {to}",
+  "legs.dayLeg": "{day} tramo {n}: {from} → {to}",
+
+  "search.title": "Añadir lugares",
+  "search.placeholder": "Busca p. ej. Sagrada Família",
+  "search.searching": "Buscando…",
+  "search.failed": "La búsqueda ha fallado. Inténtalo de nuevo o revisa tu conexión.",
+  "search.saveForLater": "Guardar para más tarde sin elegir día",
+  "search.addStay": "Añadir como alojamiento",
+  "search.help": "¿No lo encuentras? Haz clic (o mantén pulsado) en el mapa para soltar un marcador. Búsqueda con OpenStreetMap Nominatim. Horas y distancias son estimaciones.",
+
+  "wish.title": "Lista de deseos",
+  "wish.openCount": "{open} de {count} sin programar",
+  "wish.all": "Todas las ideas",
+  "wish.open": "Aún sin programar",
+  "wish.on": "El {dates}",
+  "wish.notScheduled": "Sin programar",
+  "wish.tags": "Etiquetas, p. ej. museo, día de lluvia",
+  "wish.alsoAdd": "Añadir también al…",
+  "wish.schedule": "Programar el…",
+  "wish.unschedule": "Desprogramar",
+  "wish.empty": "Reúne ideas con ☆ en un resultado de búsqueda y ponlas en un día cuando sepas dónde encajan.",
+  "wish.addTo": "Añadir al {day}",
+  "wish.must": "Imprescindible",
+  "wish.want": "Me gustaría",
+  "wish.maybe": "Si hay tiempo",
+
+  "map.dragHint": "{name} (arrastra para corregir la ubicación)",
+  "map.total": "Total (visible): {distance} · ~ {time}",
+  "map.needTwo": "Añade al menos dos lugares para ver una ruta",
+  "map.dayOnly": "Mostrar solo el {day}",
+  "map.allDays": "Mostrar todos los días",
+  "map.routes": "Rutas",
+  "map.dashed": "Los tramos discontinuos aún no tienen ruta; abre su día para calcularla.",
+  "pin.title": "Marcador",
+  "pin.looking": "Buscando este punto…",
+  "pin.failed": "No se ha podido identificar este punto; ponle nombre tú.",
+  "pin.address": "Dirección (opcional)",
+  "pin.drag": "Arrastra el marcador para ajustarlo.",
+
+  "day.timetable": "Horario: {day}",
+  "day.optimizing": "Optimizando…",
+  "day.optimize": "Optimizar el orden del día",
+  "day.autoFit": "Ajustar horas",
+  "day.autoFitHotel": "Encadenar paradas desde la salida de {place} a las {time}",
+  "day.autoFitFirst": "Encadenar paradas desde la hora de inicio de la primera",
+  "day.autoFitWaiting": "Esperando el tiempo de viaje de todos los trayectos…",
+  "day.autoFitMidnight": "Ajustar pasaría de medianoche (la última parada terminaría a las {time} del día siguiente); horas sin cambios.",
+  "day.conflicts_one": "{count} conflicto de horario en este día. Cambia las horas o usa «{action}».",
+  "day.conflicts_other": "{count} conflictos de horario en este día. Cambia las horas o usa «{action}».",
+  "day.before": "Antes",
+  "day.after": "Después",
+  "day.estimatedOrder": "Matriz de rutas no disponible; estimado con distancias en línea recta.",
+  "day.alreadyShortest": "El orden actual ya es el más corto encontrado.",
+  "day.applyOrder": "Aplicar el nuevo orden",
+  "day.keepOrder": "Mantener el actual",
+  "day.empty": "Aún no hay paradas. Añade lugares desde el panel izquierdo.",
+  "day.backAt": "De vuelta en {place} ~{time}",
+  "day.tip": "Consejo: ajusta las horas a los horarios de apertura; exporta en .ics y añádelo a tu calendario.",
+
+  "stop.drag": "Arrastra para reordenar (mantén Alt para copiar)",
+  "stop.pinned": "Fijada: el optimizador mantiene esta parada en su sitio",
+  "stop.pin": "Fijar esta parada al optimizar",
+  "stop.toWishlist": "Quitar de este día y guardar en la lista de deseos",
+  "stop.computing": "Calculando llegada…",
+  "stop.arrives": "Llega ~{arrival} · sale ~{departure}",
+  "stop.hours": "Horario",
+  "stop.hoursPlaceholder": "p. ej. Tu-Su 10:00-19:00; Mo off",
+  "stop.hoursInvalid": "No se entiende «{rule}»; horario no comprobado.",
+  "stop.website": "Web",
+  "stop.notes": "Notas (entradas, comida, etc.)",
+
+  "schedule.endsBefore": "Termina antes de empezar",
+  "schedule.overlaps": "Se solapa con la parada anterior (termina a las {time})",
+  "schedule.late": "No da tiempo: llega ~{time}, {minutes} min después del inicio previsto",
+  "schedule.midnight": "Pasa de medianoche",
+  "hours.closedHoliday": "Cerrado en festivos",
+  "hours.closed0": "Cerrado los domingos",
+  "hours.closed1": "Cerrado los lunes",
+  "hours.closed2": "Cerrado los martes",
+  "hours.closed3": "Cerrado los miércoles",
+  "hours.closed4": "Cerrado los jueves",
+  "hours.closed5": "Cerrado los viernes",
+  "hours.closed6": "Cerrado los sábados",
+  "hours.outside": "Fuera del horario de apertura ({list})",
+
+  "leg.alternatives": "Ofrecer rutas alternativas",
+  "leg.timeTransit": "Calcular el transporte público para",
+  "leg.depart": "salir al terminar la parada anterior",
+  "leg.arrive": "llegar al inicio de la siguiente parada",
+  "leg.title": "Tramo {n}:",
+  "leg.routing": "calculando…",
+  "leg.modeTitle": "Modo de transporte del tramo {n}",
+  "leg.default": "Por defecto ({mode})",
+  "leg.auto": "Automático: {mode}",
+  "leg.arriveBy": "Llegar a las {time}",
+  "leg.leaveAt": "Salir a las {time}",
+  "leg.option": "Opción {n}",
+  "leg.shiftedPast": "El {date} ya ha pasado; ruta calculada para el {day} a las {time} (mismo día de la semana y hora).",
+  "leg.shiftedFar": "El {date} está demasiado lejos para los horarios; ruta calculada para el {day} a las {time} (mismo día de la semana y hora).",
+  "leg.straight": "(línea recta)",
+  "steps.walk": "Caminar",
+  "steps.transit": "Transporte",
+  "steps.towards": "dirección {headsign}",
+  "steps.stops_one": "{count} parada",
+  "steps.stops_other": "{count} paradas",
+  "ics.travelTo": "{mode} hasta {place} (~{time})",
+
+  "footer": "Rutas a pie, en bici y en coche con OSRM; transporte público con Google Directions (vía proxy). Distancias en {units}.",
+  "footer.metric": "metros y kilómetros",
+  "footer.imperial": "pies y millas",
+
+  "library.title": "Tus viajes",
+  "library.showArchived": "Mostrar archivados",
+  "library.openBadge": "abierto",
+  "library.archivedBadge": "archivado",
+  "library.open": "Abrir",
+  "library.rename": "Renombrar",
+  "library.duplicate": "Duplicar",
+  "library.archive": "Archivar",
+  "library.unarchive": "Desarchivar",
+  "library.newTrip": "Nuevo viaje",
+
+  "board.title": "Todos los días",
+  "board.dragging": "Al arrastrar",
+  "board.moves": "mueve",
+  "board.copies": "copia",
+  "board.outside": "Fuera de las fechas del viaje.",
+  "board.moveAll": "Mover todo al…",
+  "board.moveCopy": "Mover/copiar…",
+  "board.moveTo": "Mover al {day}",
+  "board.copyTo": "Copiar al {day}",
+  "board.noStops": "Sin paradas",
+  "board.help": "Arrastra paradas para reordenarlas o moverlas entre días; mantén Alt al soltar para copiar. Haz clic en una fecha para abrirla.",
+
+  "geoImport.title_one": "Importar {count} lugar",
+  "geoImport.title_other": "Importar {count} lugares",
+  "geoImport.from": "De {source}",
+  "geoImport.day": "Día",
+  "geoImport.addStops": "Añadir como paradas",
+  "geoImport.candidates": "Mostrar como candidatos",
+  "report.failed": "La importación ha fallado",
+  "report.changed": "Importado con cambios",
+  "report.source": "Origen: {source}",
+  "report.upgraded": "actualizado desde el formato v{version}",
+  "report.rejected": "Rechazados ({count})",
+  "report.repaired": "Reparados ({count})",
+  "report.savedTrips": "Viajes guardados",
+  "report.savedTrip": "Viaje guardado",
+  "report.tripRemoved": "{name}: {error}; viaje eliminado",
+  "check.notTrip": "No es un documento de viaje",
+  "check.badVersion": "Versión de documento desconocida «{version}»",
+  "check.newer": "Creado con una versión más reciente del planificador (formato v{version})",
+  "check.tooOld": "El formato v{version} es demasiado antiguo para importarlo",
+  "check.tripName": "Viaje sin nombre: se llama «{name}»",
+  "check.startDate": "Fecha de inicio no válida «{value}»: se usa {date}",
+  "check.endDate": "Fecha de fin no válida «{value}»: se usa {date}",
+  "check.tooLong_one": "Viaje de más de {count} día: ahora termina el {date}",
+  "check.tooLong_other": "Viaje de más de {count} días: ahora termina el {date}",
+  "check.planNotMap": "El plan no es un mapa día → paradas; no se importó ninguna parada",
+  "check.badDay": "El día «{date}» no es una fecha válida; se descartaron sus paradas",
+  "check.stopsNotList": "{date}: las paradas no son una lista",
+  "check.stop": "{date} parada {n}",
+  "check.cost": "{where} gasto {n}",
+  "check.stay": "Alojamiento {n}",
+  "check.wish": "Idea {n} de la lista de deseos",
+  "check.point": "Punto {n}",
+  "check.hotelDeparture": "Salida del hotel",
+  "check.staysNotList": "Los alojamientos no son una lista; no se importó ninguno",
+  "check.wishlistNotList": "La lista de deseos no es una lista; no se importó nada",
+  "check.routeMode": "Modo de transporte desconocido «{value}»: se usa {mode}",
+  "check.rate": "Se descartó el tipo de cambio de «{currency}» ({rate})",
+  "check.time": "{where}: hora no válida «{value}» sustituida por {time}",
+  "check.noPlace": "{where}: falta el lugar",
+  "check.unnamed": "Lugar sin nombre",
+  "check.noCoords": "{where}: «{name}» no tiene coordenadas válidas",
+  "check.renamed": "{where}: lugar sin nombre renombrado «{name}»",
+  "check.website": "{where}: web «{value}» descartada (solo se guardan enlaces http y https)",
+  "check.notStop": "{where}: no es una parada",
+  "check.legMode": "{where}: modo de transporte desconocido «{value}»: se usa el del viaje",
+  "check.notCost": "{where}: no es un gasto",
+  "check.category": "{where}: categoría desconocida «{value}»: se usa {category}",
+  "check.estimated": "{where}: se descartó el importe estimado no válido «{value}»",
+  "check.actual": "{where}: se descartó el importe real no válido «{value}»",
+  "check.currency": "{where}: moneda desconocida «{value}»: se usa {currency}",
+  "check.notWish": "{where}: no es una idea de la lista de deseos",
+  "check.priority": "{where}: prioridad desconocida «{value}»: se usa «{priority}»",
+  "check.duration": "{where}: duración de visita no válida «{value}»: se usa {count} min",
+  "check.destination": "Destino no válido: se vuelve a {name}",
+  "check.searchArea": "{name}: faltaba el área de búsqueda; se ha creado alrededor del centro",
+  "check.timeZone": "{name}: zona horaria desconocida «{value}»: se usa {timeZone}",
+  "check.notStay": "{where}: no es un alojamiento",
+  "check.checkIn": "{where}: entrada no válida «{value}»: se usa {date}",
+  "check.checkOut": "{where}: salida no válida «{value}»: se usa {date}",
+  "import.nothing": "Nada que importar",
+  "import.shareLink": "Enlace compartido",
+  "import.badLink": "El enlace está dañado o incompleto (no se ha podido descodificar)",
+  "import.untitled": "Evento sin título",
+  "import.allDay": "«{label}»: evento de todo el día o sin fecha omitido",
+  "import.noGeo": "«{label}» ({date}): sin coordenadas GEO",
+  "import.endSet": "«{name}» ({date}): faltaba la hora de fin, fijada a las {time}",
+  "import.duplicate": "«{name}» ({date} {time}): ya está en el plan",
+  "import.noStops": "Ningún evento se ha podido convertir en parada",
+  "import.noEvents": "No hay eventos en este archivo",
+  "import.unreadable": "No se ha podido leer el archivo",
+  "import.noPoints": "No hay puntos en este archivo",
+  "import.badJson": "JSON no válido ({error})",
+  "import.point": "Punto importado",
+  "import.badGeo": "No es un archivo GPX/KML válido",
+
+  "qr.title": "Escanea para abrir tu viaje",
+  "qr.tooLarge": "Este viaje es demasiado grande para un código QR. Comparte el enlace.",
+  "qr.length_one": "Enlace: {count} carácter",
+  "qr.length_other": "Enlace: {count} caracteres",
+  "qr.version": "QR versión {version} ({size}×{size})",
+  "qr.none": "demasiado grande para un QR",
+  "qr.easy": "fácil de escanear",
+  "qr.ok": "escaneable",
+  "qr.dense": "denso, escanéalo de cerca",
+  "qr.tooDense": "demasiado denso para escanear",
+  "qr.perDay": "Enlaces por día (cada uno se abre como un viaje de un día):",
+  "qr.copy": "Copiar",
+  "qr.copyLink": "Copiar enlace",
+  "qr.openLink": "Abrir enlace",
+  "qr.chatHint": "Si una app de chat rompe los enlaces largos, escanea el QR.",
+
+  "pdf.plannedDays_one": "{count} día planificado",
+  "pdf.plannedDays_other": "{count} días planificados",
+  "pdf.stays_one": "Alojamiento",
+  "pdf.stays_other": "Alojamientos",
+  "pdf.nights_one": "{count} noche",
+  "pdf.nights_other": "{count} noches",
+  "pdf.notIncluded": "No incluido (sin tipo de cambio a EUR): {list}",
+  "pdf.owes": "{from} debe a {to} {amount}",
+  "pdf.scan": "Escanea para abrir este viaje en el planificador",
+  "pdf.days": "Días",
+  "pdf.fromTo": "de {from} a {to}",
+  "pdf.base": "base: {name}",
+  "pdf.timetable": "Horario",
+  "pdf.dayCosts": "Gastos del día: {estimated} estimado · {spent} gastado",
+  "pdf.gettingAround": "Desplazamientos",
+};
+
+const ca = {
+  "app.title": "Planificador de viatge: {name}",
+  "common.add": "Afegeix",
+  "common.remove": "Treu",
+  "common.cancel": "Cancel·la",
+  "common.close": "Tanca",
+  "common.delete": "Suprimeix",
+  "common.start": "Inici",
+  "common.end": "Fi",
+  "common.name": "Nom",
+  "common.notes": "Notes",
+  "common.min": "min",
+  "common.minutes": "{count} min",
+  "common.aboutMinutes": "~{count} min",
+  "common.minutesShort": "{m} min",
+  "common.hoursMinutes": "{h} h {m} min",
+
+  "trip.trips": "Viatges",
+  "trip.new": "Nou",
+  "trip.defaultName": "Viatge a {name}",
+  "trip.copyName": "{name} (còpia)",
+  "trip.namePrompt": "Nom del viatge",
+  "trip.deleteConfirm": "Voleu suprimir «{name}»? No es pot desfer.",
+  "trip.stops_one": "{count} parada",
+  "trip.stops_other": "{count} parades",
+  "dest.label": "Destinació",
+  "dest.change": "Canvia",
+  "dest.placeholder": "Ciutat, p. ex. Lisboa",
+  "dest.timeZone": "Zona horària",
+  "dest.timeZoneGuessed": "Zona horària deduïda de la ubicació, comprova-la",
+  "days.select": "Tria el dia",
+  "days.board": "Tauler de tots els dies",
+  "days.orphans_one": "{count} parada és en dates fora del viatge ({dates}).",
+  "days.orphans_other": "{count} parades són en dates fora del viatge ({dates}).",
+  "days.rehome": "Reubica-les",
+
+  "export.ics": "Exporta .ics",
+  "export.json": "Exporta JSON",
+  "export.pdf": "Exporta PDF",
+  "import.ics": "Importa .ics",
+  "import.json": "Importa JSON",
+  "share.button": "Comparteix el viatge (enllaç + QR)",
+  "share.copied": "Enllaç copiat! També podeu escanejar el codi QR.",
+  "share.copyPrompt": "Copieu aquest enllaç:",
+  "geo.label": "Dades de mapa:",
+  "geo.day": "aquest dia",
+  "geo.trip": "tot el viatge",
+  "geo.import": "Importa…",
+  "pdf.label": "PDF:",
+  "pdf.letter": "Carta",
+  "pdf.portrait": "Vertical",
+  "pdf.landscape": "Horitzontal",
+  "ics.label": "Calendari:",
+  "ics.travelLegs": "trajectes",
+  "ics.reminder": "avís",
+  "ics.none": "cap",
+  "ics.minutesBefore": "{count} min abans",
+  "ics.hourBefore": "1 h abans",
+  "prefs.label": "Idioma i unitats:",
+  "prefs.h24": "24 hores",
+  "prefs.h12": "12 hores",
+  "prefs.metric": "km / m",
+  "prefs.imperial": "milles / peus",
+
+  "history.undo": "↶ Desfés",
+  "history.undoTitle": "Desfés (Ctrl+Z)",
+  "history.redo": "Refés ↷",
+  "history.redoTitle": "Refés (Ctrl+Maj+Z)",
+  "history.hide": "Amaga l'historial",
+  "history.show": "Historial ({count})",
+  "history.opened": "Viatge obert",
+  "history.editTrip": "Edita el viatge",
+  "history.rename": "Canvia el nom del viatge",
+  "history.dates": "Canvia les dates",
+  "history.addStay": "Afegeix allotjament: {name}",
+  "history.stays": "Canvia l'allotjament",
+  "history.travellers": "Canvia els viatgers",
+  "history.destination": "Destinació: {name}",
+  "history.wishAdd": "Llista de desitjos: afegeix {name}",
+  "history.wishRemove": "Treu de la llista de desitjos",
+  "history.wishEdit": "Edita la llista de desitjos",
+  "history.rates": "Edita els tipus de canvi",
+  "history.settings": "Canvia la configuració",
+  "history.addStop": "Afegeix {name}",
+  "history.removeStop": "Treu {name}",
+  "history.editPlan": "Edita el pla",
+  "history.reorder": "Reordena les parades",
+  "history.notes": "Edita les notes: {name}",
+  "history.costs": "Edita les despeses: {name}",
+  "history.times": "Edita les hores: {name}",
+  "history.hours": "Edita l'horari: {name}",
+  "history.pin": "Fixa {name}",
+  "history.unpin": "Deixa anar {name}",
+  "history.mode": "Canvia el mode de transport",
+  "history.editTimes": "Edita les hores",
+  "history.edit": "Edita {name}",
+  "history.stop": "parada",
+  "history.place": "lloc",
+  "history.reorderOne": "Reordena {name}",
+  "history.moveTo": "Mou {name} al {day}",
+  "history.copyTo": "Copia {name} al {day}",
+  "history.rehome": "Mou les parades del {from} al {to}",
+  "history.autoFit": "Ajusta les hores",
+  "history.optimize": "Optimitza l'ordre del dia",
+  "history.schedule": "Programa {name} el {day}",
+  "history.unschedule": "De tornada a la llista de desitjos: {name}",
+  "history.relocate": "Mou {name} al mapa",
+  "history.import": "Importa {file}",
+
+  "budget.title": "Pressupost",
+  "budget.estimated": "Estimat",
+  "budget.spent": "Gastat",
+  "budget.perDay": "Per dia",
+  "budget.noRate": "Fora dels totals fins que hi hagi un tipus de canvi: {list}",
+  "budget.travellers": "Viatgers",
+  "budget.whoOwes": "Qui deu a qui (despeses reals, a parts iguals)",
+  "budget.owes": "{from} deu a {to}",
+  "budget.allSquare": "Comptes saldats.",
+  "budget.summary": "{estimated} estimat · {spent} gastat",
+  "budget.short": "{estimated} est. · {spent} gastat",
+  "expense.tickets": "Entrades",
+  "expense.food": "Menjar",
+  "expense.transport": "Transport",
+  "expense.shopping": "Compres",
+  "expense.other": "Altres",
+  "expense.est": "{amount} est.",
+  "expense.spent": "{amount} gastat",
+  "expense.paidByName": "(pagat per {name})",
+  "expense.noAmount": "sense import",
+  "expense.what": "Concepte",
+  "expense.remove": "Treu la despesa",
+  "expense.estShort": "Est.",
+  "expense.actual": "Real",
+  "expense.currency": "Moneda",
+  "expense.paidBy": "Pagat per",
+  "expense.add": "+ Afegeix una despesa",
+
+  "stay.title": "Allotjament",
+  "stay.checkIn": "Entrada",
+  "stay.checkOut": "Sortida",
+  "stay.fromTo": "{day}: de {from} a {to}",
+  "stay.startHere": "Comença aquí",
+  "stay.endHere": "Acaba aquí",
+  "stay.leaveAt": "Surt a les",
+  "stay.empty": "Trieu qualsevol resultat de cerca i feu clic a «{action}».",
+  "stay.missing": "Sense allotjament la nit del {dates}",
+  "stay.double": "Més d'un allotjament la nit del {dates}",
+
+  "mode.foot": "A peu",
+  "mode.driving": "En cotxe",
+  "mode.bike": "En bici",
+  "mode.transit": "Transport públic",
+  "mode.auto": "Automàtic",
+  "mode.travel": "Trajecte",
+  "mode.title": "Mode de transport",
+  "mode.autoLong": "Automàtic (a peu els trams curts, si no transport públic)",
+  "mode.walkUnder": "A peu per sota de",
+  "mode.hint": "Per defecte per a cada tram; canvieu trams concrets al desglossament sota l'horari.",
+  "mode.proxyNote": "El transport públic fa servir Google Directions a través de la vostra API segura de Vercel.",
+  "routing.title": "Serveis de rutes",
+  "routing.onBlur": "Els canvis s'apliquen en sortir del camp.",
+  "routing.sameSite": "Mateix lloc",
+  "routing.baseUrl": "URL base",
+  "routing.profile": "Perfil",
+  "routing.auth": "Capçalera d'autenticació (Nom: valor)",
+  "routing.reset": "Restableix",
+  "routing.error": "No hi ha rutes per a alguns trams; es mostren línies discontínues.",
+
+  "legs.showOnMap": "Mostra les rutes al mapa",
+  "legs.showAll": "Mostra-les totes",
+  "legs.hideAll": "Amaga-les totes",
+  "legs.stop": "Parada {n}",
+  "legs.leg": "Tram {n}: {from} → {to}",
+  "legs.dayLeg": "{day} tram {n}: {from} → {to}",
+
+  "search.title": "Afegeix llocs",
+  "search.placeholder": "Cerca p. ex. Sagrada Família",
+  "search.searching": "S'està cercant…",
+  "search.failed": "La cerca ha fallat. Torneu-ho a provar o comproveu la connexió.",
+  "search.saveForLater": "Desa per a més tard sense triar dia",
+  "search.addStay": "Afegeix com a allotjament",
+  "search.help": "No el trobeu? Feu clic (o premeu llargament) al mapa per deixar-hi un marcador. Cerca amb OpenStreetMap Nominatim. Les hores i distàncies són estimacions.",
+
+  "wish.title": "Llista de desitjos",
+  "wish.openCount": "{open} de {count} sense programar",
+  "wish.all": "Totes les idees",
+  "wish.open": "Encara sense programar",
+  "wish.on": "El {dates}",
+  "wish.notScheduled": "Sense programar",
+  "wish.tags": "Etiquetes, p. ex. museu, dia de pluja",
+  "wish.alsoAdd": "Afegeix també al…",
+  "wish.schedule": "Programa el…",
+  "wish.unschedule": "Desprograma",
+  "wish.empty": "Recolliu idees amb ☆ en un resultat de cerca i poseu-les en un dia quan sapigueu on encaixen.",
+  "wish.addTo": "Afegeix al {day}",
+  "wish.must": "Imprescindible",
+  "wish.want": "M'agradaria",
+  "wish.maybe": "Si hi ha temps",
+
+  "map.dragHint": "{name} (arrossegueu per corregir la ubicació)",
+  "map.total": "Total (visible): {distance} · ~ {time}",
+  "map.needTwo": "Afegiu almenys dos llocs per veure una ruta",
+  "map.dayOnly": "Mostra només el {day}",
+  "map.allDays": "Mostra tots els dies",
+  "map.routes": "Rutes",
+  "map.dashed": "Els trams discontinus encara no tenen ruta; obriu el seu dia per calcular-la.",
+  "pin.title": "Marcador",
+  "pin.looking": "S'està identificant aquest punt…",
+  "pin.failed": "No s'ha pogut identificar aquest punt; poseu-li nom vosaltres.",
+  "pin.address": "Adreça (opcional)",
+  "pin.drag": "Arrossegueu el marcador per ajustar-lo.",
+
+  "day.timetable": "Horari: {day}",
+  "day.optimizing": "S'està optimitzant…",
+  "day.optimize": "Optimitza l'ordre del dia",
+  "day.autoFit": "Ajusta les hores",
+  "day.autoFitHotel": "Encadena les parades des de la sortida de {place} a les {time}",
+  "day.autoFitFirst": "Encadena les parades des de l'hora d'inici de la primera",
+  "day.autoFitWaiting": "S'espera el temps de viatge de tots els trajectes…",
+  "day.autoFitMidnight": "Ajustar passaria de mitjanit (l'última parada acabaria a les {time} de l'endemà); hores sense canvis.",
+  "day.conflicts_one": "{count} conflicte d'horari en aquest dia. Canvieu les hores o feu servir «{action}».",
+  "day.conflicts_other": "{count} conflictes d'horari en aquest dia. Canvieu les hores o feu servir «{action}».",
+  "day.before": "Abans",
+  "day.after": "Després",
+  "day.estimatedOrder": "Matriu de rutes no disponible; estimat amb distàncies en línia recta.",
+  "day.alreadyShortest": "L'ordre actual ja és el més curt trobat.",
+  "day.applyOrder": "Aplica l'ordre nou",
+  "day.keepOrder": "Mantén l'actual",
+  "day.empty": "Encara no hi ha parades. Afegiu llocs des del tauler esquerre.",
+  "day.backAt": "De tornada a {place} ~{time}",
+  "day.tip": "Consell: ajusteu les hores als horaris d'obertura; exporteu en .ics i afegiu-lo al calendari.",
+
+  "stop.drag": "Arrossegueu per reordenar (mantingueu Alt per copiar)",
+  "stop.pinned": "Fixada: l'optimitzador manté aquesta parada al seu lloc",
+  "stop.pin": "Fixa aquesta parada en optimitzar",
+  "stop.toWishlist": "Treu d'aquest dia i desa a la llista de desitjos",
+  "stop.computing": "S'està calculant l'arribada…",
+  "stop.arrives": "Arriba ~{arrival} · surt ~{departure}",
+  "stop.hours": "Horari",
+  "stop.hoursPlaceholder": "p. ex. Tu-Su 10:00-19:00; Mo off",
+  "stop.hoursInvalid": "No s'entén «{rule}»; horari no comprovat.",
+  "stop.website": "Web",
+  "stop.notes": "Notes (entrades, dinar, etc.)",
+
+  "schedule.endsBefore": "Acaba abans de començar",
+  "schedule.overlaps": "Se solapa amb la parada anterior (acaba a les {time})",
+  "schedule.late": "No hi arriba: arriba ~{time}, {minutes} min després de l'inici previst",
+  "schedule.midnight": "Passa de mitjanit",
+  "hours.closedHoliday": "Tancat els festius",
+  "hours.closed0": "Tancat els diumenges",
+  "hours.closed1": "Tancat els dilluns",
+  "hours.closed2": "Tancat els dimarts",
+  "hours.closed3": "Tancat els dimecres",
+  "hours.closed4": "Tancat els dijous",
+  "hours.closed5": "Tancat els divendres",
+  "hours.closed6": "Tancat els dissabtes",
+  "hours.outside": "Fora de l'horari d'obertura ({list})",
+
+  "leg.alternatives": "Ofereix rutes alternatives",
+  "leg.timeTransit": "Calcula el transport públic per",
+  "leg.depart": "sortir en acabar la parada anterior",
+  "leg.arrive": "arribar a l'inici de la parada següent",
+  "leg.title": "Tram {n}:",
+  "leg.routing": "s'està calculant…",
+  "leg.modeTitle": "Mode de transport del tram {n}",
+  "leg.default": "Per defecte ({mode})",
+  "leg.auto": "Automàtic: {mode}",
+  "leg.arriveBy": "Arribar a les {time}",
+  "leg.leaveAt": "Sortir a les {time}",
+  "leg.option": "Opció {n}",
+  "leg.shiftedPast": "El {date} ja ha passat; ruta calculada per al {day} a les {time} (mateix dia de la setmana i hora).",
+  "leg.shiftedFar": "El {date} és massa lluny per als horaris; ruta calculada per al {day} a les {time} (mateix dia de la setmana i hora).",
+  "leg.straight": "(línia recta)",
+  "steps.walk": "Camina",
+  "steps.transit": "Transport",
+  "steps.towards": "direcció {headsign}",
+  "steps.stops_one": "{count} parada",
+  "steps.stops_other": "{count} parades",
+  "ics.travelTo": "{mode} fins a {place} (~{time})",
+
+  "footer": "Rutes a peu, en bici i en cotxe amb OSRM; transport públic amb Google Directions (via servidor intermediari). Distàncies en {units}.",
+  "footer.metric": "metres i quilòmetres",
+  "footer.imperial": "peus i milles",
+
+  "library.title": "Els vostres viatges",
+  "library.showArchived": "Mostra els arxivats",
+  "library.openBadge": "obert",
+  "library.archivedBadge": "arxivat",
+  "library.open": "Obre",
+  "library.rename": "Canvia el nom",
+  "library.duplicate": "Duplica",
+  "library.archive": "Arxiva",
+  "library.unarchive": "Desarxiva",
+  "library.newTrip": "Viatge nou",
+
+  "board.title": "Tots els dies",
+  "board.dragging": "En arrossegar",
+  "board.moves": "mou",
+  "board.copies": "copia",
+  "board.outside": "Fora de les dates del viatge.",
+  "board.moveAll": "Mou-ho tot al…",
+  "board.moveCopy": "Mou/copia…",
+  "board.moveTo": "Mou al {day}",
+  "board.copyTo": "Copia al {day}",
+  "board.noStops": "Sense parades",
+  "board.help": "Arrossegueu parades per reordenar-les o moure-les entre dies; mantingueu Alt en deixar-les anar per copiar. Feu clic en una data per obrir-la.",
+
+  "geoImport.title_one": "Importa {count} lloc",
+  "geoImport.title_other": "Importa {count} llocs",
+  "geoImport.from": "De {source}",
+  "geoImport.day": "Dia",
+  "geoImport.addStops": "Afegeix com a parades",
+  "geoImport.candidates": "Mostra com a candidats",
+  "report.failed": "La importació ha fallat",
+  "report.changed": "Importat amb canvis",
+  "report.source": "Origen: {source}",
+  "report.upgraded": "actualitzat des del format v{version}",
+  "report.rejected": "Rebutjats ({count})",
+  "report.repaired": "Reparats ({count})",
+  "report.savedTrips": "Viatges desats",
+  "report.savedTrip": "Viatge desat",
+  "report.tripRemoved": "{name}: {error}; viatge eliminat",
+  "check.notTrip": "No és un document de viatge",
+  "check.badVersion": "Versió de document desconeguda «{version}»",
+  "check.newer": "Creat amb una versió més recent del planificador (format v{version})",
+  "check.tooOld": "El format v{version} és massa antic per importar-lo",
+  "check.tripName": "Viatge sense nom: es diu «{name}»",
+  "check.startDate": "Data d'inici no vàlida «{value}»: s'usa {date}",
+  "check.endDate": "Data de final no vàlida «{value}»: s'usa {date}",
+  "check.tooLong_one": "Viatge de més de {count} dia: ara acaba el {date}",
+  "check.tooLong_other": "Viatge de més de {count} dies: ara acaba el {date}",
+  "check.planNotMap": "El pla no és un mapa dia → parades; no s'ha importat cap parada",
+  "check.badDay": "El dia «{date}» no és una data vàlida; se n'han descartat les parades",
+  "check.stopsNotList": "{date}: les parades no són una llista",
+  "check.stop": "{date} parada {n}",
+  "check.cost": "{where} despesa {n}",
+  "check.stay": "Allotjament {n}",
+  "check.wish": "Idea {n} de la llista de desitjos",
+  "check.point": "Punt {n}",
+  "check.hotelDeparture": "Sortida de l'hotel",
+  "check.staysNotList": "Els allotjaments no són una llista; no se n'ha importat cap",
+  "check.wishlistNotList": "La llista de desitjos no és una llista; no s'ha importat res",
+  "check.routeMode": "Mode de transport desconegut «{value}»: s'usa {mode}",
+  "check.rate": "S'ha descartat el canvi de «{currency}» ({rate})",
+  "check.time": "{where}: hora no vàlida «{value}» substituïda per {time}",
+  "check.noPlace": "{where}: falta el lloc",
+  "check.unnamed": "Lloc sense nom",
+  "check.noCoords": "{where}: «{name}» no té coordenades vàlides",
+  "check.renamed": "{where}: lloc sense nom reanomenat «{name}»",
+  "check.website": "{where}: web «{value}» descartada (només es guarden enllaços http i https)",
+  "check.notStop": "{where}: no és una parada",
+  "check.legMode": "{where}: mode de transport desconegut «{value}»: s'usa el del viatge",
+  "check.notCost": "{where}: no és una despesa",
+  "check.category": "{where}: categoria desconeguda «{value}»: s'usa {category}",
+  "check.estimated": "{where}: s'ha descartat l'import estimat no vàlid «{value}»",
+  "check.actual": "{where}: s'ha descartat l'import real no vàlid «{value}»",
+  "check.currency": "{where}: moneda desconeguda «{value}»: s'usa {currency}",
+  "check.notWish": "{where}: no és una idea de la llista de desitjos",
+  "check.priority": "{where}: prioritat desconeguda «{value}»: s'usa «{priority}»",
+  "check.duration": "{where}: durada de visita no vàlida «{value}»: s'usa {count} min",
+  "check.destination": "Destinació no vàlida: es torna a {name}",
+  "check.searchArea": "{name}: faltava l'àrea de cerca; s'ha creat al voltant del centre",
+  "check.timeZone": "{name}: zona horària desconeguda «{value}»: s'usa {timeZone}",
+  "check.notStay": "{where}: no és un allotjament",
+  "check.checkIn": "{where}: entrada no vàlida «{value}»: s'usa {date}",
+  "check.checkOut": "{where}: sortida no vàlida «{value}»: s'usa {date}",
+  "import.nothing": "No hi ha res a importar",
+  "import.shareLink": "Enllaç compartit",
+  "import.badLink": "L'enllaç està malmès o incomplet (no s'ha pogut descodificar)",
+  "import.untitled": "Esdeveniment sense títol",
+  "import.allDay": "«{label}»: esdeveniment de tot el dia o sense data omès",
+  "import.noGeo": "«{label}» ({date}): sense coordenades GEO",
+  "import.endSet": "«{name}» ({date}): faltava l'hora de fi, fixada a les {time}",
+  "import.duplicate": "«{name}» ({date} {time}): ja és al pla",
+  "import.noStops": "Cap esdeveniment no s'ha pogut convertir en parada",
+  "import.noEvents": "No hi ha esdeveniments en aquest fitxer",
+  "import.unreadable": "No s'ha pogut llegir el fitxer",
+  "import.noPoints": "No hi ha punts en aquest fitxer",
+  "import.badJson": "JSON no vàlid ({error})",
+  "import.point": "Punt importat",
+  "import.badGeo": "No és un fitxer GPX/KML vàlid",
+
+  "qr.title": "Escanegeu per obrir el viatge",
+  "qr.tooLarge": "Aquest viatge és massa gran per a un codi QR. Compartiu l'enllaç.",
+  "qr.length_one": "Enllaç: {count} caràcter",
+  "qr.length_other": "Enllaç: {count} caràcters",
+  "qr.version": "QR versió {version} ({size}×{size})",
+  "qr.none": "massa gran per a un QR",
+  "qr.easy": "fàcil d'escanejar",
+  "qr.ok": "escanejable",
+  "qr.dense": "dens, escanegeu-lo de prop",
+  "qr.tooDense": "massa dens per escanejar",
+  "qr.perDay": "Enllaços per dia (cadascun s'obre com un viatge d'un dia):",
+  "qr.copy": "Copia",
+  "qr.copyLink": "Copia l'enllaç",
+  "qr.openLink": "Obre l'enllaç",
+  "qr.chatHint": "Si una aplicació de xat trenca els enllaços llargs, escanegeu el QR.",
+
+  "pdf.plannedDays_one": "{count} dia planificat",
+  "pdf.plannedDays_other": "{count} dies planificats",
+  "pdf.stays_one": "Allotjament",
+  "pdf.stays_other": "Allotjaments",
+  "pdf.nights_one": "{count} nit",
+  "pdf.nights_other": "{count} nits",
+  "pdf.notIncluded": "No inclòs (sense tipus de canvi a EUR): {list}",
+  "pdf.owes": "{from} deu a {to} {amount}",
+  "pdf.scan": "Escanegeu per obrir aquest viatge al planificador",
+  "pdf.days": "Dies",
+  "pdf.fromTo": "de {from} a {to}",
+  "pdf.base": "base: {name}",
+  "pdf.timetable": "Horari",
+  "pdf.dayCosts": "Despeses del dia: {estimated} estimat · {spent} gastat",
+  "pdf.gettingAround": "Desplaçaments",
+};
+
+export const MESSAGES = { en, es, ca };
+
+/** @returns {(key: string, vars?: object) => string} */
+export function translator(lang){
+  const messages = MESSAGES[lang] || en;
+  const locale = LOCALES[lang] || LOCALES.en;
+  const plural = new Intl.PluralRules(locale);
+  const number = new Intl.NumberFormat(locale);
+  const lookup = key => messages[key] ?? en[key];
+  return (key, vars = {}) => {
+    const text = (vars.count != null && lookup(`${key}_${plural.select(vars.count)}`)) || lookup(`${key}_other`) || lookup(key) || key;
+    return text.replace(/\{(\w+)\}/g, (m, name) => typeof vars[name] === "number" ? number.format(vars[name]) : vars[name] ?? m);
+  };
+}
+
+// First supported language in the browser's preferences, else English
+export function browserLanguage(){
+  const langs = typeof navigator === "undefined" ? [] : navigator.languages || [navigator.language];
+  return langs.map(l => String(l).slice(0, 2).toLowerCase()).find(l => l in MESSAGES) || "en";
+}
@@ -0,0 +1,46 @@
+import { browserLanguage, translator } from "./i18n";
+
+describe("translator", () => {
+  test("fills in placeholders and leaves unknown ones", () => {
+    const t = translator("en");
+    expect(t("app.title", { name: "Lisbon" })).toBe("Lisbon Trip Planner");
+    expect(t("app.title")).toBe("{name} Trip Planner");
+  });
+
+  test("formats numbers for the locale", () => {
+    expect(translator("en")("qr.length", { count: 1234 })).toBe("Link: 1,234 characters");
+    expect(translator("es")("qr.length", { count: 12345 })).toBe("Enlace: 12.345 caracteres");
+  });
+
+  test("picks plural forms by count", () => {
+    const t = translator("ca");
+    expect(t("trip.stops", { count: 1 })).toBe("1 parada");
+    expect(t("trip.stops", { count: 3 })).toBe("3 parades");
+    expect(t("qr.length", { count: 1 })).toBe("Enllaç: 1 caràcter");
+    expect(translator("en")("trip.stops")).toBe("{count} stops");
+  });
+
+  test("falls back to English, then to the key", () => {
+    expect(translator("xx")("common.add")).toBe("Add");
+    expect(translator("es")("no.such.key")).toBe("no.such.key");
+  });
+});
+
+describe("browserLanguage", () => {
+  const languages = Object.getOwnPropertyDescriptor(window.navigator, "languages");
+  afterEach(() => {
+    if (languages) Object.defineProperty(window.navigator, "languages", languages);
+    else delete window.navigator.languages;
+  });
+  const prefer = (langs) => Object.defineProperty(window.navigator, "languages", { value: langs, configurable: true });
+
+  test("takes the first supported language", () => {
+    prefer(["de-DE", "ca-ES", "es"]);
+    expect(browserLanguage()).toBe("ca");
+  });
+
+  test("defaults to English", () => {
+    prefer(["de-DE", "fr"]);
+    expect(browserLanguage()).toBe("en");
+  });
+});